@@ -1,35 +1,74 @@
 var fs = require('fs');
+var path = require('path');
+var stream = require('stream');
 var AWS = require('aws-sdk');
 var Promise = require('bluebird');
 var promisify = Promise.promisify;
+var partScheduler = require('./part-scheduler');
+var checkpoint = require('./checkpoint');
+var partitions = require('./partitions');
+var localFiles = require('./local-files');
+var listing = require('./listing');
+var manifest = require('./manifest');
+var checksums = require('./checksums');
+var encryption = require('./encryption');
+var clientEncryption = require('./client-encryption');
+var s3Adapters = require('./s3-adapters');
+var MemoryS3 = require('./memory-s3');
+var objectUrl = require('./object-url');
+var calculatePartitionsRangeArray = partitions.calculatePartitionsRangeArray;
 
-const COPY_PART_SIZE_MINIMUM_BYTES = 5242880; // 5MB in bytes
-const DEFAULT_COPY_PART_SIZE_BYTES = 500000000; // 500 MB in bytes
+const DEFAULT_DOWNLOAD_PART_SIZE = 67108864; // 64MB in bytes, parts are held in memory
+const DELETE_OBJECTS_MAXIMUM_KEYS = 1000; // largest single deleteObjects request
+const COPY_OBJECT_MAXIMUM_BYTES = 5368709120; // 5GB in bytes, largest single copyObject
+const DEFAULT_PRESIGNED_EXPIRES = 3600; // seconds, part URLs and POST policies
+const MANAGED_UPLOAD_PART_SIZE = 5242880; // 5MB in bytes, uploadFile bodies below it are sent in one request
 
-function calculatePartitionsRangeArray(object_size) {
-  const partitions = [];
-  const copy_part_size = DEFAULT_COPY_PART_SIZE_BYTES;
-  const numOfPartitions = Math.floor(object_size / copy_part_size);
-  const remainder = object_size % copy_part_size;
-  let index, partition;
+// uploadPartCopy only accepts these, everything else belongs to createMultipartUpload
+const COPY_PART_PARAMS = [
+  'Bucket',
+  'Key',
+  'CopySourceIfMatch',
+  'CopySourceIfModifiedSince',
+  'CopySourceIfNoneMatch',
+  'CopySourceIfUnmodifiedSince',
+  'SSECustomerAlgorithm',
+  'SSECustomerKey',
+  'SSECustomerKeyMD5',
+  'CopySourceSSECustomerAlgorithm',
+  'CopySourceSSECustomerKey',
+  'CopySourceSSECustomerKeyMD5',
+  'RequestPayer',
+  'ExpectedBucketOwner',
+  'ExpectedSourceBucketOwner'
+];
 
-  for (index = 0; index < numOfPartitions; index++) {
-      const nextIndex = index + 1;
-      if (nextIndex === numOfPartitions && remainder < COPY_PART_SIZE_MINIMUM_BYTES) {
-          partition = (index * copy_part_size) + '-' + ((nextIndex) * copy_part_size + remainder - 1);
-      } else {
-          partition = (index * copy_part_size) + '-' + ((nextIndex) * copy_part_size - 1);
-      }
-      partitions.push(partition);
-  }
+// the source conditions and SSE-C key of a copy, createMultipartUpload refuses them
+const COPY_SOURCE_PARAMS = COPY_PART_PARAMS.filter(function(name) {
+  return /^(CopySource|ExpectedSource)/.test(name);
+});
 
-  if (remainder >= COPY_PART_SIZE_MINIMUM_BYTES) {
-      partition = (index * copy_part_size) + '-' + (index * copy_part_size + remainder - 1);
-      partitions.push(partition);
-  }
+// uploadPart params taken from the createMultipartUpload ones
+const UPLOAD_PART_PARAMS = [
+  'Bucket',
+  'Key',
+  'SSECustomerAlgorithm',
+  'SSECustomerKey',
+  'SSECustomerKeyMD5',
+  'RequestPayer',
+  'ExpectedBucketOwner'
+];
 
-  return partitions;
-}
+// headObject fields carried over to a copy when asked to preserve metadata
+const OBJECT_METADATA_FIELDS = [
+  'ContentType',
+  'Metadata',
+  'CacheControl',
+  'ContentDisposition',
+  'ContentEncoding',
+  'ContentLanguage',
+  'Expires'
+];
 
 var copyPart = function (params, S3) {
   var uploadPartCopyPromise = promisify(S3.uploadPartCopy).bind(S3);
@@ -41,15 +80,165 @@ var copyPart = function (params, S3) {
           return Promise.reject(err);
       })
 }
-var prepareResultsForCopyCompletion = function (copyPartsResultsArray) {
-  const resultArray = [];
-  copyPartsResultsArray.forEach((copyPart, index) => {
-      const newCopyPart = {};
-      newCopyPart.ETag = copyPart.CopyPartResult.ETag;
-      newCopyPart.PartNumber = index + 1;
-      resultArray.push(newCopyPart);
+var pickPartParams = function (params, names) {
+  const partParams = {};
+  names.forEach((name) => {
+      if (typeof params[name] !== 'undefined') {
+          partParams[name] = params[name];
+      }
+  });
+  return partParams;
+}
+
+var pickObjectMetadata = function (head) {
+  const metadata = {};
+  OBJECT_METADATA_FIELDS.forEach((name) => {
+      if (typeof head[name] !== 'undefined') {
+          metadata[name] = head[name];
+      }
+  });
+  return metadata;
+}
+
+// 'bucket/key?versionId=abc', the key is URL encoded as S3 expects
+var formatCopySource = function (bucketName, key, versionId) {
+  var copySource = `${bucketName}/${encodeURIComponent(key).replace(/%2F/g, '/')}`;
+  if (typeof versionId !== 'undefined') {
+    copySource += `?versionId=${encodeURIComponent(versionId)}`;
+  }
+  return copySource;
+}
+
+// 'key?versionId=abc' => { Key: 'key', VersionId: 'abc' }
+var parseSourceKey = function (copySource) {
+  var source = String(copySource);
+  var index = source.indexOf('?versionId=');
+  if (index === -1) {
+    return { Key: source };
+  }
+  return {
+    Key: source.slice(0, index),
+    VersionId: decodeURIComponent(source.slice(index + '?versionId='.length))
+  };
+}
+
+// MetadataDirective or TaggingDirective, taken out of the createMultipartUpload params
+var extractDirective = function (customParams, name) {
+  var directive = customParams[name] || 'COPY';
+  if (directive !== 'COPY' && directive !== 'REPLACE') {
+    throw new Error(`COPY or REPLACE was expected for ${name} parameter`);
+  }
+  delete customParams[name];
+  return directive;
+}
+
+// TagSet to the query string format used by the Tagging param
+var formatTagging = function (tagSet) {
+  if (!tagSet || tagSet.length === 0) {
+    return undefined;
+  }
+  return tagSet.map((tag) => {
+      return `${encodeURIComponent(tag.Key)}=${encodeURIComponent(tag.Value)}`;
+  }).join('&');
+}
+
+var uploadPart = function (params, S3) {
+  var uploadPartPromise = promisify(S3.uploadPart).bind(S3);
+  return uploadPartPromise(params);
+}
+
+// ranged GET, the part is returned as a Buffer
+var getObjectRange = function (params, S3) {
+  var getObjectPromise = promisify(S3.getObject).bind(S3);
+  return getObjectPromise(params).then((result) => result.Body);
+}
+
+/*
+Readable over an object fetched range by range, one range in memory at a
+time, each range retried on its own. IfMatch pins the ranges to one version.
+*/
+var createRangeReadStream = function (params, size, partSize, S3, options) {
+  var position = 0;
+  return new stream.Readable({
+    read: function() {
+      var readable = this;
+      if (position >= size) {
+        return readable.push(null);
+      }
+      var end = Math.min(position + partSize, size) - 1;
+      var rangeParams = Object.assign({}, params, { Range: `bytes=${position}-${end}` });
+      position = end + 1;
+      partScheduler.withRetry(function() {
+        return getObjectRange(rangeParams, S3);
+      }, options).then(function(body) {
+        readable.push(body);
+      }, function(err) {
+        readable.destroy(err);
+      });
+    }
+  });
+};
+
+// writes the whole buffer at position, fs.write may write less than asked
+var writeAt = function (fd, buffer, position) {
+  var writePromise = promisify(fs.write);
+  var write = function (offset) {
+    if (offset >= buffer.length) {
+      return Promise.resolve();
+    }
+    return writePromise(fd, buffer, offset, buffer.length - offset, position + offset)
+        .then((bytesWritten) => write(offset + bytesWritten));
+  };
+  return write(0);
+}
+
+// resolves how the file was checked, rejects on mismatch
+var verifyDownload = function(filePath, fileSize, ETag) {
+  var statPromise = promisify(fs.stat);
+  return statPromise(filePath).then(function(stats) {
+    if (stats.size !== fileSize) {
+      const err = new Error('Downloaded file size does not match the object size');
+      err.details = { expected: fileSize, actual: stats.size };
+      return Promise.reject(err);
+    }
+    var md5 = (ETag || '').replace(/"/g, '');
+    // multipart ETags are not the MD5 of the object
+    if (!/^[0-9a-f]{32}$/.test(md5)) {
+      return 'size';
+    }
+    return localFiles.md5File(filePath).then(function(fileMd5) {
+      if (fileMd5 !== md5) {
+        const err = new Error('Downloaded file MD5 does not match the object ETag');
+        err.details = { expected: md5, actual: fileMd5 };
+        return Promise.reject(err);
+      }
+      return 'md5';
+    });
   });
-  return resultArray;
+};
+
+// listParts returns at most 1000 parts per page
+var listAllParts = function (params, S3, parts) {
+  var listPartsPromise = promisify(S3.listParts).bind(S3);
+  var collected = parts || [];
+  return listPartsPromise(params)
+      .then((result) => {
+          collected = collected.concat(result.Parts || []);
+          if (!result.IsTruncated) {
+              return collected;
+          }
+          var nextParams = Object.assign({}, params, { PartNumberMarker: result.NextPartNumberMarker });
+          return listAllParts(nextParams, S3, collected);
+      });
+}
+
+// parts may finish in any order, S3 expects them sorted by PartNumber
+var prepareResultsForCopyCompletion = function (copyPartsResultsArray) {
+  return copyPartsResultsArray
+      .map((copyPart) => {
+          return { ETag: copyPart.ETag, PartNumber: copyPart.PartNumber };
+      })
+      .sort((a, b) => a.PartNumber - b.PartNumber);
 }
 
 var completeMultipartCopy = function (params, S3) {
@@ -63,28 +252,124 @@ var completeMultipartCopy = function (params, S3) {
     });
 }
 
-var abortMultipartCopy = function(params, S3) {
+// aborts the upload and checks no part was left behind (S3 may keep parts
+// still being uploaded while aborting)
+var abortMultipartUpload = function(params, S3) {
   var abortMultipartUploadPromise = promisify(S3.abortMultipartUpload).bind(S3);
+  var listPartsPromise = promisify(S3.listParts).bind(S3);
   return abortMultipartUploadPromise(params)
       .then(() => {
-          return promisify(S3.listParts).bind(S3, params);
-      })
-      .catch((err) => {
-          return Promise.reject(err);
+          return listPartsPromise(params)
+              .catch((err) => {
+                  // the upload is gone, so are its parts
+                  if (err.code === 'NoSuchUpload') {
+                      return { Parts: [] };
+                  }
+                  return Promise.reject(err);
+              });
       })
       .then((partsList) => {
           if (partsList.Parts && partsList.Parts.length > 0) {
               const err = new Error('Abort procedure passed but copy parts were not removed');
               err.details = partsList;
               return Promise.reject(err);
-          } else {
-              const err = new Error('multipart copy aborted');
-              err.details = params;
-              return Promise.reject(err);
           }
+          return params;
+      });
+}
+
+// always rejects, the error that caused the abort is kept in err.cause
+var abortMultipartCopy = function(params, S3, cause, operation) {
+  return abortMultipartUpload(params, S3)
+      .catch((err) => {
+          err.cause = cause;
+          return Promise.reject(err);
+      })
+      .then(() => {
+          const err = new Error(`multipart ${operation || 'copy'} aborted`);
+          err.details = params;
+          err.cause = cause;
+          return Promise.reject(err);
       });
 }
 
+// part numbers a browser may upload, 1 to 10000
+var checkPartNumbers = function(partNumbers) {
+  if (!Array.isArray(partNumbers)) {
+    throw new Error('Array was expected for partNumbers parameter');
+  }
+  partNumbers.forEach(function(partNumber) {
+    if (typeof partNumber !== 'number' || Math.floor(partNumber) !== partNumber
+      || partNumber < 1 || partNumber > partitions.MAX_PARTS) {
+      throw new Error('Part numbers between 1 and 10000 were expected');
+    }
+  });
+};
+
+// one presigned uploadPart URL per part number, SSE-C key params signed along
+var signPartUrls = function(params, partNumbers, expires, S3, customerParams) {
+  var getSignedUrlPromise = promisify(S3.getSignedUrl).bind(S3);
+  return Promise.map(partNumbers, function(partNumber) {
+    return getSignedUrlPromise('uploadPart', Object.assign({
+      Bucket: params.Bucket,
+      Key: params.Key,
+      UploadId: params.UploadId,
+      PartNumber: partNumber,
+      Expires: expires
+    }, customerParams)).then(function(signedUrl) {
+      return { PartNumber: partNumber, signedUrl: signedUrl };
+    });
+  });
+};
+
+// getObject response header overrides, by the name of the header they replace
+const RESPONSE_HEADER_PARAMS = {
+  ContentType: 'ResponseContentType',
+  CacheControl: 'ResponseCacheControl',
+  ContentLanguage: 'ResponseContentLanguage',
+  ContentEncoding: 'ResponseContentEncoding'
+};
+
+const MAX_PRESIGNED_EXPIRES = 604800; // seconds, 7 days is the SigV4 limit
+
+// plain ASCII filename for old browsers, the UTF-8 one for the others
+var formatContentDisposition = function(filename, disposition) {
+  var fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  var encoded = encodeURIComponent(filename).replace(/['()*]/g, function(char) {
+    return `%${char.charCodeAt(0).toString(16).toUpperCase()}`;
+  });
+  return `${disposition || 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// getObject params to sign, the toolkit options turned into response overrides
+var buildDownloadParams = function(customParams, bucketName) {
+  var params = Object.assign({ Bucket: bucketName }, customParams);
+  var expires = typeof params.Expires === 'undefined' ? DEFAULT_PRESIGNED_EXPIRES : params.Expires;
+  if (typeof expires !== 'number' || expires < 1 || expires > MAX_PRESIGNED_EXPIRES) {
+    throw new Error('Expires should be a number of seconds up to 604800 (7 days)');
+  }
+  params.Expires = expires;
+  if (typeof params.filename !== 'undefined' || typeof params.disposition !== 'undefined') {
+    params.ResponseContentDisposition = typeof params.filename === 'undefined'
+      ? params.disposition
+      : formatContentDisposition(params.filename, params.disposition);
+  }
+  delete params.filename;
+  delete params.disposition;
+  Object.keys(RESPONSE_HEADER_PARAMS).forEach(function(name) {
+    if (typeof params[name] !== 'undefined') {
+      params[RESPONSE_HEADER_PARAMS[name]] = params[name];
+      delete params[name];
+    }
+  });
+  return params;
+};
+
+// browsers may hand the ETag header over without its quotes
+var quoteETag = function(ETag) {
+  return /^".*"$/.test(ETag) ? ETag : `"${ETag}"`;
+};
+
 // FS
 var getFilesizeInBytes = function(filename) {
   if (typeof filename === 'undefined') {
@@ -113,11 +398,314 @@ var checkParams = function(params, mandatory) {
   });
 }
 
-// AWS Config
-var AWSConfig = {
-  accessKeyId: null,
-  secretAccessKey: null,
-  region: null
+// Checkpoint file path, taken out of the S3 params
+var extractCheckpointPath = function(customParams) {
+  var checkpointPath = customParams.checkpoint;
+  if (typeof checkpointPath === 'undefined') {
+    return null;
+  }
+  if (typeof checkpointPath !== 'string' || checkpointPath === '') {
+    throw new Error('Checkpoint parameter was expected to be String');
+  }
+  delete customParams.checkpoint;
+  return checkpointPath;
+}
+
+// Progress callback, taken out of the S3 params. A no-op when not given.
+var extractProgressCallback = function(customParams) {
+  var onProgress = customParams.onProgress;
+  if (typeof onProgress === 'undefined') {
+    return function() {};
+  }
+  if (typeof onProgress !== 'function') {
+    throw new Error('Function was expected for onProgress parameter');
+  }
+  delete customParams.onProgress;
+  return onProgress;
+}
+
+// Checksum algorithm ('md5' or 'sha256'), taken out of the S3 params
+var extractChecksum = function(customParams) {
+  var checksum = customParams.checksum;
+  if (typeof checksum === 'undefined') {
+    return null;
+  }
+  if (checksums.CHECKSUM_ALGORITHMS.indexOf(checksum) === -1) {
+    throw new Error('md5 or sha256 was expected for checksum parameter');
+  }
+  delete customParams.checksum;
+  return checksum;
+}
+
+// Encryption setting (encryption or sourceEncryption), taken out of the S3
+// params. The instance one when not given, false turns it off.
+var extractEncryption = function(customParams, bucket, name) {
+  var paramName = name || 'encryption';
+  var setting = customParams[paramName];
+  delete customParams[paramName];
+  if (typeof setting === 'undefined') {
+    return bucket.encryption;
+  }
+  return encryption.normalize(setting);
+}
+
+// server-side encryption of a stored object as the encryption param takes it,
+// SSE-C objects need the given key
+var headEncryption = function(head, customerEncryption) {
+  if (typeof head.SSECustomerAlgorithm !== 'undefined') {
+    return customerEncryption;
+  }
+  if (head.ServerSideEncryption === 'aws:kms') {
+    return encryption.normalize({ type: 'SSE-KMS', kmsKeyId: head.SSEKMSKeyId });
+  }
+  if (head.ServerSideEncryption === 'AES256') {
+    return encryption.normalize({ type: 'SSE-S3' });
+  }
+  return null;
+}
+
+// Client-side encryption setting (clientEncryption), taken out of the S3
+// params. The instance one when not given, false turns it off.
+var extractClientEncryption = function(customParams, bucket) {
+  var setting = customParams.clientEncryption;
+  delete customParams.clientEncryption;
+  if (typeof setting === 'undefined') {
+    return bucket.clientEncryption;
+  }
+  return clientEncryption.normalize(setting);
+}
+
+// SSE-C key of a copy source, as the params reading that source take it
+var sourceCustomerParams = function(params) {
+  var customerParams = {};
+  ['SSECustomerAlgorithm', 'SSECustomerKey', 'SSECustomerKeyMD5'].forEach(function(name) {
+    if (typeof params[`CopySource${name}`] !== 'undefined') {
+      customerParams[name] = params[`CopySource${name}`];
+    }
+  });
+  return customerParams;
+}
+
+// writes under a requireEncryption prefix have to ask for encryption,
+// keyIsPrefix for writes to any key starting with key (POST policies)
+var checkEncryptionRequired = function(bucket, key, params, keyIsPrefix) {
+  if (encryption.isEncrypted(params)) {
+    return;
+  }
+  bucket.requireEncryption.forEach(function(prefix) {
+    if (String(key).indexOf(prefix) === 0 || (keyIsPrefix && prefix.indexOf(key) === 0)) {
+      throw new Error(`Encryption is required for keys under ${prefix}`);
+    }
+  });
+}
+
+// the stored object did not come out as expected, details as verifyDownload
+var checksumMismatch = function(message, expected, actual) {
+  const err = new Error(message);
+  err.code = 'ChecksumMismatch';
+  err.details = { expected: expected, actual: actual };
+  return err;
+}
+
+// Multipart options (part scheduler, checkpoint and progress), taken out of
+// the S3 params (same as limit and delay)
+var extractPartOptions = function(customParams, bucket) {
+  var options = {
+    concurrency: bucket.partConcurrency,
+    retries: bucket.partRetries,
+    retryDelay: bucket.partRetryDelay,
+    partSize: bucket.partSize,
+    checkpoint: extractCheckpointPath(customParams),
+    onProgress: extractProgressCallback(customParams)
+  };
+  ['concurrency', 'retries', 'retryDelay', 'partSize'].forEach(function(name) {
+    if (typeof customParams[name] === 'undefined') {
+      return;
+    }
+    if (typeof customParams[name] !== 'number') {
+      throw new Error(`Number was expected for ${name} parameter`);
+    }
+    options[name] = customParams[name];
+    delete customParams[name];
+  });
+  return options;
+}
+
+/*
+Copies listing params turning the toolkit options into S3 ones:
+limit => MaxKeys, delay => page delay and, for version listings, Key => Prefix.
+*/
+var extractListingOptions = function(customParams, bucket, keyAsPrefix) {
+  var params = Object.assign({ Bucket: bucket.bucketName }, customParams);
+  var pageDelay = bucket.pagingDelay;
+  if (typeof params.limit !== 'undefined') {
+    if (typeof params.limit !== 'number') {
+      throw new Error('Number was expected for limit parameter');
+    }
+    params.MaxKeys = params.limit;
+    delete params.limit;
+  }
+  if (typeof params.delay !== 'undefined') {
+    if (typeof params.delay !== 'number') {
+      throw new Error('Number was expected for delay parameter');
+    }
+    pageDelay = params.delay;
+    delete params.delay;
+  }
+  if (keyAsPrefix && typeof params.Key !== 'undefined') {
+    if (typeof params.Key !== 'string' || params.Key === '') {
+      throw new Error('Key parameter was expected to be String');
+    }
+    params.Prefix = params.Key;
+    delete params.Key;
+  }
+  return { params: params, pageDelay: pageDelay };
+};
+
+// deleteObjects takes at most 1000 keys per request
+var chunkDeletes = function(objects) {
+  var chunks = [];
+  var i;
+  for (i = 0; i < objects.length; i += DELETE_OBJECTS_MAXIMUM_KEYS) {
+    chunks.push(objects.slice(i, i + DELETE_OBJECTS_MAXIMUM_KEYS));
+  }
+  return chunks;
+};
+
+/*
+One deleteObjects call for at most 1000 { Key, VersionId }, retried on
+throttling. A failed call reports every object in Errors, or rejects with
+rejectRequestErrors.
+Result: { Deleted: [ { Key, VersionId } ], Errors: [ { Key, VersionId, Code, Message } ] }
+*/
+var deleteVersionBatch = function(bucketName, objects, S3, options, rejectRequestErrors) {
+  var deleteObjectsPromise = promisify(S3.deleteObjects).bind(S3);
+  var params = {
+    Bucket: bucketName,
+    Delete: { Objects: objects }
+  };
+  return partScheduler.withRetry(function() {
+    return deleteObjectsPromise(params);
+  }, options).then(function(response) {
+    return {
+      Deleted: response.Deleted || [],
+      Errors: response.Errors || []
+    };
+  }).catch(function(err) {
+    if (rejectRequestErrors) {
+      return Promise.reject(err);
+    }
+    return {
+      Deleted: [],
+      Errors: objects.map(function(object) {
+        return {
+          Key: object.Key,
+          VersionId: object.VersionId,
+          Code: err.code,
+          Message: err.message
+        };
+      })
+    };
+  });
+};
+
+/*
+Deletes up to 1000 { Key, VersionId } sending again, with backoff, the keys
+S3 reported with throttling or 5xx codes. Keys still failing once the retries
+are used up are reported in Errors. Never rejects unless rejectRequestErrors
+is set, a deleteObjects call failing as a whole then rejects.
+*/
+var deleteKeysWithRetry = function(bucketName, objects, S3, options, rejectRequestErrors) {
+  var deleted = [];
+  var errors = [];
+  var pending = objects;
+  // retries happen here, for the whole request and for single keys alike
+  var singleAttempt = Object.assign({}, options, { retries: 0 });
+  if (objects.length === 0) {
+    return Promise.resolve({ Deleted: deleted, Errors: errors });
+  }
+
+  return partScheduler.withRetry(function() {
+    return deleteVersionBatch(bucketName, pending, S3, singleAttempt, rejectRequestErrors).then(function(response) {
+      var retryable = response.Errors.filter(function(error) {
+        return partScheduler.isRetryableError({ code: error.Code });
+      });
+      deleted = deleted.concat(response.Deleted);
+      errors = errors.concat(response.Errors.filter(function(error) {
+        return retryable.indexOf(error) === -1;
+      }));
+      if (retryable.length === 0) {
+        return;
+      }
+      pending = retryable.map(function(error) {
+        var object = { Key: error.Key };
+        if (typeof error.VersionId !== 'undefined') {
+          object.VersionId = error.VersionId;
+        }
+        return object;
+      });
+      var err = new Error(`${retryable.length} keys failed to delete`);
+      err.code = retryable[0].Code;
+      err.Errors = retryable;
+      return Promise.reject(err);
+    });
+  }, options).catch(function(err) {
+    if (!err.Errors) {
+      return Promise.reject(err);
+    }
+    errors = errors.concat(err.Errors);
+  }).then(function() {
+    return { Deleted: deleted, Errors: errors };
+  });
+};
+
+/*
+AWS.S3 config of one instance. Credentials come, in this order, from static
+keys, a credentials object, a credential provider chain, a shared ini
+profile, or the SDK default chain (environment, shared ini, ECS and EC2
+instance roles).
+*/
+var buildS3Config = function(params) {
+  var config = { region: params.region };
+  var hasKeyId = typeof params.accessKeyId !== 'undefined';
+  var hasSecret = typeof params.secretAccessKey !== 'undefined';
+  if (hasKeyId !== hasSecret) {
+    throw new Error('accessKeyId and secretAccessKey should be given together');
+  }
+
+  if (hasKeyId) {
+    config.credentials = new AWS.Credentials({
+      accessKeyId: params.accessKeyId,
+      secretAccessKey: params.secretAccessKey,
+      sessionToken: params.sessionToken
+    });
+  } else if (typeof params.credentials !== 'undefined') {
+    config.credentials = params.credentials;
+  } else if (typeof params.credentialProvider !== 'undefined') {
+    config.credentialProvider = params.credentialProvider;
+  } else if (typeof params.profile !== 'undefined') {
+    config.credentials = new AWS.SharedIniFileCredentials({ profile: params.profile });
+  }
+
+  // MinIO, LocalStack and other S3 compatible services
+  ['endpoint', 's3ForcePathStyle', 'useDualstack', 'signatureVersion', 'sslEnabled', 'maxRetries']
+    .forEach(function(name) {
+      if (typeof params[name] !== 'undefined') {
+        config[name] = params[name];
+      }
+    });
+
+  var httpOptions = Object.assign({}, params.httpOptions);
+  if (typeof params.proxy !== 'undefined') {
+    httpOptions.proxy = params.proxy;
+  }
+  if (typeof params.httpAgent !== 'undefined') {
+    httpOptions.agent = params.httpAgent;
+  }
+  if (Object.keys(httpOptions).length > 0) {
+    config.httpOptions = httpOptions;
+  }
+  return config;
 };
 
 // initializing multipart upload
@@ -132,25 +720,115 @@ var createMultipartCopy = function (params, S3) {
       });
 }
 
+// Loads the checkpoint of an interrupted upload or copy and asks S3 which
+// parts made it, a new upload (and checkpoint) is created when there is
+// nothing to resume. identity holds the fields a checkpoint must match.
+var resumeMultipart = function (checkpointPath, params, identity, partitionsRangeArray, S3) {
+  var expected = Object.assign({ Bucket: params.Bucket, Key: params.Key }, identity);
+  return checkpoint.load(checkpointPath)
+      .then((state) => {
+          if (!state) {
+              return null;
+          }
+          var matches = Object.keys(expected).every((name) => state[name] === expected[name]);
+          if (!matches) {
+              const err = new Error(`Checkpoint does not match the ${identity.operation} parameters`);
+              err.details = state;
+              return Promise.reject(err);
+          }
+          var listParams = {
+              Bucket: state.Bucket,
+              Key: state.Key,
+              UploadId: state.UploadId
+          };
+          return listAllParts(listParams, S3)
+              .then((parts) => {
+                  state.parts = parts.map((part) => {
+                      return { PartNumber: part.PartNumber, ETag: part.ETag };
+                  });
+                  return state;
+              })
+              .catch((err) => {
+                  // completed or aborted since the checkpoint was written
+                  if (err.code === 'NoSuchUpload') {
+                      return null;
+                  }
+                  return Promise.reject(err);
+              });
+      })
+      .then((state) => {
+          if (state) {
+              return state;
+          }
+          return createMultipartCopy(params, S3).then((uploadId) => {
+              var newState = Object.assign({}, expected, {
+                  UploadId: uploadId,
+                  partitions: partitionsRangeArray,
+                  parts: []
+              });
+              return checkpoint.save(checkpointPath, newState).then(() => newState);
+          });
+      });
+}
+
+// SDK v3 clients have a fixed config, a new client is needed instead
+var checkConfigUpdates = function(S3) {
+  if (!S3.config || typeof S3.config.update !== 'function') {
+    throw new Error('The S3 client does not support config updates, create a new client instead');
+  }
+};
+
 // Bucket class
 var Bucket = function (params) {
-  var flags = ['accessKeyId', 'secretAccessKey', 'region', 'bucketName'];
+  // a given client brings its own region and credentials
+  var hasClient = typeof params !== 'undefined' && typeof params.client !== 'undefined';
+  var flags = hasClient ? ['bucketName'] : ['region', 'bucketName'];
   var hasAllFlags = checkParams(params, flags);
   if (!hasAllFlags) {
     throw new Error('Unable to create bucket instance due parameters missing');
   }
-  // Setup S3
-  AWSConfig.accessKeyId = params.accessKeyId;
-  AWSConfig.secretAccessKey = params.secretAccessKey;
-  AWSConfig.region = params.region;
+  if (hasClient && (params.client === null || typeof params.client !== 'object')) {
+    throw new Error('Client parameter was expected to be an object, see AWSBucket.adapters');
+  }
 
-  // AWS S3 Docs
+  // AWS S3 Docs, every instance gets its own config
   // http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/S3.html
-  this.S3 = new AWS.S3(AWSConfig);
+  this.S3 = hasClient ? params.client : s3Adapters.v2(buildS3Config(params));
   this.bucketName = params.bucketName;
   this.bucketACL = params.bucketACL || 'public-read';
+  // object URLs follow the client addressing, or a CDN in front of the bucket
+  this.urlOptions = {
+    region: params.region || (this.S3.config && this.S3.config.region),
+    endpoint: params.endpoint,
+    s3ForcePathStyle: params.s3ForcePathStyle,
+    useDualstack: params.useDualstack,
+    sslEnabled: params.sslEnabled,
+    baseUrl: params.baseUrl
+  };
   // default paging delay in between calls
   this.pagingDelay = params.pagingDelay || 500;
+  // multipart parts in flight and retries per part
+  this.partConcurrency = params.partConcurrency || partScheduler.DEFAULT_PART_CONCURRENCY;
+  this.partRetries = typeof params.partRetries === 'number'
+    ? params.partRetries : partScheduler.DEFAULT_PART_RETRIES;
+  this.partRetryDelay = typeof params.partRetryDelay === 'number'
+    ? params.partRetryDelay : partScheduler.DEFAULT_RETRY_DELAY;
+  // (optional) multipart part size, kept within the S3 limits
+  this.partSize = params.partSize;
+  // smartCopy switches to multipart above this size
+  this.multipartThreshold = Math.min(params.multipartThreshold || COPY_OBJECT_MAXIMUM_BYTES, COPY_OBJECT_MAXIMUM_BYTES);
+  // (optional) server-side encryption of the writes, and of the reads with SSE-C
+  this.encryption = encryption.normalize(params.encryption);
+  // key prefixes where writes without encryption are refused
+  var requireEncryption = params.requireEncryption || [];
+  if (!Array.isArray(requireEncryption) || requireEncryption.some(function(prefix) {
+    return typeof prefix !== 'string' || prefix === '';
+  })) {
+    throw new Error('Array of key prefixes was expected for requireEncryption parameter');
+  }
+  this.requireEncryption = requireEncryption;
+  // (optional) envelope encryption of the bodies before they leave this host
+  this.clientEncryption = clientEncryption.normalize(params.clientEncryption);
 };
 
 /*
@@ -171,11 +849,34 @@ Bucket.prototype.getAllBuckets = function() {
   return listBuckets();
 };
 
+/*
+Public URL of an object, the one returned as url by uploads and copies. It
+follows the instance addressing (region, endpoint, s3ForcePathStyle,
+useDualstack) or points to baseUrl, a CDN or custom domain in front of the
+bucket. Key segments are URL encoded.
+
+Usage:
+bucket.getObjectUrl({ Key: 'my dir/résumé.pdf' })
+
+Result:
+'https://your-bucket-name.s3.us-east-1.amazonaws.com/my%20dir/r%C3%A9sum%C3%A9.pdf'
+*/
+Bucket.prototype.getObjectUrl = function(customParams) {
+  var flags = ['Key'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to get object url due parameters missing');
+  }
+  return objectUrl.build(this.urlOptions, customParams.Bucket || this.bucketName || '', customParams.Key);
+};
+
 /*
 Usage:
 
 Result:
-{ signedUrl: 'https://your-bucket-name.s3.amazonaws.com/your-dir/test.js?AWSAccessKeyId=...' }
+{ signedUrl:'https://your-bucket-name.s3.amazonaws.com/your-dir/test.js?AWSAccessKeyId=...' }
+With encryption, the headers the PUT has to send are returned as headers:
+{ signedUrl: '...', headers: { 'x-amz-server-side-encryption': 'aws:kms', ... } }
 */
 Bucket.prototype.getUploadUrl = function (customParams) {
   var flags = ['ContentType', 'Key'];
@@ -187,80 +888,607 @@ Bucket.prototype.getUploadUrl = function (customParams) {
   var S3 = this.S3;
   var bucketName = this.bucketName || '';
   var bucketACL = this.bucketACL || '';
+  var objectEncryption = extractEncryption(customParams, this);
 
   var defaultParams = {
     Expires: 60,
     ACL: bucketACL,
     Bucket: bucketName
   };
-  var params = Object.assign(defaultParams, customParams);
+  var params = Object.assign(defaultParams, encryption.writeParams(objectEncryption), customParams);
+  checkEncryptionRequired(this, params.Key, params);
+  var headers = encryption.requestHeaders(objectEncryption, true);
 
   var getSignedUrlPromise = promisify(S3.getSignedUrl).bind(S3);
 
   return new Promise(function(resolve, reject) {
     getSignedUrlPromise('putObject', params)
-      .then(function(signedUrl) { return resolve({signedUrl: signedUrl}); })
+      .then(function(signedUrl) {
+        var result = {signedUrl: signedUrl};
+        if (objectEncryption) {
+          result.headers = headers;
+        }
+        return resolve(result);
+      })
       .catch(reject);
   });
 };
 
 /*
- Usage:
+Starts a multipart upload done from the browser: the client PUTs every part
+to its presigned uploadPart URL and reports back the ETag header of each one.
+With size the parts are planned (same partitioning as uploadFileMultipart)
+and all their URLs signed, partNumbers signs only those.
 
- Result:
-{ response: { ETag: '"abc..."' },
-  url: 'https://your-bucket-name.s3.amazonaws.com/upload-test.txt' }
+Usage:
+bucket.createPresignedUpload({
+  Key: 'videos/raw.mp4',
+  ContentType: 'video/mp4', // (optional) and any createMultipartUpload param
+  size: 7340032000, // (optional) plans the parts and signs all of them
+  partSize: 104857600, // (optional) with size, 500MB by default
+  partNumbers: [1, 2, 3], // (optional) parts to sign without size
+  Expires: 3600, // (optional) URL lifetime in seconds
+  encryption: { type: 'SSE-KMS' }, // (optional) the instance one by default
+})
+
+Result:
+{ Bucket: 'your-bucket-name',
+  Key: 'videos/raw.mp4',
+  UploadId: 'abc...',
+  partSize: 104857600,
+  Parts:
+   [ { PartNumber: 1, start: 0, end: 104857599,
+       signedUrl: 'https://your-bucket-name.s3.amazonaws.com/videos/raw.mp4?partNumber=1&uploadId=abc...' } ] }
+With SSE-C every part PUT sends the key headers, returned as headers.
 */
-Bucket.prototype.uploadFile = function(customParams) {
-  var flags = ['filePath', 'Key'];
+Bucket.prototype.createPresignedUpload = function(customParams) {
+  var flags = ['Key'];
   var hasAllFlags = checkParams(customParams, flags);
   if (!hasAllFlags) {
-    throw new Error('Unable to upload files due parameters missing');
+    throw new Error('Unable to create presigned upload due parameters missing');
   }
 
   var S3 = this.S3;
   var bucketName = this.bucketName || '';
   var bucketACL = this.bucketACL || '';
+  var objectEncryption = extractEncryption(customParams, this);
 
-  var filePath = customParams.filePath;
   var defaultParams = {
     ACL: bucketACL,
-    Bucket: bucketName,
-    ContentLength: getFilesizeInBytes(filePath),
-    Body: fs.createReadStream(filePath)
+    Bucket: bucketName
   };
-  var params = Object.assign(defaultParams, customParams);
-  delete params.filePath;
+  var params = Object.assign(defaultParams, encryption.writeParams(objectEncryption), customParams);
+  checkEncryptionRequired(this, params.Key, params);
+  var expires = params.Expires || DEFAULT_PRESIGNED_EXPIRES;
+  var size = params.size;
+  var partNumbers = params.partNumbers || [];
+  delete params.Expires;
+  delete params.size;
+  delete params.partSize;
+  delete params.partNumbers;
 
-  // Params
-  var Bucket = params.Bucket;
-  var Key = params.Key;
-
- //  console.log("AWS UPLOAD==>", params);
+  var plannedParts = [];
+  var partSize;
+  if (typeof size !== 'undefined') {
+    partSize = partitions.calculatePartSize(size, customParams.partSize || this.partSize);
+    plannedParts = partitions.calculatePartitions(size, partSize);
+    if (plannedParts.length === 0) {
+      throw new Error('File size greater than zero was expected for multipart upload');
+    }
+    partNumbers = plannedParts.map(function(part) { return part.PartNumber; });
+  }
+  checkPartNumbers(partNumbers);
 
-  var putObjectPromise = promisify(S3.upload).bind(S3);
-  return new Promise(function (resolve, reject) {
-    return putObjectPromise(params)
-      .then(function(response) {
-        var url = `https://${Bucket}.s3.amazonaws.com/${Key}`;
-        resolve(Object.assign({
-          response: response,
-          url: url
-        }));
-      })
-      .catch(reject);
+  return createMultipartCopy(params, S3).then(function(UploadId) {
+    var upload = { Bucket: params.Bucket, Key: params.Key, UploadId: UploadId };
+    var customerParams = encryption.customerParams(objectEncryption);
+    return signPartUrls(upload, partNumbers, expires, S3, customerParams).then(function(Parts) {
+      Object.assign(upload, {
+        partSize: partSize,
+        Parts: Parts.map(function(part, index) {
+          return Object.assign({}, plannedParts[index], part);
+        })
+      });
+      if (Object.keys(customerParams).length > 0) {
+        upload.headers = encryption.requestHeaders(objectEncryption);
+      }
+      return upload;
+    });
   });
 };
 
 /*
+Presigned uploadPart URLs of a started upload, to sign parts in batches or
+again once expired.
 
- Usage:
+Usage:
+bucket.getUploadPartUrls({
+  Key: 'videos/raw.mp4',
+  UploadId: 'abc...',
+  partNumbers: [4, 5],
+  Expires: 3600, // (optional)
+  encryption: { type: 'SSE-C', customerKey: key }, // (optional) the key the upload was created with
+})
 
- Result:
-{ response: { ETag: '"abc..."', CopySourceVersionId: 'def...', CopyObjectResult: { ... } },
-  url: 'https://your-bucket-name.s3.amazonaws.com/upload-test-copied.txt' } }
- */
-Bucket.prototype.copyFile = function(customParams, appendPrefix) {
+Result:
+{ Key: 'videos/raw.mp4',
+  UploadId: 'abc...',
+  Parts: [ { PartNumber: 4, signedUrl: 'https://...' }, { PartNumber: 5, signedUrl: 'https://...' } ] }
+*/
+Bucket.prototype.getUploadPartUrls = function(customParams) {
+  var flags = ['Key', 'UploadId', 'partNumbers'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to get upload part urls due parameters missing');
+  }
+  checkPartNumbers(customParams.partNumbers);
+
+  var upload = {
+    Bucket: customParams.Bucket || this.bucketName || '',
+    Key: customParams.Key,
+    UploadId: customParams.UploadId
+  };
+  var expires = customParams.Expires || DEFAULT_PRESIGNED_EXPIRES;
+  var objectEncryption = extractEncryption(Object.assign({}, customParams), this);
+  var customerParams = encryption.customerParams(objectEncryption);
+  return signPartUrls(upload, customParams.partNumbers, expires, this.S3, customerParams).then(function(Parts) {
+    var result = { Key: upload.Key, UploadId: upload.UploadId, Parts: Parts };
+    if (Object.keys(customerParams).length > 0) {
+      result.headers = encryption.requestHeaders(objectEncryption);
+    }
+    return result;
+  });
+};
+
+/*
+Parts S3 already holds for an upload, so an interrupted browser upload only
+sends the missing ones.
+
+Usage:
+bucket.listUploadedParts({ Key: 'videos/raw.mp4', UploadId: 'abc...' })
+
+Result:
+{ Key: 'videos/raw.mp4',
+  UploadId: 'abc...',
+  Parts: [ { PartNumber: 1, ETag: '"def..."', Size: 104857600, LastModified: 2018-03-19T17:49:05.000Z } ] }
+*/
+Bucket.prototype.listUploadedParts = function(customParams) {
+  var flags = ['Key', 'UploadId'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to list uploaded parts due parameters missing');
+  }
+
+  var params = {
+    Bucket: customParams.Bucket || this.bucketName || '',
+    Key: customParams.Key,
+    UploadId: customParams.UploadId
+  };
+  return listAllParts(params, this.S3).then(function(Parts) {
+    return { Key: params.Key, UploadId: params.UploadId, Parts: Parts };
+  });
+};
+
+/*
+Completes a browser upload from the ETags the client reported, in any order.
+
+Usage:
+bucket.completePresignedUpload({
+  Key: 'videos/raw.mp4',
+  UploadId: 'abc...',
+  Parts: [ { PartNumber: 2, ETag: '"def..."' }, { PartNumber: 1, ETag: 'ghi...' } ]
+})
+
+Result:
+{ response: { ETag: '"jkl...-2"', Location: '...', VersionId: 'mno...' },
+  url: 'https://your-bucket-name.s3.us-east-1.amazonaws.com/videos/raw.mp4' }
+*/
+Bucket.prototype.completePresignedUpload = function(customParams) {
+  var self = this;
+  var flags = ['Key', 'UploadId', 'Parts'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to complete presigned upload due parameters missing');
+  }
+  var parts = customParams.Parts;
+  if (!Array.isArray(parts) || parts.length < 1) {
+    throw new Error('Non empty array was expected for Parts parameter');
+  }
+  checkPartNumbers(parts.map(function(part) { return part.PartNumber; }));
+  parts.forEach(function(part) {
+    if (typeof part.ETag !== 'string' || part.ETag === '') {
+      throw new Error('ETag was expected for every part');
+    }
+  });
+
+  var Bucket = customParams.Bucket || this.bucketName || '';
+  var Key = customParams.Key;
+  var params = {
+    Bucket: Bucket,
+    Key: Key,
+    UploadId: customParams.UploadId,
+    MultipartUpload: {
+      Parts: prepareResultsForCopyCompletion(parts.map(function(part) {
+        return { PartNumber: part.PartNumber, ETag: quoteETag(part.ETag) };
+      }))
+    }
+  };
+  return completeMultipartCopy(params, this.S3).then(function(response) {
+    return {
+      url: self.getObjectUrl({ Bucket: Bucket, Key: Key }),
+      response: response
+    };
+  });
+};
+
+/*
+Aborts a browser upload and checks its parts are gone.
+
+Usage:
+bucket.abortPresignedUpload({ Key: 'videos/raw.mp4', UploadId: 'abc...' })
+
+Result:
+{ Bucket: 'your-bucket-name', Key: 'videos/raw.mp4', UploadId: 'abc...' }
+*/
+Bucket.prototype.abortPresignedUpload = function(customParams) {
+  var flags = ['Key', 'UploadId'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to abort presigned upload due parameters missing');
+  }
+
+  return abortMultipartUpload({
+    Bucket: customParams.Bucket || this.bucketName || '',
+    Key: customParams.Key,
+    UploadId: customParams.UploadId
+  }, this.S3);
+};
+
+/*
+Presigned POST policy for HTML form uploads. S3 enforces the conditions: an
+exact Key or a KeyPrefix, an exact ContentType or a ContentTypePrefix and the
+allowed size range in bytes. The form posts the returned fields, key included,
+followed by the file.
+
+Usage:
+bucket.getUploadPolicy({
+  Key: 'avatars/user-1.png', // OR KeyPrefix: 'avatars/', key is then '${filename}' under it
+  ContentType: 'image/png', // OR ContentTypePrefix: 'image/' (optional)
+  minSize: 1, // (optional) bytes
+  maxSize: 10485760, // (optional) bytes
+  Fields: { 'x-amz-meta-user': '1' }, // (optional) extra form fields
+  Expires: 3600, // (optional) seconds
+  encryption: { type: 'SSE-S3' }, // (optional) the instance one by default, SSE-C is not allowed
+})
+
+Result:
+{ url: 'https://s3.amazonaws.com/your-bucket-name',
+  fields:
+   { key: 'avatars/user-1.png',
+     'Content-Type': 'image/png',
+     acl: 'public-read',
+     bucket: 'your-bucket-name',
+     Policy: '...',
+     'X-Amz-Signature': '...' } }
+*/
+Bucket.prototype.getUploadPolicy = function(customParams) {
+  var params = customParams || {};
+  if (typeof params.Key === 'undefined' && typeof params.KeyPrefix === 'undefined') {
+    throw new Error('Unable to get upload policy due parameters missing');
+  }
+  ['minSize', 'maxSize', 'Expires'].forEach(function(name) {
+    if (typeof params[name] !== 'undefined' && typeof params[name] !== 'number') {
+      throw new Error(`Number was expected for ${name} parameter`);
+    }
+  });
+
+  var S3 = this.S3;
+  var bucketACL = this.bucketACL || '';
+  var objectEncryption = extractEncryption(Object.assign({}, params), this);
+  if (objectEncryption && objectEncryption.type === 'SSE-C') {
+    // the form would hand the customer key over to the browser
+    throw new Error('SSE-C is not supported by upload policies');
+  }
+  var fields = Object.assign({}, params.Fields, encryption.requestHeaders(objectEncryption, true));
+  checkEncryptionRequired(this, typeof params.Key === 'undefined' ? params.KeyPrefix : params.Key,
+    encryption.writeParams(objectEncryption), typeof params.Key === 'undefined');
+  var conditions = [];
+  if (typeof params.Key !== 'undefined') {
+    fields.key = params.Key;
+  } else {
+    conditions.push(['starts-with', '$key', params.KeyPrefix]);
+  }
+  if (typeof params.ContentType !== 'undefined') {
+    fields['Content-Type'] = params.ContentType;
+  } else if (typeof params.ContentTypePrefix !== 'undefined') {
+    conditions.push(['starts-with', '$Content-Type', params.ContentTypePrefix]);
+  }
+  if (bucketACL) {
+    fields.acl = bucketACL;
+  }
+  if (typeof params.minSize !== 'undefined' || typeof params.maxSize !== 'undefined') {
+    // a POST upload is a single PUT, 5GB at most
+    var maxSize = typeof params.maxSize === 'number' ? params.maxSize : COPY_OBJECT_MAXIMUM_BYTES;
+    conditions.push(['content-length-range', params.minSize || 0, maxSize]);
+  }
+
+  var createPresignedPostPromise = promisify(S3.createPresignedPost).bind(S3);
+  return createPresignedPostPromise({
+    Bucket: params.Bucket || this.bucketName || '',
+    Fields: fields,
+    Conditions: conditions,
+    Expires: params.Expires || DEFAULT_PRESIGNED_EXPIRES
+  }).then(function(post) {
+    // the form names the file under the prefix, the policy only checks the prefix
+    if (typeof params.Key === 'undefined') {
+      post.fields = Object.assign({}, post.fields, { key: params.KeyPrefix + '${filename}' });
+    }
+    return post;
+  });
+};
+
+/*
+Presigned getObject URL. The response headers can be overridden: filename
+forces a Content-Disposition (attachment by default, non ASCII names
+included), ContentType, CacheControl, ContentLanguage and ContentEncoding
+replace the stored ones.
+
+Usage:
+bucket.getDownloadUrl({
+  Key: 'reports/2018-03.pdf',
+  VersionId: 'abc...', // (optional)
+  Expires: 3600, // (optional) seconds, 1 hour by default, 7 days at most
+  filename: 'Report March.pdf', // (optional)
+  disposition: 'inline', // (optional) 'attachment' by default
+  ContentType: 'application/pdf', // (optional)
+  encryption: { type: 'SSE-C', customerKey: key }, // (optional) the instance one by default
+})
+
+Result:
+{ Key: 'reports/2018-03.pdf',
+  VersionId: 'abc...',
+  signedUrl: 'https://your-bucket-name.s3.amazonaws.com/reports/2018-03.pdf?...',
+  expiresAt: 2018-03-19T18:49:05.000Z }
+SSE-C objects are only served with the key headers, returned as headers.
+*/
+Bucket.prototype.getDownloadUrl = function(customParams) {
+  var flags = ['Key'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to get download url due parameters missing');
+  }
+
+  var S3 = this.S3;
+  var downloadParams = Object.assign({}, customParams);
+  var objectEncryption = extractEncryption(downloadParams, this);
+  var customerParams = encryption.customerParams(objectEncryption);
+  var params = Object.assign(buildDownloadParams(downloadParams, this.bucketName || ''), customerParams);
+  var getSignedUrlPromise = promisify(S3.getSignedUrl).bind(S3);
+  var expiresAt = new Date(Date.now() + params.Expires * 1000);
+
+  return getSignedUrlPromise('getObject', params).then(function(signedUrl) {
+    var result = {
+      Key: params.Key,
+      VersionId: params.VersionId,
+      signedUrl: signedUrl,
+      expiresAt: expiresAt
+    };
+    if (Object.keys(customerParams).length > 0) {
+      result.headers = encryption.requestHeaders(objectEncryption);
+    }
+    return result;
+  });
+};
+
+/*
+Presigned download URLs for many objects at once: the given files (keys or
+{ Key, VersionId, filename, ... } overriding the shared options) or every
+object under a Prefix. With manifest the URLs are written to that file too,
+CSV (Key,VersionId,url,expiresAt) when it ends in .csv, JSON otherwise.
+
+Usage:
+bucket.getDownloadUrls({
+  Prefix: 'reports/', // OR files: [ 'reports/2018-03.pdf', { Key: 'reports/2018-04.pdf', filename: 'April.pdf' } ]
+  Expires: 86400, // (optional) and the other getDownloadUrl options, for every file
+  concurrency: 4, // (optional) URLs signed in flight
+  manifest: './reports-links.csv', // (optional)
+})
+
+Result:
+{ Urls:
+   [ { Key: 'reports/2018-03.pdf', VersionId: undefined, signedUrl: 'https://...', expiresAt: 2018-03-20T17:49:05.000Z } ],
+  manifest: './reports-links.csv' }
+*/
+Bucket.prototype.getDownloadUrls = function(customParams) {
+  var self = this;
+  var params = Object.assign({}, customParams);
+  var hasFiles = Array.isArray(params.files);
+  if (!hasFiles && typeof params.Prefix !== 'string') {
+    throw new Error('Unable to get download urls due parameters missing');
+  }
+  var partOptions = extractPartOptions(params, self);
+  var manifestPath = params.manifest;
+  var files = params.files;
+  var prefix = params.Prefix;
+  delete params.files;
+  delete params.Prefix;
+  delete params.manifest;
+  // checks the shared options before listing anything
+  buildDownloadParams(Object.assign({ Key: '' }, params), self.bucketName || '');
+  params.encryption = extractEncryption(params, self) || false;
+
+  var listed = hasFiles ? Promise.resolve(files) : self.listFiles({ Prefix: prefix }).then(function(objects) {
+    // folder placeholders have nothing to download
+    return objects.filter(function(object) {
+      return object.Key.slice(-1) !== '/';
+    }).map(function(object) {
+      return object.Key;
+    });
+  });
+
+  return listed.then(function(entries) {
+    return Promise.map(entries, function(entry) {
+      var file = typeof entry === 'string' ? { Key: entry } : entry;
+      return self.getDownloadUrl(Object.assign({}, params, file));
+    }, { concurrency: partOptions.concurrency });
+  }).then(function(Urls) {
+    if (typeof manifestPath === 'undefined') {
+      return { Urls: Urls };
+    }
+    var rows = Urls.map(function(link) {
+      return {
+        Key: link.Key,
+        VersionId: link.VersionId,
+        url: link.signedUrl,
+        expiresAt: link.expiresAt.toISOString()
+      };
+    });
+    return manifest.writeManifest(manifestPath, rows, ['Key', 'VersionId', 'url', 'expiresAt'])
+      .then(function() {
+        return { Urls: Urls, manifest: manifestPath };
+      });
+  });
+};
+
+/*
+ Usage:
+
+ Result:
+{ response: { ETag: '"abc..."' },
+  url: 'https://your-bucket-name.s3.us-east-1.amazonaws.com/upload-test.txt' }
+With clientEncryption the body is encrypted on the way, its wrapped data key
+stored in the object metadata. With checksum, files over 5MB are uploaded
+with uploadFileMultipart so every part is sent with its ContentMD5.
+*/
+Bucket.prototype.uploadFile = function(customParams) {
+  var self = this;
+  var flags = ['filePath', 'Key'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to upload files due parameters missing');
+  }
+
+  var bucketName = this.bucketName || '';
+  var bucketACL = this.bucketACL || '';
+  var onProgress = extractProgressCallback(customParams);
+  var checksum = extractChecksum(customParams);
+  var objectEncryption = extractEncryption(customParams, this);
+  var envelope = extractClientEncryption(customParams, this);
+  if (checksum && envelope) {
+    throw new Error('checksum is not supported with clientEncryption, the GCM tag authenticates the body');
+  }
+
+  var filePath = customParams.filePath;
+  var defaultParams = {
+    ACL: bucketACL,
+    Bucket: bucketName,
+    ContentLength: getFilesizeInBytes(filePath)
+  };
+  var params = Object.assign(defaultParams, encryption.writeParams(objectEncryption), customParams);
+  delete params.filePath;
+  checkEncryptionRequired(this, params.Key, params);
+
+  // Params
+  var Bucket = params.Bucket;
+  var Key = params.Key;
+
+ //  console.log("AWS UPLOAD==>", params);
+
+  if (envelope) {
+    return localFiles.md5File(filePath).then(function(plainMd5) {
+      return clientEncryption.prepareEncryption(envelope, params.ContentLength, plainMd5);
+    }).then(function(prepared) {
+      params.Metadata = Object.assign({}, params.Metadata, prepared.Metadata);
+      params.ContentLength += clientEncryption.TAG_BYTES;
+      var cipher = prepared.createCipherStream();
+      // pipe does not forward errors, the upload reading the cipher fails with the read one
+      params.Body = fs.createReadStream(filePath)
+        .on('error', function(err) { cipher.destroy(err); })
+        .pipe(cipher);
+      return self._managedUpload(params, onProgress);
+    });
+  }
+
+  if (!checksum) {
+    params.Body = fs.createReadStream(filePath);
+    return this._managedUpload(params, onProgress);
+  }
+
+  // the managed upload switches to parts from its part size on, where S3 refuses
+  // ContentMD5, so those files go through uploadFileMultipart instead
+  if (params.ContentLength >= MANAGED_UPLOAD_PART_SIZE) {
+    return this.uploadFileMultipart(Object.assign({}, customParams, {
+      checksum: checksum,
+      encryption: objectEncryption || false,
+      onProgress: onProgress
+    }));
+  }
+
+  var fileMd5;
+  return checksums.digestRange(filePath).then(function(digest) {
+    fileMd5 = digest.md5.toString('hex');
+    params.ContentMD5 = digest.md5.toString('base64');
+    if (checksum === 'sha256') {
+      params.Metadata = Object.assign({}, params.Metadata);
+      params.Metadata[checksums.SHA256_METADATA] = digest.sha256.toString('hex');
+    }
+    params.Body = fs.createReadStream(filePath);
+    return self._managedUpload(params, onProgress);
+  }).then(function(res) {
+    var ETag = res.response.ETag;
+    // S3 checked ContentMD5, the ETag of SSE-KMS and SSE-C objects can not tell more.
+    // The response tells the encryption the object got, bucket default included
+    if (!encryption.hasMD5ETag(res.response)) {
+      return res;
+    }
+    if (quoteETag(fileMd5) !== ETag) {
+      return Promise.reject(checksumMismatch('Uploaded object ETag does not match the local file', quoteETag(fileMd5), ETag));
+    }
+    return res;
+  });
+};
+
+// S3.upload with its progress events, resolves as uploadFile
+Bucket.prototype._managedUpload = function(params, onProgress) {
+  var self = this;
+  var S3 = this.S3;
+  var Bucket = params.Bucket;
+  var Key = params.Key;
+
+  return new Promise(function (resolve, reject) {
+    // not promisified, the managed upload reports the progress
+    var managedUpload = S3.upload(params, function(err, response) {
+      if (err) {
+        return reject(err);
+      }
+      var url = self.getObjectUrl({ Bucket: Bucket, Key: Key });
+      resolve(Object.assign({
+        response: response,
+        url: url
+      }));
+    });
+    managedUpload.on('httpUploadProgress', function(event) {
+      onProgress({
+        operation: 'upload',
+        type: 'bytes',
+        Key: Key,
+        bytesTransferred: event.loaded,
+        bytesTotal: params.ContentLength
+      });
+    });
+  });
+};
+
+/*
+
+ Usage:
+
+ Result:
+{ response: { ETag: '"abc..."', CopySourceVersionId: 'def...', CopyObjectResult: { ... } },
+  url: 'https://your-bucket-name.s3.us-east-1.amazonaws.com/upload-test-copied.txt' } }
+ */
+Bucket.prototype.copyFile = function(customParams, appendPrefix) {
+  var self = this;
   var autoAppendPrefix = appendPrefix || false;
   var flags = ['CopySource', 'Key'];
   var hasAllFlags = checkParams(customParams, flags);
@@ -271,16 +1499,21 @@ Bucket.prototype.copyFile = function(customParams, appendPrefix) {
   var S3 = this.S3;
   var bucketName = this.bucketName || '';
   var bucketACL = this.bucketACL || '';
+  var objectEncryption = extractEncryption(customParams, this);
+  var sourceEncryption = extractEncryption(customParams, this, 'sourceEncryption');
 
   var defaultParams = {
     ACL: bucketACL,
     Bucket: bucketName,
   };
   if (autoAppendPrefix) {
-    // customParams.Key = `https://${bucketName}.s3.amazonaws.com/${customParams.Key}`;
     customParams.CopySource = `${bucketName}/${customParams.CopySource}`;
   }
-  var params = Object.assign(defaultParams, customParams);
+  var params = Object.assign(defaultParams,
+    encryption.writeParams(objectEncryption),
+    encryption.customerParams(sourceEncryption, 'CopySource'),
+    customParams);
+  checkEncryptionRequired(this, params.Key, params);
 
   // Params
   var Bucket = params.Bucket;
@@ -293,7 +1526,7 @@ Bucket.prototype.copyFile = function(customParams, appendPrefix) {
     return copyObjectPromise(params)
       .then(function(response) {
         // console.log('cp => ', response);
-        var url = `https://${Bucket}.s3.amazonaws.com/${Key}`;
+        var url = self.getObjectUrl({ Bucket: Bucket, Key: Key });
         resolve(Object.assign({
           response: response,
           url: url
@@ -310,119 +1543,1521 @@ Bucket.prototype.copyFile = function(customParams, appendPrefix) {
 
  Result:
 { response: { ETag: '"abc..."', CopySourceVersionId: 'def...', CopyObjectResult: { ... } },
-  url: 'https://your-bucket-name.s3.amazonaws.com/upload-test-copied.txt' } }
+  url: 'https://your-bucket-name.s3.us-east-1.amazonaws.com/upload-test-copied.txt' } }
  */
 
+// appendPrefix is kept for compatibility, CopySource is always taken from this bucket
 Bucket.prototype.copyFileMultipart = function(customParams, appendPrefix, fileSize) {
-  var autoAppendPrefix = appendPrefix || false;
+  var self = this;
   var S3 = this.S3;
   var bucketName = this.bucketName || '';
   var bucketACL = this.bucketACL || '';
+  var partOptions = extractPartOptions(customParams, this);
+  var metadataDirective = extractDirective(customParams, 'MetadataDirective');
+  var taggingDirective = extractDirective(customParams, 'TaggingDirective');
+  var checksum = extractChecksum(customParams);
+  var objectEncryption = extractEncryption(customParams, this);
+  var sourceEncryption = extractEncryption(customParams, this, 'sourceEncryption');
 
   var defaultParams = {
     ACL: bucketACL,
     Bucket: bucketName,
   };
-  var copySource = `${bucketName}/${customParams.CopySource}`;
-  const bucketKey = customParams.Key;
-  if (autoAppendPrefix) {
-    customParams.Key = `https://${bucketName}.s3.amazonaws.com/${customParams.Key}`;
-    delete customParams.CopySource;
+  var sourceParams = parseSourceKey(customParams.CopySource);
+  sourceParams.Bucket = bucketName;
+  var copySource = formatCopySource(bucketName, sourceParams.Key, sourceParams.VersionId);
+  delete customParams.CopySource;
+  var params = Object.assign(defaultParams,
+    encryption.writeParams(objectEncryption),
+    encryption.customerParams(sourceEncryption, 'CopySource'),
+    customParams);
+  checkEncryptionRequired(this, params.Key, params);
+
+  var headObjectPromise = promisify(S3.headObject).bind(S3);
+  var getObjectTaggingPromise = promisify(S3.getObjectTagging).bind(S3);
+  var sourceHead;
+  var copySize;
+
+  // the source part layout, when the copy parts match it
+  var sameSourceLayout = function(partitionsRanges) {
+    var sourceParts = checksums.countETagParts(sourceHead.ETag);
+    if (sourceParts === 0) {
+      return Promise.resolve(partitionsRanges.length === 1 && !!checksums.parseETag(sourceHead.ETag));
+    }
+    if (sourceParts !== partitionsRanges.length) {
+      return Promise.resolve(false);
+    }
+    var partParams = Object.assign({ PartNumber: 1 }, sourceParams, sourceCustomerParams(params));
+    return headObjectPromise(partParams).then(function(partHead) {
+      var sourceRanges = checksums.splitRanges(sourceHead.ContentLength, partHead.ContentLength);
+      return sourceRanges.join() === partitionsRanges.join();
+    });
+  };
+
+  if (checksum) {
+    /*
+    Every copied part ETag is the MD5 of its range: a copy in one part is
+    checked against the source MD5, a copy with the source part layout against
+    its composite ETag. Any other copy (other part sizes, SSE-C and KMS
+    objects whose ETags are not MD5s) is checked for size only.
+    */
+    partOptions.verifyComplete = function(completeResponse, partitionsRanges, parts) {
+      var partMd5s = parts.map(function(part) {
+        return checksums.parseETag(part.ETag);
+      });
+      var byETag = encryption.hasMD5ETag(completeResponse) && encryption.hasMD5ETag(sourceHead)
+        && partMd5s.indexOf(null) === -1
+        && copySize === sourceHead.ContentLength;
+      var checkLayout = byETag ? sameSourceLayout(partitionsRanges) : Promise.resolve(false);
+      return checkLayout.then(function(sameLayout) {
+        if (sameLayout) {
+          var actual = partMd5s.length === 1 && checksums.countETagParts(sourceHead.ETag) === 0
+            ? quoteETag(partMd5s[0].toString('hex'))
+            : checksums.compositeETag(partMd5s);
+          if (actual !== sourceHead.ETag) {
+            return Promise.reject(checksumMismatch('Copied object ETag does not match the source', sourceHead.ETag, actual));
+          }
+          return;
+        }
+        var copyParams = Object.assign({ Bucket: params.Bucket, Key: params.Key }, encryption.customerParams(objectEncryption));
+        if (typeof completeResponse.VersionId !== 'undefined') {
+          copyParams.VersionId = completeResponse.VersionId;
+        }
+        return headObjectPromise(copyParams).then(function(copyHead) {
+          if (copyHead.ContentLength !== copySize) {
+            return Promise.reject(checksumMismatch('Copied object size does not match the source', copySize, copyHead.ContentLength));
+          }
+        });
+      });
+    };
+  }
+
+  // the source metadata and tags, unless replaced, as copyObject does
+  return Promise.all([
+    headObjectPromise(Object.assign({}, sourceParams, sourceCustomerParams(params))),
+    taggingDirective === 'COPY' ? getObjectTaggingPromise(sourceParams) : null
+  ]).then(function(sourceResults) {
+    var head = sourceResults[0];
+    var tagging = sourceResults[1];
+    sourceHead = head;
+    var createParams = Object.assign({}, params);
+    if (metadataDirective === 'COPY') {
+      OBJECT_METADATA_FIELDS.forEach(function(name) { delete createParams[name]; });
+      Object.assign(createParams, pickObjectMetadata(head));
+    }
+    if (taggingDirective === 'COPY') {
+      delete createParams.Tagging;
+      var sourceTagging = formatTagging(tagging.TagSet);
+      if (sourceTagging) {
+        createParams.Tagging = sourceTagging;
+      }
+    }
+    copySize = typeof fileSize === 'undefined' ? head.ContentLength : fileSize;
+    return self._copyMultipart(createParams, copySource, copySize, partOptions);
+  });
+};
+
+/*
+Copies copySource ('bucket/key') into params.Bucket/params.Key part by part.
+params are the createMultipartUpload params, the per part params are taken
+from them.
+*/
+Bucket.prototype._copyMultipart = function(params, copySource, fileSize, partOptions) {
+  var self = this;
+  var S3 = this.S3;
+
+  // Params
+  var Bucket = params.Bucket;
+  var Key = params.Key;
+
+  // console.log("AWS COPY==>", params);
+  // every part gets the source conditions and both SSE-C keys, the upload does not
+  const copyPartParams = pickPartParams(params, COPY_PART_PARAMS);
+  copyPartParams.CopySource = copySource;
+  var createParams = Object.assign({}, params);
+  COPY_SOURCE_PARAMS.forEach(function(name) { delete createParams[name]; });
+  // computed upfront, invalid sizes throw before an upload is created
+  var partitionsRangeArray = calculatePartitionsRangeArray(fileSize, partOptions.partSize);
+  if (partitionsRangeArray.length === 0) {
+    throw new Error('File size greater than zero was expected for multipart copy');
+  }
+  var identity = {
+    operation: 'copy',
+    CopySource: copySource,
+    fileSize: fileSize
+  };
+
+  // every part gets its own params object
+  var copyPartWorker = function(part, uploadId) {
+    var partParams = Object.assign({}, copyPartParams, {
+      PartNumber: part.PartNumber,
+      CopySourceRange: 'bytes=' + part.range,
+      UploadId: uploadId
+    });
+    return copyPart(partParams, S3).then(function(result) {
+      return result.CopyPartResult.ETag;
+    });
+  };
+
+  return this._runMultipart(createParams, identity, partitionsRangeArray, copyPartWorker, partOptions)
+    .then(function(completeResponse) {
+      return {
+        url: self.getObjectUrl({ Bucket: Bucket, Key: Key }),
+        response: completeResponse
+      };
+    });
+};
+
+/*
+Drives a multipart upload or copy: creates (or resumes) the upload, runs
+partWorker(part, uploadId) for every missing part through the part scheduler
+and completes it. partWorker resolves the part ETag.
+
+Without a checkpoint any failure aborts the upload. With one, transient
+errors (throttling, 5xx) keep the upload and checkpoint so a later call can
+resume, anything else aborts the upload and drops the checkpoint.
+
+partOptions.verifyComplete(completeResponse, partitions, parts), when set,
+checks the completed object and rejects on mismatch. The object is stored by
+then, it is not aborted.
+
+Progress, operation is identity.operation ('upload' or 'copy'):
+{ operation: 'upload', type: 'part', Key: 'dumps/db.dump', PartNumber: 3,
+  partsDone: 3, partsTotal: 12, bytesTransferred: 1500000000, bytesTotal: 6000000000 }
+*/
+Bucket.prototype._runMultipart = function(params, identity, partitionsRangeArray, partWorker, partOptions) {
+  var S3 = this.S3;
+  var checkpointPath = partOptions.checkpoint;
+  var onProgress = partOptions.onProgress || function() {};
+  var startUpload = checkpointPath
+    ? resumeMultipart(checkpointPath, params, identity, partitionsRangeArray, S3)
+    : createMultipartCopy(params, S3).then(function(uploadId) {
+      return {
+        UploadId: uploadId,
+        partitions: partitionsRangeArray,
+        parts: []
+      };
+    });
+  var saveCheckpoint = checkpointPath ? checkpoint.createWriter(checkpointPath) : null;
+
+  return startUpload.then(function(state) {
+    var uploadId = state.UploadId;
+    var donePartNumbers = state.parts.map(function(part) { return part.PartNumber; });
+    var allParts = state.partitions.map(function(partitionRange, index) {
+      var range = partitions.parseRange(partitionRange);
+      return { PartNumber: index + 1, range: partitionRange, size: range.end - range.start + 1 };
+    });
+    var parts = allParts.filter(function(part) {
+      return donePartNumbers.indexOf(part.PartNumber) === -1;
+    });
+    var progress = {
+      operation: identity.operation,
+      type: 'part',
+      Key: params.Key,
+      partsDone: allParts.length - parts.length,
+      partsTotal: allParts.length,
+      bytesTransferred: 0,
+      bytesTotal: 0
+    };
+    allParts.forEach(function(part) {
+      progress.bytesTotal += part.size;
+      if (donePartNumbers.indexOf(part.PartNumber) !== -1) {
+        progress.bytesTransferred += part.size;
+      }
+    });
+
+    var worker = function(part) {
+      return Promise.resolve(partWorker(part, uploadId)).then(function(ETag) {
+        var donePart = { PartNumber: part.PartNumber, ETag: ETag };
+        progress.partsDone++;
+        progress.bytesTransferred += part.size;
+        onProgress(Object.assign({ PartNumber: part.PartNumber }, progress));
+        if (!saveCheckpoint) {
+          return donePart;
+        }
+        state.parts.push(donePart);
+        return saveCheckpoint(state).then(function() { return donePart; });
+      });
+    };
+
+    var completedParts;
+    return partScheduler.runParts(parts, worker, partOptions)
+      .then(function(doneParts) {
+        completedParts = prepareResultsForCopyCompletion(saveCheckpoint ? state.parts : doneParts);
+        var completeParams = {
+          Bucket: params.Bucket,
+          Key: params.Key,
+          MultipartUpload: {
+            Parts: completedParts
+          },
+          UploadId: uploadId
+        };
+        return completeMultipartCopy(completeParams, S3);
+      })
+      .then(function(completeResponse) {
+        if (!checkpointPath) {
+          return completeResponse;
+        }
+        return checkpoint.remove(checkpointPath).then(function() {
+          return completeResponse;
+        });
+      })
+      .catch(function(err) {
+        // keep the upload alive, the next call with this checkpoint resumes it
+        if (checkpointPath && partScheduler.isRetryableError(err)) {
+          err.checkpoint = checkpointPath;
+          err.UploadId = uploadId;
+          return Promise.reject(err);
+        }
+        var abortParams = {
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: uploadId
+        };
+        var abort = abortMultipartCopy(abortParams, S3, err, identity.operation);
+        if (!checkpointPath) {
+          return abort;
+        }
+        return abort.catch(function(abortErr) {
+          return checkpoint.remove(checkpointPath).then(function() {
+            return Promise.reject(abortErr);
+          });
+        });
+      })
+      .then(function(completeResponse) {
+        if (!partOptions.verifyComplete) {
+          return completeResponse;
+        }
+        return partOptions.verifyComplete(completeResponse, state.partitions, completedParts)
+          .then(function() {
+            return completeResponse;
+          });
+      });
+  });
+};
+
+/*
+Uploads a local file in parts, reading the file ranges in parallel. Takes the
+same part options as copyFileMultipart (concurrency, retries, retryDelay,
+partSize and checkpoint).
+
+Usage:
+bucket.uploadFileMultipart({
+  filePath: './dumps/db.dump',
+  Key: 'dumps/db.dump',
+  checkpoint: './dumps/db.dump.checkpoint.json' // (optional)
+})
+
+Result:
+{ response: { ETag: '"abc...-12"', Location: '...', VersionId: 'def...' },
+  url: 'https://your-bucket-name.s3.us-east-1.amazonaws.com/dumps/db.dump' }
+*/
+Bucket.prototype.uploadFileMultipart = function(customParams) {
+  var self = this;
+  var flags = ['filePath', 'Key'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to upload files due parameters missing');
+  }
+
+  var S3 = this.S3;
+  var bucketName = this.bucketName || '';
+  var bucketACL = this.bucketACL || '';
+  var partOptions = extractPartOptions(customParams, this);
+  var checksum = extractChecksum(customParams);
+  var objectEncryption = extractEncryption(customParams, this);
+  // parts go up in parallel, the GCM tag needs the whole body in order
+  if (extractClientEncryption(customParams, this)) {
+    throw new Error('clientEncryption is not supported by multipart uploads, use uploadFile');
+  }
+
+  var filePath = customParams.filePath;
+  var stats = fs.statSync(filePath);
+  var defaultParams = {
+    ACL: bucketACL,
+    Bucket: bucketName
+  };
+  var params = Object.assign(defaultParams, encryption.writeParams(objectEncryption), customParams);
+  delete params.filePath;
+  checkEncryptionRequired(this, params.Key, params);
+
+  // Params
+  var Bucket = params.Bucket;
+  var Key = params.Key;
+
+  const uploadPartParams = pickPartParams(params, UPLOAD_PART_PARAMS);
+  var partitionsRangeArray = calculatePartitionsRangeArray(stats.size, partOptions.partSize);
+  if (partitionsRangeArray.length === 0) {
+    throw new Error('File size greater than zero was expected for multipart upload');
+  }
+  // a file changed since the checkpoint was written can not be resumed
+  var identity = {
+    operation: 'upload',
+    filePath: path.resolve(filePath),
+    fileSize: stats.size,
+    mtime: stats.mtime.getTime()
+  };
+
+  // part MD5s by PartNumber, read once and reused by retries and the ETag check
+  var partMd5s = {};
+  var digestPart = function(partNumber, range) {
+    if (partMd5s[partNumber]) {
+      return Promise.resolve(partMd5s[partNumber]);
+    }
+    return checksums.digestRange(filePath, range.start, range.end).then(function(digest) {
+      partMd5s[partNumber] = digest.md5;
+      return digest.md5;
+    });
+  };
+
+  // a fresh read stream per attempt, so retries start from the part beginning
+  var uploadPartWorker = function(part, uploadId) {
+    var range = partitions.parseRange(part.range);
+    var partParams = Object.assign({}, uploadPartParams, {
+      PartNumber: part.PartNumber,
+      UploadId: uploadId,
+      ContentLength: range.end - range.start + 1
+    });
+    var checkPart = checksum ? digestPart(part.PartNumber, range) : Promise.resolve(null);
+    return checkPart.then(function(md5) {
+      if (md5) {
+        partParams.ContentMD5 = md5.toString('base64');
+      }
+      partParams.Body = fs.createReadStream(filePath, { start: range.start, end: range.end });
+      return uploadPart(partParams, S3);
+    }).then(function(result) {
+      return result.ETag;
+    });
+  };
+
+  var prepareUpload = Promise.resolve();
+  if (checksum) {
+    // the expected ETag comes from the parts actually used, resumed ones too
+    partOptions.verifyComplete = function(completeResponse, partitionsRanges) {
+      // S3 checked every ContentMD5, the ETag of SSE-KMS and SSE-C objects
+      // (bucket default encryption included) is not an MD5
+      if (!encryption.hasMD5ETag(completeResponse)) {
+        return Promise.resolve();
+      }
+      return Promise.mapSeries(partitionsRanges, function(partitionRange, index) {
+        return digestPart(index + 1, partitions.parseRange(partitionRange));
+      }).then(function(md5s) {
+        var expected = checksums.compositeETag(md5s);
+        if (expected !== completeResponse.ETag) {
+          return Promise.reject(checksumMismatch('Uploaded object ETag does not match the local file', expected, completeResponse.ETag));
+        }
+      });
+    };
+  }
+  if (checksum === 'sha256') {
+    prepareUpload = checksums.digestRange(filePath).then(function(digest) {
+      params.Metadata = Object.assign({}, params.Metadata);
+      params.Metadata[checksums.SHA256_METADATA] = digest.sha256.toString('hex');
+    });
+  }
+
+  return prepareUpload
+    .then(function() {
+      return self._runMultipart(params, identity, partitionsRangeArray, uploadPartWorker, partOptions);
+    })
+    .then(function(completeResponse) {
+      return {
+        url: self.getObjectUrl({ Bucket: Bucket, Key: Key }),
+        response: completeResponse
+      };
+    });
+};
+
+/*
+Compares a local file with an object: the size, the ETag (a plain MD5 or the
+composite one of a multipart upload, its part size read back with
+headObject PartNumber 1) and the SHA-256 stored by uploads with
+checksum: 'sha256'. Mismatches are reported (expected from the local file,
+actual from the object), not rejected. Composite ETags of parts with
+different sizes can not be recomputed and are not checked, neither are the
+ETags of SSE-KMS, SSE-C and client-side encrypted objects (the plain size of
+the latter is checked).
+
+Usage:
+bucket.verifyObject('./dumps/db.dump', 'dumps/db.dump', {
+  VersionId: 'abc...', // (optional)
+  encryption: { type: 'SSE-C', customerKey: key }, // (optional) needed for SSE-C objects only
+})
+
+Result:
+{ Key: 'dumps/db.dump',
+  VersionId: 'abc...',
+  ETag: '"def...-12"',
+  match: false,
+  Checked: [ 'size', 'etag' ],
+  Mismatches: [ { check: 'etag', expected: '"ghi...-12"', actual: '"def...-12"' } ] }
+*/
+Bucket.prototype.verifyObject = function(filePath, Key, customParams) {
+  if (typeof filePath === 'undefined' || typeof Key === 'undefined') {
+    throw new Error('Unable to verify object due parameters missing');
+  }
+  var S3 = this.S3;
+  var params = Object.assign({ Bucket: this.bucketName }, customParams, { Key: Key });
+  Object.assign(params, encryption.customerParams(extractEncryption(params, this)));
+  var headObjectPromise = promisify(S3.headObject).bind(S3);
+  var statPromise = promisify(fs.stat);
+
+  return Promise.all([headObjectPromise(params), statPromise(filePath)]).then(function(results) {
+    var head = results[0];
+    var size = results[1].size;
+    var report = {
+      Key: Key,
+      VersionId: head.VersionId,
+      ETag: head.ETag,
+      match: true,
+      Checked: [],
+      Mismatches: []
+    };
+    var check = function(name, expected, actual) {
+      report.Checked.push(name);
+      if (expected !== actual) {
+        report.Mismatches.push({ check: name, expected: expected, actual: actual });
+      }
+    };
+
+    // the ETag of a client-side encrypted object is the ciphertext one, its plain size is stored
+    if (clientEncryption.isEncrypted(head.Metadata)) {
+      check('size', size, Number(head.Metadata[clientEncryption.METADATA.length]));
+      report.match = report.Mismatches.length === 0;
+      return report;
+    }
+    check('size', size, head.ContentLength);
+    if (report.Mismatches.length > 0) {
+      report.match = false;
+      return report;
+    }
+
+    var storedSha256 = head.Metadata && head.Metadata[checksums.SHA256_METADATA];
+    var partsCount = checksums.countETagParts(head.ETag);
+    var checkETag;
+    if (!encryption.hasMD5ETag(head)) {
+      checkETag = Promise.resolve(null);
+    } else if (checksums.parseETag(head.ETag)) {
+      checkETag = checksums.digestRange(filePath).then(function(digest) {
+        check('etag', quoteETag(digest.md5.toString('hex')), head.ETag);
+        return digest;
+      });
+    } else if (partsCount > 0) {
+      var partParams = Object.assign({}, params, { PartNumber: 1 });
+      checkETag = headObjectPromise(partParams).then(function(partHead) {
+        var ranges = checksums.splitRanges(size, partHead.ContentLength);
+        if (ranges.length !== partsCount) {
+          return null;
+        }
+        return checksums.expectedETag(filePath, ranges).then(function(expected) {
+          check('etag', expected, head.ETag);
+          return null;
+        });
+      });
+    } else {
+      checkETag = Promise.resolve(null);
+    }
+
+    return checkETag.then(function(digest) {
+      if (!storedSha256) {
+        return;
+      }
+      var sha256 = digest ? Promise.resolve(digest) : checksums.digestRange(filePath);
+      return sha256.then(function(fileDigest) {
+        check('sha256', fileDigest.sha256.toString('hex'), storedSha256);
+      });
+    }).then(function() {
+      report.match = report.Mismatches.length === 0;
+      return report;
+    });
+  });
+};
+
+// source of a copy as reported, with its encryption when there is one
+var summarizeSource = function(head) {
+  var source = {
+    ContentLength: head.ContentLength,
+    ETag: head.ETag,
+    VersionId: head.VersionId
+  };
+  ['ServerSideEncryption', 'SSECustomerAlgorithm'].forEach(function(name) {
+    if (typeof head[name] !== 'undefined') {
+      source[name] = head[name];
+    }
+  });
+  return source;
+};
+
+/*
+Copies a file picking the strategy from the source size: a single copyObject
+up to 5GB (or multipartThreshold), a multipart copy above it.
+
+Usage:
+bucket.smartCopy({
+  SourceKey: 'upload-test.txt',
+  SourceBucket: 'other-bucket', // (optional) defaults to this bucket
+  VersionId: 'abc...', // (optional) source version to copy
+  Key: 'upload-test-copied.txt',
+  preserveMetadata: true, // (optional) carry over ContentType, Metadata, CacheControl...
+  preserveTags: true, // (optional) carry over the source tags
+  encryption: { type: 'SSE-KMS' }, // (optional) of the copy, the instance one by default
+  sourceEncryption: { type: 'SSE-C', customerKey: key }, // (optional) SSE-C key of the source
+})
+
+Result:
+{ strategy: 'multipart',
+  source: { ContentLength: 6000000000, ETag: '"abc...-12"', VersionId: 'def...' },
+  response: { ETag: '"ghi..."', ... },
+  url: 'https://your-bucket-name.s3.us-east-1.amazonaws.com/upload-test-copied.txt' }
+*/
+Bucket.prototype.smartCopy = function(customParams) {
+  var self = this;
+  var flags = ['SourceKey', 'Key'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to copy files due parameters missing');
+  }
+
+  var S3 = self.S3;
+  var bucketName = self.bucketName || '';
+  var bucketACL = self.bucketACL || '';
+  var partOptions = extractPartOptions(customParams, self);
+  var objectEncryption = extractEncryption(customParams, self);
+  var sourceEncryption = extractEncryption(customParams, self, 'sourceEncryption');
+  var multipartThreshold = self.multipartThreshold;
+  if (typeof customParams.multipartThreshold !== 'undefined') {
+    if (typeof customParams.multipartThreshold !== 'number') {
+      throw new Error('Number was expected for multipartThreshold parameter');
+    }
+    multipartThreshold = Math.min(customParams.multipartThreshold, COPY_OBJECT_MAXIMUM_BYTES);
+  }
+
+  var sourceParams = {
+    Bucket: customParams.SourceBucket || bucketName,
+    Key: customParams.SourceKey
+  };
+  if (typeof customParams.VersionId !== 'undefined') {
+    sourceParams.VersionId = customParams.VersionId;
+  }
+  var preserveMetadata = customParams.preserveMetadata || false;
+  var preserveTags = customParams.preserveTags || false;
+  var copySource = formatCopySource(sourceParams.Bucket, sourceParams.Key, sourceParams.VersionId);
+
+  var params = Object.assign({
+    ACL: bucketACL,
+    Bucket: bucketName
+  }, encryption.writeParams(objectEncryption), encryption.customerParams(sourceEncryption, 'CopySource'), customParams);
+  ['SourceKey', 'SourceBucket', 'VersionId', 'preserveMetadata', 'preserveTags', 'multipartThreshold']
+    .forEach(function(name) { delete params[name]; });
+  checkEncryptionRequired(self, params.Key, params);
+
+  var headObjectPromise = promisify(S3.headObject).bind(S3);
+  var getObjectTaggingPromise = promisify(S3.getObjectTagging).bind(S3);
+
+  return Promise.all([
+    headObjectPromise(Object.assign({}, sourceParams, sourceCustomerParams(params))),
+    preserveTags ? getObjectTaggingPromise(sourceParams) : null
+  ]).then(function(sourceResults) {
+    var head = sourceResults[0];
+    var tagging = sourceResults[1];
+    var source = summarizeSource(head);
+    var sourceMetadata = preserveMetadata ? pickObjectMetadata(head) : {};
+    var sourceTagging = tagging ? formatTagging(tagging.TagSet) : undefined;
+
+    if (head.ContentLength <= multipartThreshold) {
+      // COPY keeps the source metadata and tags as the multipart path does, REPLACE keeps only the given ones
+      var copyParams = Object.assign({
+        CopySource: copySource,
+        MetadataDirective: preserveMetadata ? 'COPY' : 'REPLACE',
+        TaggingDirective: preserveTags ? 'COPY' : 'REPLACE'
+      }, params);
+      var copyObjectPromise = promisify(S3.copyObject).bind(S3);
+      return copyObjectPromise(copyParams).then(function(response) {
+        return {
+          strategy: 'copy',
+          source: source,
+          response: response,
+          url: self.getObjectUrl(copyParams)
+        };
+      });
+    }
+
+    var createParams = Object.assign({}, sourceMetadata, params);
+    if (sourceTagging) {
+      createParams.Tagging = sourceTagging;
+    }
+    return self._copyMultipart(createParams, copySource, head.ContentLength, partOptions)
+      .then(function(res) {
+        return Object.assign({ strategy: 'multipart', source: source }, res);
+      });
+  });
+};
+
+// same size, and same MD5 when both ETags are plain MD5s
+var copyMatchesSource = function(head, source) {
+  var plainMD5 = /^"[0-9a-f]{32}"$/;
+  if (head.ContentLength !== source.ContentLength) {
+    return false;
+  }
+  var comparable = plainMD5.test(head.ETag) && plainMD5.test(source.ETag)
+    && encryption.hasMD5ETag(head) && encryption.hasMD5ETag(source);
+  return !comparable || head.ETag === source.ETag;
+};
+
+/*
+Copies every object under Prefix to DestinationPrefix, in this bucket or in
+DestinationBucket, picking a single or multipart copy per object (see
+smartCopy) with metadata and tags carried over. Keys keep their path below
+the prefix. A source bucket reached with other credentials is given as
+sourceClient (see the client param), its objects are then streamed: ranged
+GETs piped into an upload. Every copy is checked with a headObject of the
+destination (size, and MD5 for plain ETags). Failures are reported, the
+other objects go on.
+
+Usage:
+bucket.copyPrefix({
+  Prefix: 'photos/2018/',
+  DestinationPrefix: 'archive/photos/2018/',
+  SourceBucket: 'other-bucket', // (optional) defaults to this bucket
+  DestinationBucket: 'archive-bucket', // (optional) defaults to this bucket
+  sourceClient: AWSBucket.adapters.v2(new AWS.S3({ ... })), // (optional) source credentials
+  preserveMetadata: true, // (optional) default true
+  preserveTags: true, // (optional) default true
+  encryption: { type: 'SSE-KMS' }, // (optional) of the copies, the instance one by default
+  sourceEncryption: { type: 'SSE-C', customerKey: key }, // (optional) SSE-C key of the sources
+  concurrency: 4, // (optional) objects in flight
+  dryRun: true, // (optional) only list the copies
+  onProgress: function(event) {}, // (optional) see Progress
+})
+
+Result:
+{ dryRun: false,
+  Prefix: 'photos/2018/',
+  DestinationBucket: 'archive-bucket',
+  DestinationPrefix: 'archive/photos/2018/',
+  Copied:
+   [ { SourceKey: 'photos/2018/a.jpg', Key: 'archive/photos/2018/a.jpg', Size: 1024, strategy: 'copy' } ],
+  Errors:
+   [ { SourceKey: 'photos/2018/b.jpg', Key: 'archive/photos/2018/b.jpg', Code: 'AccessDenied', Message: '...' } ] }
+*/
+Bucket.prototype.copyPrefix = function(customParams) {
+  return this._copyPrefix(customParams, false);
+};
+
+/*
+copyPrefix, then the sources whose copy was verified are deleted (a delete
+marker in versioned buckets). Sources failing to copy or to verify are kept.
+
+Usage:
+bucket.movePrefix({
+  Prefix: 'uploads/tmp/',
+  DestinationPrefix: 'uploads/done/',
+  // and any copyPrefix option
+})
+
+Result:
+{ dryRun: false,
+  Prefix: 'uploads/tmp/',
+  DestinationBucket: 'your-bucket-name',
+  DestinationPrefix: 'uploads/done/',
+  Copied: [ ... ],
+  Deleted: [ 'uploads/tmp/a.txt' ],
+  Errors: [ ... ] }
+*/
+Bucket.prototype.movePrefix = function(customParams) {
+  return this._copyPrefix(customParams, true);
+};
+
+Bucket.prototype._copyPrefix = function(customParams, move) {
+  var self = this;
+  var operation = move ? 'movePrefix' : 'copyPrefix';
+  var flags = ['Prefix', 'DestinationPrefix'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error(`Unable to ${move ? 'move' : 'copy'} prefix due parameters missing`);
+  }
+  if (typeof customParams.Prefix !== 'string' || typeof customParams.DestinationPrefix !== 'string') {
+    throw new Error('String was expected for Prefix and DestinationPrefix parameters');
+  }
+
+  var params = Object.assign({}, customParams);
+  var partOptions = extractPartOptions(params, self);
+  var objectEncryption = extractEncryption(params, self);
+  var sourceEncryption = extractEncryption(params, self, 'sourceEncryption');
+  var prefix = params.Prefix;
+  var destinationPrefix = params.DestinationPrefix;
+  var sourceBucketName = params.SourceBucket || self.bucketName || '';
+  var destinationBucketName = params.DestinationBucket || self.bucketName || '';
+  if (sourceBucketName === destinationBucketName && prefix === destinationPrefix) {
+    throw new Error('Destination should differ from the source');
+  }
+  checkEncryptionRequired(self, destinationPrefix, encryption.writeParams(objectEncryption), true);
+  var streamed = typeof params.sourceClient !== 'undefined' && params.sourceClient !== self.S3;
+  var sourceS3 = streamed ? params.sourceClient : self.S3;
+  var preserveMetadata = params.preserveMetadata !== false;
+  var preserveTags = params.preserveTags !== false;
+  var dryRun = params.dryRun === true;
+  var retryOptions = { retries: partOptions.retries, retryDelay: partOptions.retryDelay };
+
+  var S3 = self.S3;
+  var headObjectPromise = promisify(S3.headObject).bind(S3);
+  var sourceHeadObjectPromise = promisify(sourceS3.headObject).bind(sourceS3);
+  var sourceGetObjectTaggingPromise = promisify(sourceS3.getObjectTagging).bind(sourceS3);
+
+  // GET ranges from the source client, upload them with this one
+  var streamCopy = function(object, Key) {
+    var sourceParams = { Bucket: sourceBucketName, Key: object.Key };
+    var readParams = Object.assign({}, sourceParams, encryption.customerParams(sourceEncryption));
+    return Promise.all([
+      sourceHeadObjectPromise(readParams),
+      preserveTags ? sourceGetObjectTaggingPromise(sourceParams) : null
+    ]).then(function(sourceResults) {
+      var head = sourceResults[0];
+      var tagging = sourceResults[1];
+      var uploadParams = Object.assign(preserveMetadata ? pickObjectMetadata(head) : {}, encryption.writeParams(objectEncryption), {
+        ACL: self.bucketACL || '',
+        Bucket: destinationBucketName,
+        Key: Key,
+        ContentLength: head.ContentLength
+      });
+      checkEncryptionRequired(self, Key, uploadParams);
+      uploadParams.Body = createRangeReadStream(Object.assign({ IfMatch: head.ETag }, readParams),
+        head.ContentLength, DEFAULT_DOWNLOAD_PART_SIZE, sourceS3, retryOptions);
+      var sourceTagging = tagging ? formatTagging(tagging.TagSet) : undefined;
+      if (sourceTagging) {
+        uploadParams.Tagging = sourceTagging;
+      }
+      return new Promise(function(resolve, reject) {
+        S3.upload(uploadParams, function(err) {
+          if (err) {
+            return reject(err);
+          }
+          resolve({
+            strategy: 'stream',
+            source: summarizeSource(head)
+          });
+        });
+      });
+    });
+  };
+
+  var copyObject = function(object, Key) {
+    if (streamed) {
+      return streamCopy(object, Key);
+    }
+    return self.smartCopy({
+      SourceKey: object.Key,
+      SourceBucket: sourceBucketName,
+      Bucket: destinationBucketName,
+      Key: Key,
+      preserveMetadata: preserveMetadata,
+      preserveTags: preserveTags,
+      encryption: objectEncryption || false,
+      sourceEncryption: sourceEncryption || false,
+      partSize: partOptions.partSize,
+      retries: partOptions.retries,
+      retryDelay: partOptions.retryDelay
+    });
+  };
+
+  var sourceBucket = new Bucket({
+    bucketName: sourceBucketName,
+    client: sourceS3,
+    pagingDelay: self.pagingDelay
+  });
+  var report = {
+    dryRun: dryRun,
+    Prefix: prefix,
+    DestinationBucket: destinationBucketName,
+    DestinationPrefix: destinationPrefix,
+    Copied: [],
+    Errors: []
+  };
+  if (move) {
+    report.Deleted = [];
+  }
+
+  return sourceBucket.listFiles({ Prefix: prefix }).then(function(objects) {
+    var filesDone = 0;
+    return Promise.map(objects, function(object) {
+      var Key = destinationPrefix + object.Key.slice(prefix.length);
+      var entry = { SourceKey: object.Key, Key: Key, Size: object.Size };
+      if (dryRun) {
+        report.Copied.push(entry);
+        return null;
+      }
+      return copyObject(object, Key).then(function(res) {
+        entry.strategy = res.strategy;
+        var destinationParams = Object.assign({ Bucket: destinationBucketName, Key: Key },
+          encryption.customerParams(objectEncryption));
+        return headObjectPromise(destinationParams).then(function(head) {
+          if (!copyMatchesSource(head, res.source)) {
+            const err = new Error('Copied object does not match its source');
+            err.code = 'VerificationFailed';
+            return Promise.reject(err);
+          }
+          report.Copied.push(entry);
+          return { Key: object.Key };
+        });
+      }).catch(function(err) {
+        report.Errors.push({ SourceKey: object.Key, Key: Key, Code: err.code, Message: err.message });
+        return null;
+      }).then(function(verified) {
+        filesDone++;
+        partOptions.onProgress({
+          operation: operation,
+          type: 'file',
+          status: verified ? 'done' : 'failed',
+          Key: object.Key,
+          filesDone: filesDone,
+          filesTotal: objects.length
+        });
+        return verified;
+      });
+    }, { concurrency: partOptions.concurrency });
+  }).then(function(verified) {
+    // copies finish in any order, reported in listing order
+    report.Copied.sort(function(a, b) {
+      return a.SourceKey < b.SourceKey ? -1 : 1;
+    });
+    var sources = verified.filter(function(object) { return object !== null; });
+    if (!move || sources.length === 0) {
+      return report;
+    }
+    return Promise.mapSeries(chunkDeletes(sources), function(batch) {
+      return deleteKeysWithRetry(sourceBucketName, batch, sourceS3, retryOptions).then(function(response) {
+        report.Deleted = report.Deleted.concat(response.Deleted.map(function(deleted) { return deleted.Key; }));
+        report.Errors = report.Errors.concat(response.Errors.map(function(error) {
+          return { SourceKey: error.Key, Code: error.Code, Message: error.Message };
+        }));
+      });
+    }).then(function() {
+      return report;
+    });
+  });
+};
+
+/*
+Progress, besides the bytes of every upload:
+{ operation: 'uploadMultipleFiles', type: 'file', status: 'done', Key: 'upload-test-1.txt',
+  filesDone: 1, filesTotal: 2 }
+*/
+Bucket.prototype.uploadMultipleFiles = function(customParams) {
+  var self = this;
+  var flags = ['files'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to upload multiple files due parameters missing');
+  }
+  var onProgress = extractProgressCallback(customParams);
+  var checksum = extractChecksum(customParams);
+  var objectEncryption = extractEncryption(customParams, self);
+  var envelope = extractClientEncryption(customParams, self);
+
+  // check files not empty
+  if (typeof customParams.files !== 'object'
+    || customParams.files.length < 1) {
+    throw new Error('Files array should not be empty');
+  }
+
+  var uploadsQueue = [];
+  var filesTotal = customParams.files.length;
+  var filesDone = 0;
+
+  // check files integrity
+  customParams.files.forEach(function(file) {
+    if (typeof file.Key !== 'string') {
+      throw new Error('File name Key should be string');
+    }
+    if (typeof file.filePath === 'undefined') {
+      throw new Error('File path should be provided');
+    }
+
+    uploadsQueue.push(function() {
+      var fileProgress = function(status) {
+        onProgress({
+          operation: 'uploadMultipleFiles',
+          type: 'file',
+          status: status,
+          Key: file.Key,
+          filesDone: filesDone,
+          filesTotal: filesTotal
+        });
+      };
+      fileProgress('start');
+      var uploadParams = {
+        filePath: file.filePath,
+        Key: file.Key,
+        onProgress: onProgress,
+        encryption: objectEncryption || false,
+        clientEncryption: envelope || false
+      };
+      if (checksum) {
+        uploadParams.checksum = checksum;
+      }
+      return self.uploadFile(uploadParams).then(function(res) {
+        filesDone++;
+        fileProgress('done');
+        return res;
+      });
+    });
+  });
+
+  return Promise.resolve(uploadsQueue).mapSeries(f => f());
+};
+
+/*
+Uploads the new and changed files of a local directory under a key prefix.
+Files are compared with the bucket listing by size and, when the ETag is a
+plain MD5 (not a multipart upload one), by MD5. With clientEncryption the
+plain MD5 stored with the object is read with a HEAD request instead. Paths
+are '/' separated and relative to localDir, include and exclude globs apply
+to them.
+
+Usage:
+bucket.syncDirectory({
+  localDir: './public',
+  Prefix: 'site/', // (optional) keys prefix
+  include: ['*.html', 'assets/**'], // (optional) globs, all files by default
+  exclude: ['assets/tmp/**'], // (optional) globs
+  deleteRemoved: true, // (optional) delete keys with no local file
+  dryRun: true, // (optional) only return the planned actions
+  log: console.log, // (optional) prints the planned actions of a dry run, console.log by default
+  concurrency: 4, // (optional) uploads in flight
+})
+
+Result:
+{ dryRun: false,
+  Uploaded: [ { filePath: 'public/index.html', Key: 'site/index.html', reason: 'changed' } ],
+  Deleted: [ 'site/old.html' ],
+  Unchanged: [ 'site/assets/app.js' ],
+  Errors: [] }
+*/
+Bucket.prototype.syncDirectory = function(customParams) {
+  var self = this;
+  var flags = ['localDir'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to sync directory due parameters missing');
+  }
+  ['include', 'exclude'].forEach(function(name) {
+    if (typeof customParams[name] !== 'undefined' && !Array.isArray(customParams[name])) {
+      throw new Error(`Array was expected for ${name} parameter`);
+    }
+  });
+
+  var params = Object.assign({}, customParams);
+  var partOptions = extractPartOptions(params, self);
+  var onProgress = partOptions.onProgress;
+  var localDir = params.localDir;
+  var prefix = params.Prefix || '';
+  if (prefix !== '' && prefix.slice(-1) !== '/') {
+    prefix += '/';
+  }
+  var dryRun = params.dryRun || false;
+  var deleteRemoved = params.deleteRemoved || false;
+  var log = params.log || (dryRun ? console.log : function() {});
+  var pathFilter = localFiles.createPathFilter(params.include, params.exclude);
+
+  var headObjectPromise = promisify(self.S3.headObject).bind(self.S3);
+
+  // the plain MD5 stored with a client-side encrypted object, its ETag is the ciphertext one
+  var remotePlainMd5 = function(Key) {
+    var headParams = Object.assign({ Bucket: self.bucketName, Key: Key }, encryption.customerParams(self.encryption));
+    return headObjectPromise(headParams).then(function(head) {
+      return (head.Metadata || {})[clientEncryption.METADATA.md5] || null;
+    });
+  };
+
+  // resolves the upload reason, null when the remote object is up to date
+  var compareWithRemote = function(file, remoteObject) {
+    if (!remoteObject) {
+      return Promise.resolve('new');
+    }
+    // client-side encrypted bodies carry their GCM tag
+    var tagBytes = self.clientEncryption ? clientEncryption.TAG_BYTES : 0;
+    if (remoteObject.Size !== file.size + tagBytes) {
+      return Promise.resolve('changed');
+    }
+    var ETag = (remoteObject.ETag || '').replace(/"/g, '');
+    // multipart ETags are not the MD5 of the object
+    if (ETag.indexOf('-') !== -1 && tagBytes === 0) {
+      return Promise.resolve(null);
+    }
+    var remoteMd5 = tagBytes > 0 ? remotePlainMd5(remoteObject.Key) : Promise.resolve(ETag);
+    return Promise.all([remoteMd5, localFiles.md5File(file.filePath)]).then(function(md5s) {
+      return md5s[0] === md5s[1] ? null : 'changed';
+    });
+  };
+
+  return Promise.all([
+    localFiles.walkDirectory(localDir),
+    self.listFiles({ Prefix: prefix })
+  ]).then(function(results) {
+    var localList = results[0].filter(function(file) {
+      return pathFilter(file.relativePath);
+    });
+    var remote = {};
+    results[1].forEach(function(remoteObject) {
+      if (pathFilter(remoteObject.Key.slice(prefix.length))) {
+        remote[remoteObject.Key] = remoteObject;
+      }
+    });
+    var report = {
+      dryRun: dryRun,
+      Uploaded: [],
+      Deleted: [],
+      Unchanged: [],
+      // per key upload and deleteObjects errors, failed deleteObjects requests reject
+      Errors: []
+    };
+
+    return Promise.map(localList, function(file) {
+      var Key = prefix + file.relativePath;
+      var remoteObject = remote[Key];
+      delete remote[Key];
+      return compareWithRemote(file, remoteObject).then(function(reason) {
+        if (reason) {
+          report.Uploaded.push({ filePath: file.filePath, Key: Key, reason: reason });
+        } else {
+          report.Unchanged.push(Key);
+        }
+      });
+    }, { concurrency: partOptions.concurrency }).then(function() {
+      // whatever is left in the listing has no local file
+      if (deleteRemoved) {
+        report.Deleted = Object.keys(remote).sort();
+      }
+
+      if (dryRun) {
+        report.Uploaded.forEach(function(upload) {
+          log(`upload (${upload.reason}) ${upload.filePath} -> ${upload.Key}`);
+        });
+        report.Deleted.forEach(function(Key) {
+          log(`delete ${Key}`);
+        });
+        return report;
+      }
+
+      var filesDone = 0;
+      return Promise.map(report.Uploaded, function(upload) {
+        return self.uploadFile({ filePath: upload.filePath, Key: upload.Key }).then(function() {
+          filesDone++;
+          onProgress({
+            operation: 'syncDirectory',
+            type: 'file',
+            status: 'done',
+            Key: upload.Key,
+            filesDone: filesDone,
+            filesTotal: report.Uploaded.length
+          });
+        }).catch(function(err) {
+          // one failed upload does not stop the others
+          report.Errors.push({ Key: upload.Key, Code: err.code, Message: err.message });
+        });
+      }, { concurrency: partOptions.concurrency }).then(function() {
+        return Promise.mapSeries(chunkDeletes(report.Deleted), function(chunk) {
+          return self.deleteFiles({ files: chunk }).then(function(response) {
+            report.Errors = report.Errors.concat(response.Errors || []);
+          });
+        });
+      }).then(function() {
+        var failedKeys = report.Errors.map(function(error) { return error.Key; });
+        report.Uploaded = report.Uploaded.filter(function(upload) {
+          return failedKeys.indexOf(upload.Key) === -1;
+        });
+        report.Deleted = report.Deleted.filter(function(Key) {
+          return failedKeys.indexOf(Key) === -1;
+        });
+        return report;
+      });
+    });
+  });
+};
+
+/*
+Downloads an object to a local file. Objects larger than one part are fetched
+with parallel ranged GETs (same partitioning as the multipart copy, 64MB parts
+by default, each part held in memory while written). Data goes to
+`<filePath>.download` with its progress in `<filePath>.download.json`, an
+interrupted download called again resumes from them. Once done the size, and
+the MD5 when the ETag is a plain MD5, is checked before moving the file in
+place. Client-side encrypted objects are then decrypted, their GCM tag
+checked (err.code 'DecryptionFailed' when it does not match), unless
+clientEncryption is false.
+
+Usage:
+bucket.downloadFile({
+  Key: 'dumps/db.dump',
+  filePath: './dumps/db.dump',
+  VersionId: 'abc...', // (optional)
+  concurrency: 4, // (optional) parts in flight
+  partSize: 67108864, // (optional)
+  encryption: { type: 'SSE-C', customerKey: key }, // (optional) needed for SSE-C objects only
+  clientEncryption: { keyring: function(keyId) {} }, // (optional) the instance one by default
+})
+
+Result:
+{ Key: 'dumps/db.dump',
+  filePath: './dumps/db.dump',
+  VersionId: 'abc...',
+  ETag: '"def...-12"',
+  size: 6000000000,
+  resumed: false,
+  verified: 'size', // 'md5' when the ETag is a plain MD5
+  decrypted: false }
+*/
+Bucket.prototype.downloadFile = function(customParams) {
+  var flags = ['Key', 'filePath'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to download file due parameters missing');
+  }
+
+  var S3 = this.S3;
+  var bucketName = this.bucketName || '';
+  var params = Object.assign({}, customParams);
+  var partOptions = extractPartOptions(params, this);
+  var onProgress = partOptions.onProgress;
+  var objectEncryption = extractEncryption(params, this);
+  // false downloads client-side encrypted bodies as they are stored
+  var keepEncrypted = params.clientEncryption === false;
+  var envelope = extractClientEncryption(params, this);
+  var filePath = params.filePath;
+  var tmpPath = `${filePath}.download`;
+  var checkpointPath = `${tmpPath}.json`;
+  var saveCheckpoint = checkpoint.createWriter(checkpointPath);
+
+  // the SSE-C key is sent with every read but never saved in the checkpoint
+  var objectParams = Object.assign({
+    Bucket: params.Bucket || bucketName,
+    Key: params.Key
+  }, encryption.customerParams(objectEncryption));
+  if (typeof params.VersionId !== 'undefined') {
+    objectParams.VersionId = params.VersionId;
+  }
+
+  var headObjectPromise = promisify(S3.headObject).bind(S3);
+  var openPromise = promisify(fs.open);
+  var closePromise = promisify(fs.close);
+  var renamePromise = promisify(fs.rename);
+  var fd = null;
+
+  return Promise.all([
+    headObjectPromise(objectParams),
+    checkpoint.load(checkpointPath)
+  ]).then(function(results) {
+    var head = results[0];
+    var state = results[1];
+    var fileSize = head.ContentLength;
+    // resume only the exact same object, ETag and version included
+    var resumed = !!state
+      && fs.existsSync(tmpPath)
+      && state.Bucket === objectParams.Bucket
+      && state.Key === objectParams.Key
+      && state.ETag === head.ETag
+      && state.fileSize === fileSize;
+    if (!resumed) {
+      state = {
+        operation: 'download',
+        Bucket: objectParams.Bucket,
+        Key: objectParams.Key,
+        VersionId: head.VersionId,
+        ETag: head.ETag,
+        fileSize: fileSize,
+        partitions: calculatePartitionsRangeArray(fileSize, partOptions.partSize || DEFAULT_DOWNLOAD_PART_SIZE),
+        parts: []
+      };
+    }
+
+    var allParts = state.partitions.map(function(partitionRange, index) {
+      var range = partitions.parseRange(partitionRange);
+      return { PartNumber: index + 1, start: range.start, end: range.end };
+    });
+    var parts = allParts.filter(function(part) {
+      return state.parts.indexOf(part.PartNumber) === -1;
+    });
+    var progress = {
+      operation: 'download',
+      type: 'part',
+      Key: objectParams.Key,
+      partsDone: allParts.length - parts.length,
+      partsTotal: allParts.length,
+      bytesTransferred: 0,
+      bytesTotal: fileSize
+    };
+    allParts.forEach(function(part) {
+      if (state.parts.indexOf(part.PartNumber) !== -1) {
+        progress.bytesTransferred += part.end - part.start + 1;
+      }
+    });
+
+    var downloadPartWorker = function(part) {
+      // IfMatch fails the part if the object changes while downloading
+      var partParams = Object.assign({}, objectParams, {
+        Range: `bytes=${part.start}-${part.end}`,
+        IfMatch: head.ETag
+      });
+      return getObjectRange(partParams, S3).then(function(body) {
+        if (body.length !== part.end - part.start + 1) {
+          return Promise.reject(new Error(`Part ${part.PartNumber} size does not match its range`));
+        }
+        return writeAt(fd, body, part.start);
+      }).then(function() {
+        state.parts.push(part.PartNumber);
+        progress.partsDone++;
+        progress.bytesTransferred += part.end - part.start + 1;
+        onProgress(Object.assign({ PartNumber: part.PartNumber }, progress));
+        return saveCheckpoint(state);
+      });
+    };
+
+    return openPromise(tmpPath, resumed ? 'r+' : 'w')
+      .then(function(openedFd) {
+        fd = openedFd;
+        return saveCheckpoint(state);
+      })
+      .then(function() {
+        return partScheduler.runParts(parts, downloadPartWorker, partOptions);
+      })
+      .finally(function() {
+        return fd === null ? null : closePromise(fd);
+      })
+      .then(function() {
+        return verifyDownload(tmpPath, fileSize, encryption.hasMD5ETag(head) ? head.ETag : undefined);
+      })
+      .then(function(verified) {
+        var decrypted = !keepEncrypted && clientEncryption.isEncrypted(head.Metadata);
+        var moved;
+        if (!decrypted) {
+          moved = renamePromise(tmpPath, filePath);
+        } else if (!envelope) {
+          moved = Promise.reject(new Error('Unable to decrypt due clientEncryption keyring missing'));
+        } else {
+          // decrypted aside, a body that does not authenticate leaves filePath untouched
+          moved = clientEncryption.decryptFile(envelope, head.Metadata, tmpPath, `${tmpPath}.plain`).then(function() {
+            return renamePromise(`${tmpPath}.plain`, filePath);
+          }).then(function() {
+            return checkpoint.remove(tmpPath);
+          });
+        }
+        return moved.then(function() {
+          return checkpoint.remove(checkpointPath);
+        }).then(function() {
+          return {
+            Key: objectParams.Key,
+            filePath: filePath,
+            VersionId: head.VersionId,
+            ETag: head.ETag,
+            size: fileSize,
+            resumed: resumed,
+            verified: verified,
+            decrypted: decrypted
+          };
+        });
+      })
+      .catch(function(err) {
+        // keep the partial file, the next call resumes it
+        if (partScheduler.isRetryableError(err)) {
+          err.checkpoint = checkpointPath;
+          return Promise.reject(err);
+        }
+        return Promise.all([checkpoint.remove(checkpointPath), checkpoint.remove(tmpPath)])
+          .then(function() {
+            return Promise.reject(err);
+          });
+      });
+  });
+};
+
+/*
+Downloads every object under a prefix into localDir, keys mapped to paths
+relative to the prefix. Each file is downloaded as with downloadFile, resuming
+from its own checkpoint. The partConcurrency of the bucket is shared by the
+files in flight (one part each at least), so at most
+max(concurrency, partConcurrency) parts are held in memory.
+
+Usage:
+bucket.downloadPrefix({
+  Prefix: 'dumps/',
+  localDir: './dumps',
+  concurrency: 4, // (optional) files in flight
+  partSize: 67108864, // (optional) as downloadFile
+  encryption: { type: 'SSE-C', customerKey: key }, // (optional) as downloadFile
+  clientEncryption: false, // (optional) as downloadFile
+})
+
+Result:
+[ { Key: 'dumps/db.dump', filePath: 'dumps/db.dump', ... } ]
+*/
+Bucket.prototype.downloadPrefix = function(customParams) {
+  var self = this;
+  var flags = ['Prefix', 'localDir'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to download prefix due parameters missing');
+  }
+  if (typeof customParams.checkpoint !== 'undefined') {
+    throw new Error('checkpoint is not supported by downloadPrefix, every file keeps its own');
   }
-  var params = Object.assign(defaultParams, customParams);
 
-  // Params
-  var Bucket = params.Bucket;
-  var Key = params.Key;
+  var params = Object.assign({}, customParams);
+  var partOptions = extractPartOptions(params, self);
+  var objectEncryption = extractEncryption(params, self);
+  var prefix = params.Prefix;
+  var localDir = path.resolve(params.localDir);
+  var partsPerFile = Math.max(1, Math.floor(self.partConcurrency / partOptions.concurrency));
 
-  // console.log("AWS COPY==>", params);
-  const copyPartParams = Object.assign({}, params);
-  delete copyPartParams.ACL;
-  return new Promise(function (resolve, reject) {
-    return createMultipartCopy(params, S3)
-      .then(function(uploadId) {
-        // console.log('cp => ', response);
-        var url = `https://${Bucket}.s3.amazonaws.com/${Key}`;
-        var partitionsRangeArray = calculatePartitionsRangeArray(fileSize);
-        var copyPartFunctionsArray = [];
-        copyPartParams.CopySource = copySource
-        copyPartParams.UploadId = uploadId
-        partitionsRangeArray.forEach( function(partitionRange, index) {
-          copyPartParams.PartNumber = index + 1,
-          copyPartParams.CopySourceRange = 'bytes=' + partitionRange,
-          copyPartFunctionsArray.push(
-            copyPart(copyPartParams, S3)
-          );
+  return self.listFiles({ Prefix: prefix }).then(function(files) {
+    // folder placeholders have no content to download
+    var objects = files.filter(function(file) {
+      return file.Key.slice(-1) !== '/';
+    });
+    var filesDone = 0;
+    return Promise.map(objects, function(object) {
+      var filePath = path.join(localDir, object.Key.slice(prefix.length));
+      if (filePath.indexOf(localDir + path.sep) !== 0) {
+        return Promise.reject(new Error(`Key ${object.Key} resolves outside of localDir`));
+      }
+      return localFiles.makeDirectory(path.dirname(filePath)).then(function() {
+        return self.downloadFile({
+          Key: object.Key,
+          filePath: filePath,
+          concurrency: partsPerFile,
+          partSize: partOptions.partSize,
+          onProgress: partOptions.onProgress,
+          encryption: objectEncryption || false,
+          clientEncryption: params.clientEncryption
         });
-        return Promise.all(copyPartFunctionsArray)
-          .then(function (copyResults) {
-              var copyResultsForCopyCompletion = prepareResultsForCopyCompletion(copyResults);
-              var completeParams = {
-                Bucket: params.Bucket,
-                Key: params.Key,
-                MultipartUpload: {
-                  Parts: copyResultsForCopyCompletion
-                },
-                UploadId: uploadId
-              }
-              return completeMultipartCopy(completeParams, S3).then(function (completeResponse) {
-                resolve({
-                  url: url,
-                  response: completeResponse
-                })
-              })
-          })
-          .catch(function(err){
-            var abortParams = {
-              Bucket: params.Bucket,
-                Key: params.Key,
-                UploadId: uploadId
-            }
-              return abortMultipartCopy(abortParams, S3);
-          });
-      })
-      //.catch((err) => console.log(err));
-      .catch(function (e) {
-        reject(e);
+      }).then(function(res) {
+        filesDone++;
+        partOptions.onProgress({
+          operation: 'downloadPrefix',
+          type: 'file',
+          status: 'done',
+          Key: object.Key,
+          filesDone: filesDone,
+          filesTotal: objects.length
+        });
+        return res;
       });
+    }, { concurrency: partOptions.concurrency });
   });
 };
 
+/*
+Rotates the master key of the client-side encrypted objects under Prefix:
+data keys wrapped with another master key are unwrapped and wrapped again
+with keyId, then stored with a copy of the object onto itself (a new version
+in versioned buckets), its metadata, tags, storage class and server-side
+encryption kept. The copy is sent without the bucketACL: as any S3 copy it
+gets the private canned ACL, per object grants are not carried over.
+Bodies are neither downloaded nor encrypted again. Objects not client-side
+encrypted or already wrapped with keyId are skipped. Failures are reported,
+the other objects go on.
+
+Usage:
+bucket.rewrapKeys({
+  Prefix: 'dumps/',
+  keyId: 'master-2018-04', // (optional) the clientEncryption one by default
+  clientEncryption: { keyId: 'master-2018-04', keyring: function(keyId) {} }, // (optional) the instance one by default
+  encryption: { type: 'SSE-C', customerKey: key }, // (optional) needed for SSE-C objects only
+  concurrency: 4, // (optional) objects in flight
+})
 
-Bucket.prototype.uploadMultipleFiles = function(customParams) {
+Result:
+{ Prefix: 'dumps/',
+  keyId: 'master-2018-04',
+  Rewrapped: [ { Key: 'dumps/db.dump', VersionId: 'abc...', previousKeyId: 'master-2018-03' } ],
+  Skipped: [ { Key: 'dumps/readme.txt', reason: 'not encrypted' } ],
+  Errors: [ { Key: 'dumps/old.dump', Code: 'DecryptionFailed', Message: '...' } ] }
+*/
+Bucket.prototype.rewrapKeys = function(customParams) {
   var self = this;
-  var flags = ['files'];
+  var flags = ['Prefix'];
   var hasAllFlags = checkParams(customParams, flags);
   if (!hasAllFlags) {
-    throw new Error('Unable to upload multiple files due parameters missing');
+    throw new Error('Unable to rewrap keys due parameters missing');
   }
 
-  // check files not empty
-  if (typeof customParams.files !== 'object'
-    || customParams.files.length < 1) {
-    throw new Error('Files array should not be empty');
+  var params = Object.assign({}, customParams);
+  var partOptions = extractPartOptions(params, self);
+  var objectEncryption = extractEncryption(params, self);
+  var envelope = extractClientEncryption(params, self);
+  if (!envelope) {
+    throw new Error('Unable to rewrap keys due clientEncryption keyring missing');
   }
+  var keyId = typeof params.keyId === 'undefined' ? envelope.keyId : params.keyId;
+  if (typeof keyId !== 'string') {
+    throw new Error('String was expected for keyId parameter');
+  }
+  var bucketName = self.bucketName || '';
+  var S3 = self.S3;
+  var headObjectPromise = promisify(S3.headObject).bind(S3);
+  var report = {
+    Prefix: params.Prefix,
+    keyId: keyId,
+    Rewrapped: [],
+    Skipped: [],
+    Errors: []
+  };
 
-  var uploadsQueue = [];
-
-  // check files integrity
-  customParams.files.forEach(function(file) {
-    if (typeof file.Key !== 'string') {
-      throw new Error('File name Key should be string');
-    }
-    if (typeof file.filePath === 'undefined') {
-      throw new Error('File path should be provided');
-    }
-
-    uploadsQueue.push(function() {
-      return self.uploadFile({
-        filePath: file.filePath,
-        Key: file.Key
+  var rewrap = function(Key) {
+    var headParams = Object.assign({ Bucket: bucketName, Key: Key }, encryption.customerParams(objectEncryption));
+    return headObjectPromise(headParams).then(function(head) {
+      if (!clientEncryption.isEncrypted(head.Metadata)) {
+        report.Skipped.push({ Key: Key, reason: 'not encrypted' });
+        return null;
+      }
+      var previousKeyId = head.Metadata[clientEncryption.METADATA.keyId];
+      if (previousKeyId === keyId) {
+        report.Skipped.push({ Key: Key, reason: 'current key' });
+        return null;
+      }
+      return clientEncryption.rewrapMetadata(envelope, head.Metadata, keyId).then(function(Metadata) {
+        // a copy replacing its metadata keeps the rest only when given again
+        var copyParams = Object.assign(pickObjectMetadata(head), {
+          Key: Key,
+          // left out of the request, the bucketACL would replace the object ACL
+          ACL: undefined,
+          Metadata: Metadata,
+          MetadataDirective: 'REPLACE',
+          CopySourceIfMatch: head.ETag,
+          encryption: headEncryption(head, objectEncryption) || false,
+          sourceEncryption: objectEncryption || false
+        });
+        // HEAD gives it for other classes than STANDARD only
+        if (typeof head.StorageClass !== 'undefined') {
+          copyParams.StorageClass = head.StorageClass;
+        }
+        if (head.ContentLength <= self.multipartThreshold) {
+          copyParams.CopySource = formatCopySource(bucketName, Key, head.VersionId);
+          return self.copyFile(copyParams);
+        }
+        copyParams.CopySource = typeof head.VersionId === 'undefined'
+          ? Key : `${Key}?versionId=${encodeURIComponent(head.VersionId)}`;
+        return self.copyFileMultipart(copyParams, false, head.ContentLength);
+      }).then(function(res) {
+        report.Rewrapped.push({ Key: Key, VersionId: res.response.VersionId, previousKeyId: previousKeyId });
+        return null;
       });
+    }).catch(function(err) {
+      report.Errors.push({ Key: Key, Code: err.code, Message: err.message });
+      return null;
     });
-  });
+  };
 
-  return Promise.resolve(uploadsQueue).mapSeries(f => f());
+  return self.listFiles({ Prefix: params.Prefix }).then(function(objects) {
+    // folder placeholders have no data key
+    var keys = objects.filter(function(object) {
+      return object.Key.slice(-1) !== '/';
+    }).map(function(object) {
+      return object.Key;
+    });
+    return Promise.map(keys, rewrap, { concurrency: partOptions.concurrency });
+  }).then(function() {
+    return report;
+  });
 };
 
 Bucket.prototype.listPagedFileVersions = function(customParams) {
@@ -477,11 +3112,16 @@ Bucket.prototype.listPagedFileVersions = function(customParams) {
   });
 };
 
+/*
+Progress after every page:
+{ operation: 'listFileVersions', type: 'page', pages: 2, objects: 2000 }
+*/
 Bucket.prototype.listFileVersions = function(customParams) {
   var self = this;
   var versions = [];
   var markers = [];
   var pageDelay = self.pagingDelay;
+  var onProgress = extractProgressCallback(customParams);
   // Max limit of objects requested
   if (typeof customParams.limit !== 'undefined') {
     if (typeof customParams.limit !== 'number') {
@@ -516,18 +3156,27 @@ Bucket.prototype.listFileVersions = function(customParams) {
     delete customParams.Key;
   }
 
-  return self._fetchVersionsAndMarkers(customParams, versions, markers, pageDelay);
+  return self._fetchVersionsAndMarkers(customParams, versions, markers, pageDelay, onProgress);
 };
 
-Bucket.prototype._fetchVersionsAndMarkers = function (customParams, versions, markers, pageDelay) {
+Bucket.prototype._fetchVersionsAndMarkers = function (customParams, versions, markers, pageDelay, onProgress, pages) {
   var self = this;
   var delay = pageDelay || self.pagingDelay;
+  var pagesFetched = (pages || 0) + 1;
 
   // console.log(customParams);
   return self.listPagedFileVersions(customParams).then(function(res){
     // console.log(res);
     versions = versions.concat(res.Versions);
     markers = markers.concat(res.DeleteMarkers);
+    if (onProgress) {
+      onProgress({
+        operation: 'listFileVersions',
+        type: 'page',
+        pages: pagesFetched,
+        objects: versions.length + markers.length
+      });
+    }
     if (!res.IsTruncated) {
       return {
         Versions: versions,
@@ -543,85 +3192,610 @@ Bucket.prototype._fetchVersionsAndMarkers = function (customParams, versions, ma
       // A version-id marker cannot be specified without a key marker.
       customParams.KeyMarker = res.NextKeyMarker;
       // return self.listPagedFiles(customParams);
-      return self._fetchVersionsAndMarkers(customParams, versions, markers, delay);
+      return self._fetchVersionsAndMarkers(customParams, versions, markers, delay, onProgress, pagesFetched);
     });
 
   })
 };
 
+/*
+Version listing pages fetched lazily, as an async iterator.
+Same parameters as listFileVersions.
+
+Usage:
+for await (const page of bucket.iterateFileVersionPages({ Key: 'dumps/' })) {
+  // page.Versions, page.DeleteMarkers
+}
+*/
+Bucket.prototype.iterateFileVersionPages = function(customParams) {
+  var S3 = this.S3;
+  var options = extractListingOptions(customParams || {}, this, true);
+  var listObjectVersionsPromise = promisify(S3.listObjectVersions).bind(S3);
+
+  return listing.createPageIterator(listObjectVersionsPromise, options.params, function(page, params) {
+    if (!page.IsTruncated) {
+      return null;
+    }
+    // A version-id marker cannot be specified without a key marker.
+    return Object.assign({}, params, {
+      KeyMarker: page.NextKeyMarker,
+      VersionIdMarker: page.NextVersionIdMarker
+    });
+  }, options.pageDelay);
+};
+
+/*
+Every version and delete marker, one at a time, fetching pages only as they
+are needed. Within a page entries are ordered by Key, newest first.
+
+Usage:
+for await (const version of bucket.iterateFileVersions({ Key: 'dumps/' })) {
+  if (version.IsDeleteMarker) { ... }
+}
+
+Items:
+{ Key: 'dumps/db.dump', VersionId: 'abc...', IsLatest: true, IsDeleteMarker: false,
+  LastModified: 2018-05-02T12:53:29.000Z, ETag: '"def..."', Size: 26, ... }
+*/
+Bucket.prototype.iterateFileVersions = function(customParams) {
+  var pages = this.iterateFileVersionPages(customParams);
+  return listing.createItemIterator(pages, function(page) {
+    var versions = (page.Versions || []).map(function(version) {
+      return Object.assign({ IsDeleteMarker: false }, version);
+    });
+    var markers = (page.DeleteMarkers || []).map(function(marker) {
+      return Object.assign({ IsDeleteMarker: true }, marker);
+    });
+    return versions.concat(markers).sort(function(a, b) {
+      if (a.Key !== b.Key) {
+        return a.Key < b.Key ? -1 : 1;
+      }
+      return new Date(b.LastModified) - new Date(a.LastModified);
+    });
+  });
+};
+
+/*
+Progress, besides the listing pages:
+{ operation: 'deleteAllVersions', type: 'delete', Key: 'upload-test.txt', deleted: 3, total: 3 }
+*/
 Bucket.prototype.deleteAllVersions = function(customParams, deleteVersions, deleteMarkers) {
   var self = this;
-  var deleteMarkers = deleteMarkers || false;
-  var deleteVersions = deleteVersions || true;
-  var flags = ['Key'];
-  var hasAllFlags = checkParams(customParams, flags);
-  if (!hasAllFlags) {
-    throw new Error('Unable to delete all file versions due parameters missing');
+  var deleteMarkers = deleteMarkers || false;
+  var deleteVersions = deleteVersions || true;
+  var flags = ['Key'];
+  var hasAllFlags = checkParams(customParams, flags);
+  if (!hasAllFlags) {
+    throw new Error('Unable to delete all file versions due parameters missing');
+  }
+
+  var S3 = self.S3;
+  var bucketName = self.bucketName || '';
+  var fileKey = customParams.Key;
+  var onProgress = extractProgressCallback(customParams);
+  // https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/S3.html#listObjectVersions-property
+  var params = {
+    Key: fileKey,
+    onProgress: onProgress
+  };
+
+  return self.listFileVersions(params).then(function(fileVersions){
+    // Create and array of files versions to remove
+    var files = [];
+
+    if (deleteVersions) {
+      files = fileVersions.Versions.map(function(version) {
+        var file = { Key: null, VersionId: null }
+        if (typeof version.Key !== 'string') {
+          throw new Error('File name Key should be string');
+        }
+        if (typeof version.VersionId === 'undefined') {
+          throw new Error('File VersionId should be provided');
+        }
+
+        file.Key = version.Key;
+        file.VersionId = version.VersionId;
+
+        return file;
+      });
+    }
+
+    if (deleteMarkers) {
+      var markers = fileVersions.DeleteMarkers.map(function(version) {
+        var file = { Key: null, VersionId: null }
+        if (typeof version.Key !== 'string') {
+          throw new Error('File name Key should be string');
+        }
+        if (typeof version.VersionId === 'undefined') {
+          throw new Error('File VersionId should be provided');
+        }
+
+        file.Key = version.Key;
+        file.VersionId = version.VersionId;
+
+        return file;
+      });
+      // Apend files with VersionId to the operation
+      files = files.concat(markers);
+    }
+
+    if (files.length === 0) {
+      // No files to delete
+      return { Deleted: [] };
+    }
+    // Delete All the Versions (and Markers) found for the same file Key
+    return self.deleteFilesVersioned({ files: files }).then(function(response) {
+      onProgress({
+        operation: 'deleteAllVersions',
+        type: 'delete',
+        Key: fileKey,
+        deleted: response.Deleted ? response.Deleted.length : 0,
+        total: files.length
+      });
+      return response;
+    });
+  });
+};
+
+Bucket.prototype.deleteAllMarkers = function(customParams) {
+  return this.deleteAllVersions(customParams, false, true);
+};
+
+Bucket.prototype.deleteAllVersionsAndMarkers = function(customParams) {
+  return this.deleteAllVersions(customParams, true, true);
+};
+
+/*
+Deletes every version and delete marker under a prefix ('' for the whole
+bucket). Versions are listed page by page and deleted in deleteObjects batches
+of at most 1000 while listing goes on, so nothing but the running batches is
+kept in memory. Objects S3 refuses to delete are reported in Errors and do not
+stop the purge.
+
+Usage:
+bucket.purgeVersions({
+  Prefix: 'dumps/',
+  deleteMarkers: true, // (optional) false keeps the delete markers
+  dryRun: true, // (optional) only count what would be deleted
+  concurrency: 4, // (optional) batches in flight
+})
+
+Result:
+{ dryRun: false,
+  Prefix: 'dumps/',
+  Versions: 2500, // listed
+  DeleteMarkers: 12, // listed
+  Deleted: 2511,
+  Batches: 3,
+  Errors: [ { Key: 'dumps/locked.dump', VersionId: 'abc...', Code: 'AccessDenied', Message: 'Access Denied' } ] }
+
+Progress after every batch:
+{ operation: 'purgeVersions', type: 'delete', deleted: 2000, errors: 0, batches: 2 }
+*/
+Bucket.prototype.purgeVersions = function(customParams) {
+  var self = this;
+  if (typeof customParams === 'undefined' || typeof customParams.Prefix !== 'string') {
+    throw new Error('Prefix parameter was expected to be String, empty for the whole bucket');
+  }
+
+  var S3 = self.S3;
+  var bucketName = self.bucketName;
+  var params = Object.assign({}, customParams);
+  var dryRun = params.dryRun || false;
+  var deleteMarkers = params.deleteMarkers !== false;
+  delete params.dryRun;
+  delete params.deleteMarkers;
+  var partOptions = extractPartOptions(params, self);
+  var pages = self.iterateFileVersionPages(params);
+  var running = [];
+  var report = {
+    dryRun: dryRun,
+    Prefix: params.Prefix,
+    Versions: 0,
+    DeleteMarkers: 0,
+    Deleted: 0,
+    Batches: 0,
+    Errors: []
+  };
+
+  var deleteBatch = function(objects) {
+    return deleteKeysWithRetry(bucketName, objects, S3, partOptions).then(function(response) {
+      report.Deleted += response.Deleted.length;
+      report.Errors = report.Errors.concat(response.Errors);
+      report.Batches++;
+      partOptions.onProgress({
+        operation: 'purgeVersions',
+        type: 'delete',
+        deleted: report.Deleted,
+        errors: report.Errors.length,
+        batches: report.Batches
+      });
+    });
+  };
+
+  var startBatch = function(objects) {
+    var batch = deleteBatch(objects).then(function() {
+      running.splice(running.indexOf(batch), 1);
+    });
+    running.push(batch);
+    // listing waits while all the batch slots are taken
+    if (running.length >= partOptions.concurrency) {
+      return Promise.race(running);
+    }
+  };
+
+  var purgeNextPage = function() {
+    return pages.next().then(function(result) {
+      if (result.done) {
+        return Promise.all(running);
+      }
+      var toVersionId = function(version) {
+        return { Key: version.Key, VersionId: version.VersionId };
+      };
+      var versions = (result.value.Versions || []).map(toVersionId);
+      var markers = deleteMarkers ? (result.value.DeleteMarkers || []).map(toVersionId) : [];
+      report.Versions += versions.length;
+      report.DeleteMarkers += markers.length;
+      if (dryRun) {
+        return purgeNextPage();
+      }
+
+      return Promise.each(chunkDeletes(versions.concat(markers)), startBatch).then(purgeNextPage);
+    });
+  };
+
+  return purgeNextPage().then(function() {
+    return report;
+  });
+};
+
+var DAY_IN_MS = 86400000;
+
+// Versions and delete markers of one key, newest first. Same timestamps are
+// ordered by IsLatest, then delete markers before versions: a marker is only
+// written over what is already there
+var groupVersionsByKey = function(fileVersions) {
+  var groups = {};
+  var keys = [];
+  var add = function(entry, isDeleteMarker) {
+    if (!groups[entry.Key]) {
+      groups[entry.Key] = [];
+      keys.push(entry.Key);
+    }
+    groups[entry.Key].push({
+      VersionId: entry.VersionId,
+      IsLatest: entry.IsLatest,
+      IsDeleteMarker: isDeleteMarker,
+      LastModified: entry.LastModified
+    });
+  };
+  fileVersions.Versions.forEach(function(version) { add(version, false); });
+  fileVersions.DeleteMarkers.forEach(function(marker) { add(marker, true); });
+  return keys.sort().map(function(Key) {
+    return {
+      Key: Key,
+      entries: groups[Key].sort(function(a, b) {
+        return new Date(b.LastModified) - new Date(a.LastModified) ||
+          Number(Boolean(b.IsLatest)) - Number(Boolean(a.IsLatest)) ||
+          Number(b.IsDeleteMarker) - Number(a.IsDeleteMarker);
+      })
+    };
+  });
+};
+
+/*
+Applies version retention rules under a prefix, key by key:
+- keepLatest: noncurrent versions kept, the newest ones
+- olderThanDays: noncurrent versions older than that are removed
+  (with keepLatest as well only the ones beyond the kept are)
+- expiredMarkers: delete markers left with no version behind them are removed,
+  alone it removes no version
+The current (IsLatest) version is never removed unless allowLatest is set,
+it then counts as one more version for both rules. Delete markers not being
+the latest entry of their key are kept.
+
+Usage:
+bucket.pruneVersions({
+  Prefix: 'dumps/',
+  keepLatest: 3, // (optional)
+  olderThanDays: 30, // (optional)
+  expiredMarkers: true, // (optional)
+  allowLatest: false, // (optional)
+  dryRun: true, // (optional) only report what would be removed
+  concurrency: 4, // (optional) delete batches in flight
+})
+
+Result:
+{ dryRun: false,
+  Keys:
+   [ { Key: 'dumps/db.dump',
+       Removed: [ { VersionId: 'abc...', IsLatest: false, IsDeleteMarker: false, LastModified: 2018-05-02T12:53:29.000Z } ],
+       Kept: [ { VersionId: 'def...', IsLatest: true, IsDeleteMarker: false, LastModified: 2018-06-02T12:53:29.000Z } ] } ],
+  Removed: 1,
+  Errors: [] }
+*/
+Bucket.prototype.pruneVersions = function(customParams) {
+  var self = this;
+  if (typeof customParams === 'undefined' || typeof customParams.Prefix !== 'string') {
+    throw new Error('Prefix parameter was expected to be String, empty for the whole bucket');
+  }
+  var params = Object.assign({}, customParams);
+  ['keepLatest', 'olderThanDays'].forEach(function(name) {
+    if (typeof params[name] !== 'undefined' && (typeof params[name] !== 'number' || params[name] < 0)) {
+      throw new Error(`Positive number was expected for ${name} parameter`);
+    }
+  });
+  var keepLatest = params.keepLatest;
+  var olderThanDays = params.olderThanDays;
+  var expiredMarkers = params.expiredMarkers || false;
+  var allowLatest = params.allowLatest || false;
+  var dryRun = params.dryRun || false;
+  if (typeof keepLatest === 'undefined' && typeof olderThanDays === 'undefined' && !expiredMarkers) {
+    throw new Error('At least one of keepLatest, olderThanDays or expiredMarkers is required');
+  }
+  ['keepLatest', 'olderThanDays', 'expiredMarkers', 'allowLatest', 'dryRun'].forEach(function(name) {
+    delete params[name];
+  });
+
+  var S3 = self.S3;
+  var bucketName = self.bucketName;
+  var partOptions = extractPartOptions(params, self);
+  var cutoff = typeof olderThanDays === 'number' ? Date.now() - olderThanDays * DAY_IN_MS : null;
+
+  // expiredMarkers alone removes no version
+  var versionRules = typeof keepLatest === 'number' || cutoff !== null;
+
+  // entries of one key split into removed and kept
+  var applyRules = function(group) {
+    var retained = 0;
+    var plan = { Key: group.Key, Removed: [], Kept: [] };
+    group.entries.forEach(function(entry) {
+      if (!versionRules || entry.IsDeleteMarker || (entry.IsLatest && !allowLatest)) {
+        plan.Kept.push(entry);
+        return;
+      }
+      var beyondKept = typeof keepLatest === 'number' && retained >= keepLatest;
+      var tooOld = cutoff !== null && new Date(entry.LastModified).getTime() < cutoff;
+      var remove = (typeof keepLatest !== 'number' || beyondKept)
+        && (cutoff === null || tooOld);
+      retained += remove ? 0 : 1;
+      (remove ? plan.Removed : plan.Kept).push(entry);
+    });
+    return plan;
+  };
+
+  // a latest delete marker hiding no version any more
+  var expiredMarker = function(plan) {
+    var marker = plan.Kept.find(function(entry) {
+      return entry.IsDeleteMarker && entry.IsLatest;
+    });
+    var versionsLeft = plan.Kept.some(function(entry) {
+      return !entry.IsDeleteMarker;
+    });
+    return marker && !versionsLeft ? marker : null;
+  };
+
+  var deleteEntries = function(plans, pickEntries, report) {
+    var objects = [];
+    plans.forEach(function(plan) {
+      pickEntries(plan).forEach(function(entry) {
+        objects.push({ Key: plan.Key, VersionId: entry.VersionId });
+      });
+    });
+    return Promise.map(chunkDeletes(objects), function(batch) {
+      return deleteKeysWithRetry(bucketName, batch, S3, partOptions).then(function(response) {
+        report.Errors = report.Errors.concat(response.Errors);
+        partOptions.onProgress({
+          operation: 'pruneVersions',
+          type: 'delete',
+          deleted: response.Deleted.length,
+          errors: report.Errors.length
+        });
+      });
+    }, { concurrency: partOptions.concurrency });
+  };
+
+  // failed deletes move back from Removed to Kept
+  var settleErrors = function(plans, report) {
+    plans.forEach(function(plan) {
+      var failed = report.Errors.filter(function(error) {
+        return error.Key === plan.Key;
+      }).map(function(error) {
+        return error.VersionId;
+      });
+      plan.Kept = plan.Kept.concat(plan.Removed.filter(function(entry) {
+        return failed.indexOf(entry.VersionId) !== -1;
+      }));
+      plan.Removed = plan.Removed.filter(function(entry) {
+        return failed.indexOf(entry.VersionId) === -1;
+      });
+    });
+  };
+
+  return self.listFileVersions(params).then(function(fileVersions) {
+    var plans = groupVersionsByKey(fileVersions).map(applyRules);
+    var report = { dryRun: dryRun, Keys: plans, Removed: 0, Errors: [] };
+
+    // markers go once the versions behind them are gone, a marker removed
+    // first would bring the older version back as the current one
+    var removeMarkers = function() {
+      if (!expiredMarkers) {
+        return;
+      }
+      var markerPlans = plans.filter(function(plan) {
+        return expiredMarker(plan) !== null;
+      });
+      markerPlans.forEach(function(plan) {
+        var marker = expiredMarker(plan);
+        plan.Kept.splice(plan.Kept.indexOf(marker), 1);
+        plan.Removed.push(marker);
+      });
+      if (dryRun) {
+        return;
+      }
+      return deleteEntries(markerPlans, function(plan) {
+        return plan.Removed.filter(function(entry) { return entry.IsDeleteMarker; });
+      }, report);
+    };
+
+    var removeVersions = dryRun ? Promise.resolve() : deleteEntries(plans, function(plan) {
+      return plan.Removed;
+    }, report);
+
+    return removeVersions.then(function() {
+      settleErrors(plans, report);
+    }).then(removeMarkers).then(function() {
+      settleErrors(plans, report);
+      report.Removed = plans.reduce(function(total, plan) {
+        return total + plan.Removed.length;
+      }, 0);
+      return report;
+    });
+  });
+};
+
+/*
+Brings every key under a prefix back to the version that was current at asOf:
+- the version is copied back as the latest one (smartCopy, metadata and tags
+  kept), or when only delete markers came after it, those markers are removed
+- keys deleted at asOf get a delete marker
+- keys created after asOf are deleted when deleteNewKeys is set, kept otherwise
+History is never rewritten, nothing but the newer delete markers is removed.
+
+Usage:
+bucket.restorePrefix({
+  Prefix: 'reports/',
+  asOf: new Date('2018-05-02T12:00:00Z'),
+  deleteNewKeys: true, // (optional)
+  dryRun: true, // (optional) only return the plan
+  concurrency: 4, // (optional) copies in flight
+})
+
+Result:
+{ dryRun: false,
+  asOf: 2018-05-02T12:00:00.000Z,
+  Keys:
+   [ { Key: 'reports/a.csv', action: 'copy', VersionId: 'abc...' },
+     { Key: 'reports/b.csv', action: 'removeMarkers', VersionId: 'def...', DeleteMarkers: [ 'ghi...' ] },
+     { Key: 'reports/c.csv', action: 'delete' },
+     { Key: 'reports/d.csv', action: 'unchanged', VersionId: 'jkl...' },
+     { Key: 'reports/e.csv', action: 'keepNew' } ],
+  Restored: [ 'reports/a.csv', 'reports/b.csv', 'reports/c.csv' ],
+  Errors: [] }
+*/
+Bucket.prototype.restorePrefix = function(customParams) {
+  var self = this;
+  if (typeof customParams === 'undefined' || typeof customParams.Prefix !== 'string') {
+    throw new Error('Prefix parameter was expected to be String, empty for the whole bucket');
   }
+  if (!(customParams.asOf instanceof Date) || isNaN(customParams.asOf.getTime())) {
+    throw new Error('Date was expected for asOf parameter');
+  }
+  var params = Object.assign({}, customParams);
+  var asOf = params.asOf;
+  var deleteNewKeys = params.deleteNewKeys || false;
+  var dryRun = params.dryRun || false;
+  ['asOf', 'deleteNewKeys', 'dryRun'].forEach(function(name) {
+    delete params[name];
+  });
 
   var S3 = self.S3;
-  var bucketName = self.bucketName || '';
-  var fileKey = customParams.Key;
-  // https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/S3.html#listObjectVersions-property
-  var params = {
-    Key: fileKey
-  };
-
-  return self.listFileVersions(params).then(function(fileVersions){
-    // Create and array of files versions to remove
-    var files = [];
-
-    if (deleteVersions) {
-      files = fileVersions.Versions.map(function(version) {
-        var file = { Key: null, VersionId: null }
-        if (typeof version.Key !== 'string') {
-          throw new Error('File name Key should be string');
-        }
-        if (typeof version.VersionId === 'undefined') {
-          throw new Error('File VersionId should be provided');
-        }
+  var bucketName = self.bucketName;
+  var partOptions = extractPartOptions(params, self);
 
-        file.Key = version.Key;
-        file.VersionId = version.VersionId;
+  var planKey = function(group) {
+    var entries = group.entries;
+    var current = entries[0];
+    var targetIndex = entries.findIndex(function(entry) {
+      return new Date(entry.LastModified).getTime() <= asOf.getTime();
+    });
+    var target = entries[targetIndex];
 
-        return file;
-      });
+    if (!target) {
+      if (current.IsDeleteMarker) {
+        return { Key: group.Key, action: 'unchanged' };
+      }
+      return { Key: group.Key, action: deleteNewKeys ? 'delete' : 'keepNew' };
+    }
+    if (target.IsDeleteMarker) {
+      return { Key: group.Key, action: current.IsDeleteMarker ? 'unchanged' : 'delete' };
+    }
+    if (targetIndex === 0) {
+      return { Key: group.Key, action: 'unchanged', VersionId: target.VersionId };
+    }
+    var newer = entries.slice(0, targetIndex);
+    var onlyMarkers = newer.every(function(entry) {
+      return entry.IsDeleteMarker;
+    });
+    if (onlyMarkers) {
+      return {
+        Key: group.Key,
+        action: 'removeMarkers',
+        VersionId: target.VersionId,
+        DeleteMarkers: newer.map(function(entry) { return entry.VersionId; })
+      };
     }
+    return { Key: group.Key, action: 'copy', VersionId: target.VersionId };
+  };
 
-    if (deleteMarkers) {
-      var markers = fileVersions.DeleteMarkers.map(function(version) {
-        var file = { Key: null, VersionId: null }
-        if (typeof version.Key !== 'string') {
-          throw new Error('File name Key should be string');
-        }
-        if (typeof version.VersionId === 'undefined') {
-          throw new Error('File VersionId should be provided');
-        }
+  return self.listFileVersions(params).then(function(fileVersions) {
+    var plans = groupVersionsByKey(fileVersions).map(planKey);
+    var report = { dryRun: dryRun, asOf: asOf, Keys: plans, Restored: [], Errors: [] };
+    if (dryRun) {
+      return report;
+    }
 
-        file.Key = version.Key;
-        file.VersionId = version.VersionId;
+    var copies = plans.filter(function(plan) {
+      return plan.action === 'copy';
+    });
+    var deletes = [];
+    plans.forEach(function(plan) {
+      if (plan.action === 'removeMarkers') {
+        plan.DeleteMarkers.forEach(function(VersionId) {
+          deletes.push({ Key: plan.Key, VersionId: VersionId });
+        });
+      }
+      // no VersionId, S3 adds a delete marker
+      if (plan.action === 'delete') {
+        deletes.push({ Key: plan.Key });
+      }
+    });
 
-        return file;
+    var copyVersions = Promise.map(copies, function(plan) {
+      return partScheduler.withRetry(function() {
+        return self.smartCopy({
+          SourceKey: plan.Key,
+          VersionId: plan.VersionId,
+          Key: plan.Key,
+          preserveMetadata: true,
+          preserveTags: true
+        });
+      }, partOptions).catch(function(err) {
+        report.Errors.push({ Key: plan.Key, VersionId: plan.VersionId, Code: err.code, Message: err.message });
       });
-      // Apend files with VersionId to the operation
-      files = files.concat(markers);
-    }
+    }, { concurrency: partOptions.concurrency });
 
-    if (files.length === 0) {
-      // No files to delete
-      return { Deleted: [] };
-    }
-    // Delete All the Versions (and Markers) found for the same file Key
-    return self.deleteFilesVersioned({ files: files });
-  });
-};
-
-Bucket.prototype.deleteAllMarkers = function(customParams) {
-  return this.deleteAllVersions(customParams, false, true);
-};
+    var deleteEntries = copyVersions.then(function() {
+      return Promise.map(chunkDeletes(deletes), function(batch) {
+        return deleteKeysWithRetry(bucketName, batch, S3, partOptions).then(function(response) {
+          report.Errors = report.Errors.concat(response.Errors);
+        });
+      }, { concurrency: partOptions.concurrency });
+    });
 
-Bucket.prototype.deleteAllVersionsAndMarkers = function(customParams) {
-  return this.deleteAllVersions(customParams, true, true);
+    return deleteEntries.then(function() {
+      var failedKeys = report.Errors.map(function(error) {
+        return error.Key;
+      });
+      report.Restored = plans.filter(function(plan) {
+        return ['copy', 'removeMarkers', 'delete'].indexOf(plan.action) !== -1
+          && failedKeys.indexOf(plan.Key) === -1;
+      }).map(function(plan) {
+        return plan.Key;
+      });
+      return report;
+    });
+  });
 };
 
 /*
@@ -692,10 +3866,15 @@ Bucket.prototype.listPagedFiles = function (customParams) {
   });
 };
 
+/*
+Progress after every page:
+{ operation: 'listFiles', type: 'page', pages: 2, objects: 2000 }
+*/
 Bucket.prototype.listFiles = function (customParams) {
   var self = this;
   var files = [];
   var pageDelay = self.pagingDelay;
+  var onProgress = extractProgressCallback(customParams);
   // Max limit of objects requested
   if (typeof customParams.limit !== 'undefined') {
     if (typeof customParams.limit !== 'number') {
@@ -716,15 +3895,24 @@ Bucket.prototype.listFiles = function (customParams) {
     delete customParams.delay;
   }
 
-  return self._fetchFiles(customParams, files, pageDelay);
+  return self._fetchFiles(customParams, files, pageDelay, onProgress);
 };
 
-Bucket.prototype._fetchFiles = function (customParams, files, pageDelay) {
+Bucket.prototype._fetchFiles = function (customParams, files, pageDelay, onProgress, pages) {
   var self = this;
   var delay = pageDelay || self.pagingDelay;
+  var pagesFetched = (pages || 0) + 1;
 
   return self.listPagedFiles(customParams).then(function(res){
     files = files.concat(res.Contents);
+    if (onProgress) {
+      onProgress({
+        operation: 'listFiles',
+        type: 'page',
+        pages: pagesFetched,
+        objects: files.length
+      });
+    }
     if (!res.IsTruncated) {
       return files;
     }
@@ -734,14 +3922,418 @@ Bucket.prototype._fetchFiles = function (customParams, files, pageDelay) {
       // console.log(res);
       customParams.ContinuationToken = res.NextContinuationToken;
       // return self.listPagedFiles(customParams);
-      return self._fetchFiles(customParams, files, delay);
+      return self._fetchFiles(customParams, files, delay, onProgress, pagesFetched);
     });
 
   })
 };
 
+/*
+Object listing pages fetched lazily, as an async iterator.
+Same parameters as listFiles.
+
+Usage:
+for await (const page of bucket.iterateFilePages({ Prefix: 'dumps/', limit: 1000 })) {
+  // page.Contents
+}
+*/
+Bucket.prototype.iterateFilePages = function (customParams) {
+  var S3 = this.S3;
+  var options = extractListingOptions(customParams || {}, this, false);
+  var listObjectsPromise = promisify(S3.listObjectsV2).bind(S3);
+
+  return listing.createPageIterator(listObjectsPromise, options.params, function(page, params) {
+    if (!page.IsTruncated) {
+      return null;
+    }
+    return Object.assign({}, params, { ContinuationToken: page.NextContinuationToken });
+  }, options.pageDelay);
+};
+
+/*
+Every object, one at a time, fetching pages only as they are needed so that
+huge buckets never sit in memory. Leaving the loop early fetches no more pages.
+
+Usage:
+for await (const file of bucket.iterateFiles({ Prefix: 'dumps/' })) {
+  // file.Key, file.Size
+}
+*/
+Bucket.prototype.iterateFiles = function (customParams) {
+  var pages = this.iterateFilePages(customParams);
+  return listing.createItemIterator(pages, function(page) {
+    return page.Contents || [];
+  });
+};
+
+/*
+Incomplete (never completed nor aborted) multipart uploads, one page.
+See more parameters [listMultipartUploads docs](https://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/S3.html#listMultipartUploads-property)
+
+Result:
+{ Bucket: 'your-bucket-name',
+  IsTruncated: false,
+  Uploads:
+   [ { UploadId: 'abc...',
+       Key: 'dumps/db.dump',
+       Initiated: 2018-05-02T12:53:29.000Z,
+       StorageClass: 'STANDARD',
+       Owner: [Object],
+       Initiator: [Object] } ],
+  CommonPrefixes: [] }
+*/
+Bucket.prototype.listPagedIncompleteUploads = function (customParams) {
+  var S3 = this.S3;
+  var bucketName = this.bucketName;
+
+  var defaultParams = {
+    Bucket: bucketName
+  };
+
+  // Max limit of uploads requested
+  if (typeof customParams.limit !== 'undefined') {
+    if (typeof customParams.limit !== 'number') {
+      throw new Error('Number was expected for limit parameter');
+    }
+    defaultParams.MaxUploads = customParams.limit;
+    delete customParams.limit;
+  }
+
+  var params = Object.assign(defaultParams, customParams);
+
+  var listMultipartUploadsPromise = promisify(S3.listMultipartUploads).bind(S3);
+  return listMultipartUploadsPromise(params);
+};
+
+/*
+All the incomplete multipart uploads, paged the same way as listFiles.
+
+Usage:
+bucket.listIncompleteUploads({
+  Prefix: 'dumps/', // (optional)
+  olderThanDays: 2, // (optional) only uploads initiated more than 2 days ago
+  limit: 100, // items per page by default 1000 (optional)
+  delay: 10, // delay between pages by default 500 (optional)
+})
+*/
+Bucket.prototype.listIncompleteUploads = function (customParams) {
+  var self = this;
+  var params = customParams || {};
+  var pageDelay = self.pagingDelay;
+  var initiatedBefore = null;
+
+  // Max limit of uploads requested, kept for every page
+  if (typeof params.limit !== 'undefined') {
+    if (typeof params.limit !== 'number') {
+      throw new Error('Number was expected for limit parameter');
+    }
+    params.MaxUploads = params.limit;
+    delete params.limit;
+  }
+
+  // Max pagedelay of objects requested
+  if (typeof params.delay !== 'undefined') {
+    if (typeof params.delay !== 'number') {
+      throw new Error('Number was expected for delay parameter');
+    }
+    pageDelay = params.delay;
+    delete params.delay;
+  }
+
+  if (typeof params.olderThanDays !== 'undefined') {
+    if (typeof params.olderThanDays !== 'number') {
+      throw new Error('Number was expected for olderThanDays parameter');
+    }
+    initiatedBefore = new Date(Date.now() - params.olderThanDays * 86400000);
+    delete params.olderThanDays;
+  }
+
+  return self._fetchIncompleteUploads(params, [], pageDelay).then(function(uploads) {
+    if (!initiatedBefore) {
+      return uploads;
+    }
+    return uploads.filter(function(upload) {
+      return new Date(upload.Initiated) < initiatedBefore;
+    });
+  });
+};
+
+Bucket.prototype._fetchIncompleteUploads = function (customParams, uploads, pageDelay) {
+  var self = this;
+  var delay = pageDelay || self.pagingDelay;
+
+  return self.listPagedIncompleteUploads(customParams).then(function(res){
+    uploads = uploads.concat(res.Uploads || []);
+    if (!res.IsTruncated) {
+      return uploads;
+    }
+
+    return Promise.delay(delay).then(function(){
+      customParams.KeyMarker = res.NextKeyMarker;
+      customParams.UploadIdMarker = res.NextUploadIdMarker;
+      return self._fetchIncompleteUploads(customParams, uploads, delay);
+    });
+  });
+};
+
+/*
+Aborts the incomplete multipart uploads found by listIncompleteUploads (same
+params), freeing the storage of their parts. Failed aborts are reported in
+Errors and do not stop the others.
+
+Usage:
+bucket.cleanupIncompleteUploads({
+  Prefix: 'dumps/', // (optional)
+  olderThanDays: 2, // (optional)
+  dryRun: true, // (optional) only report what would be aborted
+  concurrency: 4, // (optional) aborts in flight
+})
+
+Result:
+{ dryRun: false,
+  Uploads: [ { Key: 'dumps/db.dump', UploadId: 'abc...', Initiated: 2018-05-02T12:53:29.000Z } ],
+  Aborted: [ { Key: 'dumps/db.dump', UploadId: 'abc...' } ],
+  Errors: [] }
+*/
+Bucket.prototype.cleanupIncompleteUploads = function (customParams) {
+  var self = this;
+  var params = Object.assign({}, customParams);
+  var S3 = self.S3;
+  var bucketName = self.bucketName;
+  var dryRun = params.dryRun || false;
+  delete params.dryRun;
+  var partOptions = extractPartOptions(params, self);
+
+  return self.listIncompleteUploads(params).then(function(uploads) {
+    var report = {
+      dryRun: dryRun,
+      Uploads: uploads.map(function(upload) {
+        return { Key: upload.Key, UploadId: upload.UploadId, Initiated: upload.Initiated };
+      }),
+      Aborted: [],
+      Errors: []
+    };
+    if (dryRun) {
+      return report;
+    }
+
+    return Promise.map(uploads, function(upload) {
+      var abortParams = {
+        Bucket: bucketName,
+        Key: upload.Key,
+        UploadId: upload.UploadId
+      };
+      return partScheduler.withRetry(function() {
+        return abortMultipartUpload(abortParams, S3);
+      }, partOptions).then(function() {
+        report.Aborted.push({ Key: upload.Key, UploadId: upload.UploadId });
+        partOptions.onProgress({
+          operation: 'cleanupIncompleteUploads',
+          type: 'abort',
+          Key: upload.Key,
+          aborted: report.Aborted.length,
+          total: uploads.length
+        });
+      }).catch(function(err) {
+        report.Errors.push({
+          Key: upload.Key,
+          UploadId: upload.UploadId,
+          Code: err.code,
+          Message: err.message
+        });
+      });
+    }, { concurrency: partOptions.concurrency }).then(function() {
+      return report;
+    });
+  });
+};
+
+/*
+Deletes any number of keys, from an array or an async iterable of keys (or
+{ Key, VersionId }), or from a manifest file: one key per line, or a .csv
+S3 Batch Operations manifest (Bucket,Key[,VersionId]). Keys are read as
+needed and sent in deleteObjects batches of 1000; keys S3 reports with
+throttling or 5xx codes are sent again, the other per-key errors are
+reported. A deleteObjects call failing as a whole (AccessDenied, network
+errors once retried) rejects. With a checkpoint the position in the source is
+saved after every batch, calling again with the same source (the same files
+array, or manifest path) resumes after the batches already done.
+
+Usage:
+bucket.bulkDelete({
+  files: ['upload-test-1.txt', { Key: 'upload-test-2.txt', VersionId: 'abc...' }],
+  // or manifest: './to-delete.csv',
+  checkpoint: './to-delete.checkpoint.json', // (optional)
+  concurrency: 4, // (optional) batches in flight
+  retries: 5, // (optional) attempts per batch after the first one
+})
+
+Result:
+{ Deleted: [ { Key: 'upload-test-1.txt' }, { Key: 'upload-test-2.txt', VersionId: 'abc...' } ],
+  Errors: [ { Key: 'locked.txt', Code: 'AccessDenied', Message: 'Access Denied' } ],
+  resumedFrom: 0 } // source entries skipped, done by a previous call
+
+Progress after every batch:
+{ operation: 'bulkDelete', type: 'delete', deleted: 1000, errors: 0 }
+*/
+Bucket.prototype.bulkDelete = function (customParams) {
+  var self = this;
+  if (typeof customParams === 'undefined'
+    || (typeof customParams.files === 'undefined' && typeof customParams.manifest === 'undefined')) {
+    throw new Error('Unable to delete files due parameters missing');
+  }
+  if (typeof customParams.manifest !== 'undefined'
+    && (typeof customParams.manifest !== 'string' || customParams.manifest === '')) {
+    throw new Error('Manifest parameter was expected to be String');
+  }
+
+  var S3 = self.S3;
+  var bucketName = self.bucketName;
+  var params = Object.assign({}, customParams);
+  var partOptions = extractPartOptions(params, self);
+  var manifestPath = params.manifest ? path.resolve(params.manifest) : null;
+  var entries = manifestPath ? manifest.readManifest(manifestPath) : manifest.iterateEntries(params.files);
+  var checkpointPath = partOptions.checkpoint;
+  var saveCheckpoint = checkpointPath ? checkpoint.createWriter(checkpointPath) : null;
+  var identity = {
+    operation: 'delete',
+    Bucket: bucketName,
+    manifest: manifestPath,
+    // async iterables can not be told apart, the caller keeps them the same
+    files: Array.isArray(params.files) ? manifest.hashEntries(params.files) : null
+  };
+  var state = Object.assign({ processed: 0, deleted: 0, Errors: [] }, identity);
+  var deleted = [];
+  var read = 0;
+  // batches in source order, the checkpoint moves past the leading done ones
+  var slots = [];
+  var running = [];
+  // first failed batch, left out of the checkpoint to be sent again on resume
+  var failure = null;
+
+  // up to 1000 source entries, rows of other buckets reported right away
+  var readBatch = function() {
+    var batch = { objects: [], errors: [], read: 0 };
+    var readNext = function() {
+      if (batch.read >= DELETE_OBJECTS_MAXIMUM_KEYS) {
+        return batch;
+      }
+      return entries.next().then(function(result) {
+        if (result.done) {
+          return batch;
+        }
+        read++;
+        batch.read++;
+        var entry = result.value;
+        if (read <= state.processed) {
+          return readNext();
+        }
+        var object = { Key: entry.Key };
+        if (typeof entry.VersionId !== 'undefined') {
+          object.VersionId = entry.VersionId;
+        }
+        if (entry.Bucket && entry.Bucket !== bucketName) {
+          batch.errors.push(Object.assign(object, {
+            Code: 'BucketMismatch',
+            Message: `Manifest row belongs to bucket ${entry.Bucket}`
+          }));
+        } else {
+          batch.objects.push(object);
+        }
+        return readNext();
+      });
+    };
+    return readNext();
+  };
+
+  var advance = function() {
+    while (slots.length > 0 && slots[0].done) {
+      var slot = slots.shift();
+      state.processed = slot.end;
+      state.deleted += slot.deleted;
+      state.Errors = state.Errors.concat(slot.errors);
+    }
+    return saveCheckpoint ? saveCheckpoint(state) : null;
+  };
+
+  var deleteNextBatch = function() {
+    if (failure) {
+      return Promise.reject(failure);
+    }
+    return readBatch().then(function(batch) {
+      if (batch.read === 0) {
+        return Promise.all(running).then(function() {
+          return failure ? Promise.reject(failure) : null;
+        });
+      }
+      if (read <= state.processed) {
+        return deleteNextBatch();
+      }
+      var slot = { end: read, done: false, deleted: 0, errors: batch.errors };
+      slots.push(slot);
+      var task = deleteKeysWithRetry(bucketName, batch.objects, S3, partOptions, true).then(function(response) {
+        deleted = deleted.concat(response.Deleted);
+        slot.deleted = response.Deleted.length;
+        slot.errors = slot.errors.concat(response.Errors);
+        slot.done = true;
+        partOptions.onProgress({
+          operation: 'bulkDelete',
+          type: 'delete',
+          deleted: deleted.length,
+          errors: state.Errors.length + slot.errors.length
+        });
+        return advance();
+      }).catch(function(err) {
+        failure = failure || err;
+      }).finally(function() {
+        running.splice(running.indexOf(task), 1);
+      });
+      running.push(task);
+      // reading waits while all the batch slots are taken
+      var slotFree = running.length >= partOptions.concurrency ? Promise.race(running) : null;
+      return Promise.resolve(slotFree).then(deleteNextBatch);
+    });
+  };
+
+  var loadState = checkpointPath ? checkpoint.load(checkpointPath) : Promise.resolve(null);
+  var resumedFrom = 0;
+
+  return loadState.then(function(saved) {
+    if (saved) {
+      var matches = Object.keys(identity).every(function(name) {
+        return saved[name] === identity[name];
+      });
+      if (!matches) {
+        var err = new Error('Checkpoint does not match the delete parameters');
+        err.details = saved;
+        return Promise.reject(err);
+      }
+      state = saved;
+      resumedFrom = saved.processed;
+    }
+    return deleteNextBatch().catch(function(err) {
+      // batches in flight still record their progress, then the error
+      return Promise.all(running).catch(function() {}).then(function() {
+        if (checkpointPath) {
+          err.checkpoint = checkpointPath;
+        }
+        return Promise.reject(err);
+      });
+    });
+  }).then(function() {
+    return checkpointPath ? checkpoint.remove(checkpointPath) : null;
+  }).then(function() {
+    return {
+      Deleted: deleted,
+      Errors: state.Errors,
+      resumedFrom: resumedFrom
+    };
+  });
+};
+
 /*
 Usage:
+bucket.deleteFiles({ files: ['upload-test-1.txt', 'upload-test-2.txt'] })
 
 Result:
 { Deleted: [ { Key: 'upload-test.txt' } ], Errors: [] }
@@ -752,31 +4344,18 @@ Bucket.prototype.deleteFiles = function (customParams) {
   if (!hasAllFlags) {
     throw new Error('Unable to upload files due parameters missing');
   }
-  if (typeof customParams.files !== 'object'
-    || typeof customParams.files.length < 1) {
+  if (!Array.isArray(customParams.files)
+    || customParams.files.length < 1) {
     throw new Error('Files array should not be empty');
   }
 
-  var S3 = this.S3;
-  var bucketName = this.bucketName;
-
-  var files = customParams.files.map(function(file) {
+  customParams.files.forEach(function(file) {
     if (typeof file !== 'string') {
       throw new Error('File name Key should be string');
     }
-    return { Key: file };
   });
-  var params = {
-    Bucket: bucketName,
-    Delete: {
-      Objects: files
-    }
-  };
-  var deleteObjectsPromise = promisify(S3.deleteObjects).bind(S3);
-  return new Promise(function (resolve, reject) {
-    deleteObjectsPromise(params)
-      .then(function (response) { resolve(response); })
-      .catch(reject);
+  return this.bulkDelete({ files: customParams.files }).then(function(response) {
+    return { Deleted: response.Deleted, Errors: response.Errors };
   });
 };
 
@@ -786,35 +4365,21 @@ Bucket.prototype.deleteFilesVersioned = function (customParams) {
   if (!hasAllFlags) {
     throw new Error('Unable to upload files due parameters missing');
   }
-  if (typeof customParams.files !== 'object'
+  if (!Array.isArray(customParams.files)
     || customParams.files.length < 1) {
     throw new Error('Files array should not be empty');
   }
 
-  var S3 = this.S3;
-  var bucketName = this.bucketName;
-
-  var files = customParams.files.map(function(file) {
+  customParams.files.forEach(function(file) {
     if (typeof file.Key !== 'string') {
       throw new Error('File name Key should be string');
     }
     if (typeof file.VersionId === 'undefined') {
       throw new Error('File VersionId should be provided');
     }
-    return file;
   });
-  var params = {
-    Bucket: bucketName,
-    Delete: {
-      Objects: files
-    }
-    // Quiet: false
-  };
-  var deleteObjectsPromise = promisify(S3.deleteObjects).bind(S3);
-  return new Promise(function (resolve, reject) {
-    deleteObjectsPromise(params)
-      .then(function (response) { resolve(response); })
-      .catch(reject);
+  return this.bulkDelete({ files: customParams.files }).then(function(response) {
+    return { Deleted: response.Deleted, Errors: response.Errors };
   });
 };
 
@@ -822,6 +4387,7 @@ Bucket.prototype.updateCredentials = function(credentials) {
   if (typeof credentials === 'undefined') {
     throw new Error('Credentials parameter is mandatory');
   }
+  checkConfigUpdates(this.S3);
   this.S3.config.update({
     credentials: new AWS.Credentials(credentials)
   });
@@ -831,7 +4397,9 @@ Bucket.prototype.updateRegion = function(region) {
   if (typeof region === 'undefined') {
     throw new Error('Region parameter is mandatory');
   }
+  checkConfigUpdates(this.S3);
   this.S3.config.update({region: region})
+  this.urlOptions.region = region;
 };
 
 Bucket.prototype.updateBucketName = function(name) {
@@ -841,4 +4409,8 @@ Bucket.prototype.updateBucketName = function(name) {
   this.bucketName = name;
 };
 
+// client adapters for the client param
+Bucket.adapters = s3Adapters;
+Bucket.MemoryS3 = MemoryS3;
+
 module.exports = Bucket;
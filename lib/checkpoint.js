@@ -0,0 +1,73 @@
+var fs = require('fs');
+var Promise = require('bluebird');
+var promisify = Promise.promisify;
+
+var readFilePromise = promisify(fs.readFile);
+var writeFilePromise = promisify(fs.writeFile);
+var renamePromise = promisify(fs.rename);
+var unlinkPromise = promisify(fs.unlink);
+
+/*
+Checkpoints are plain JSON files holding the state of a multipart operation,
+for a copy:
+{ operation: 'copy',
+  Bucket: 'your-bucket-name',
+  Key: 'upload-test-copied.txt',
+  CopySource: 'your-bucket-name/upload-test.txt',
+  fileSize: 1400000000,
+  UploadId: 'abc...',
+  partitions: [ '0-499999999', ... ],
+  parts: [ { PartNumber: 1, ETag: '"def..."' } ] }
+*/
+
+// resolves null when there is no checkpoint yet
+var load = function(filePath) {
+  return readFilePromise(filePath, 'utf8')
+    .then(function(contents) {
+      return JSON.parse(contents);
+    })
+    .catch(function(err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      return Promise.reject(err);
+    });
+};
+
+// written next to the target first, a crash never leaves a truncated checkpoint
+var save = function(filePath, state) {
+  var tmpPath = `${filePath}.tmp`;
+  return writeFilePromise(tmpPath, JSON.stringify(state, null, 2))
+    .then(function() {
+      return renamePromise(tmpPath, filePath);
+    });
+};
+
+var remove = function(filePath) {
+  return unlinkPromise(filePath).catch(function(err) {
+    if (err.code === 'ENOENT') {
+      return;
+    }
+    return Promise.reject(err);
+  });
+};
+
+// parts finish concurrently, writes are queued so they never overlap
+var createWriter = function(filePath) {
+  var queue = Promise.resolve();
+  return function(state) {
+    var write = queue.then(function() {
+      return save(filePath, state);
+    });
+    // a failed write should not block the ones after it
+    queue = write.catch(function() {});
+    return write;
+  };
+};
+
+module.exports = {
+  load: load,
+  save: save,
+  remove: remove,
+  createWriter: createWriter
+};
@@ -0,0 +1,88 @@
+var fs = require('fs');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+
+const CHECKSUM_ALGORITHMS = ['md5', 'sha256'];
+const SHA256_METADATA = 'sha256'; // x-amz-meta-sha256, hex digest of the whole object
+
+/*
+MD5 (and SHA-256) of a file byte range in one read, inclusive offsets as the
+partitions ones.
+
+Result:
+{ md5: <Buffer ...>, sha256: <Buffer ...> }
+*/
+var digestRange = function(filePath, start, end) {
+  return new Promise(function(resolve, reject) {
+    var md5 = crypto.createHash('md5');
+    var sha256 = crypto.createHash('sha256');
+    var options = typeof start === 'number' ? { start: start, end: end } : {};
+    fs.createReadStream(filePath, options)
+      .on('error', reject)
+      .on('data', function(chunk) {
+        md5.update(chunk);
+        sha256.update(chunk);
+      })
+      .on('end', function() {
+        resolve({ md5: md5.digest(), sha256: sha256.digest() });
+      });
+  });
+};
+
+// '"abc..."' or '"abc...-12"' => Buffer of the MD5, null for composite ETags
+var parseETag = function(ETag) {
+  var hex = String(ETag || '').replace(/"/g, '');
+  return /^[0-9a-f]{32}$/.test(hex) ? Buffer.from(hex, 'hex') : null;
+};
+
+// number of parts of a multipart ETag, 0 for a plain MD5
+var countETagParts = function(ETag) {
+  var match = String(ETag || '').match(/-(\d+)"?$/);
+  return match ? Number(match[1]) : 0;
+};
+
+/*
+ETag S3 gives a multipart upload: the MD5 of the part MD5s followed by the
+number of parts.
+
+Usage:
+checksums.compositeETag([ <Buffer md5 part 1>, <Buffer md5 part 2> ])
+
+Result:
+'"abc...-2"'
+*/
+var compositeETag = function(partMd5s) {
+  var digest = crypto.createHash('md5').update(Buffer.concat(partMd5s)).digest('hex');
+  return `"${digest}-${partMd5s.length}"`;
+};
+
+// [ '0-4', '5-9', '10-11' ] for 12 bytes in parts of 5, no S3 limits applied
+var splitRanges = function(size, partSize) {
+  var ranges = [];
+  var start;
+  for (start = 0; start < size; start += partSize) {
+    ranges.push(`${start}-${Math.min(start + partSize, size) - 1}`);
+  }
+  return ranges;
+};
+
+// expected ETag of a file uploaded with these ranges ('0-499999999', ...)
+var expectedETag = function(filePath, partitionsRangeArray) {
+  return Promise.mapSeries(partitionsRangeArray, function(range) {
+    var bounds = range.split('-');
+    return digestRange(filePath, Number(bounds[0]), Number(bounds[1])).then(function(digest) {
+      return digest.md5;
+    });
+  }).then(compositeETag);
+};
+
+module.exports = {
+  CHECKSUM_ALGORITHMS: CHECKSUM_ALGORITHMS,
+  SHA256_METADATA: SHA256_METADATA,
+  digestRange: digestRange,
+  parseETag: parseETag,
+  countETagParts: countETagParts,
+  compositeETag: compositeETag,
+  splitRanges: splitRanges,
+  expectedETag: expectedETag
+};
@@ -0,0 +1,215 @@
+var fs = require('fs');
+var crypto = require('crypto');
+var stream = require('stream');
+var Promise = require('bluebird');
+
+const CSE_ALGORITHM = 'AES-256-GCM';
+const KEY_BYTES = 32; // data and master keys are AES-256 ones
+const IV_BYTES = 12;
+const TAG_BYTES = 16; // GCM authentication tag, appended to the body
+// x-amz-meta-* fields stored with every client-side encrypted object
+const METADATA = {
+  algorithm: 'cse-algorithm',
+  keyId: 'cse-key-id',
+  wrappedKey: 'cse-key', // base64 of the wrapping IV, the encrypted data key and its tag
+  iv: 'cse-iv', // base64 IV of the body
+  length: 'cse-unencrypted-length',
+  md5: 'cse-unencrypted-md5' // hex MD5 of the plain body, the ETag is the ciphertext one
+};
+
+/*
+Client-side envelope encryption settings, given at the instance level
+(clientEncryption param of the Bucket) or per call. Every object gets its own
+data key, wrapped with the master key keyId. The keyring gives the master
+key of a key id, the current one and the ones objects were wrapped with
+before a rotation.
+{ keyId: 'master-2018-03', // (optional) master key of the new objects, only needed to write
+  keyring: function(keyId) { return masterKeys[keyId]; } } // 32 bytes Buffer, or a Promise of it
+false turns the instance setting off for one call.
+*/
+var normalize = function(setting) {
+  if (typeof setting === 'undefined' || setting === null || setting === false) {
+    return null;
+  }
+  if (typeof setting !== 'object' || typeof setting.keyring !== 'function') {
+    throw new Error('Function was expected for clientEncryption keyring');
+  }
+  if (typeof setting.keyId !== 'undefined' && typeof setting.keyId !== 'string') {
+    throw new Error('String was expected for clientEncryption keyId');
+  }
+  return { keyId: setting.keyId, keyring: setting.keyring };
+};
+
+// errors of data that does not authenticate, as S3 errors carry a code
+var decryptionFailed = function(message) {
+  var err = new Error(message);
+  err.code = 'DecryptionFailed';
+  return err;
+};
+
+var getMasterKey = function(setting, keyId) {
+  return Promise.resolve(setting.keyring(keyId)).then(function(masterKey) {
+    if (!Buffer.isBuffer(masterKey) || masterKey.length !== KEY_BYTES) {
+      return Promise.reject(new Error(`Keyring returned no 32 bytes master key for ${keyId}`));
+    }
+    return masterKey;
+  });
+};
+
+// the key id is authenticated along, a wrapped key can not be moved to another one
+var wrapKey = function(masterKey, keyId, dataKey) {
+  var iv = crypto.randomBytes(IV_BYTES);
+  var cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  cipher.setAAD(Buffer.from(keyId));
+  var encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, encrypted, cipher.getAuthTag()]).toString('base64');
+};
+
+var unwrapKey = function(masterKey, keyId, wrappedKey) {
+  var wrapped = Buffer.from(wrappedKey, 'base64');
+  var decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapped.slice(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(keyId));
+  decipher.setAuthTag(wrapped.slice(wrapped.length - TAG_BYTES));
+  try {
+    return Buffer.concat([decipher.update(wrapped.slice(IV_BYTES, wrapped.length - TAG_BYTES)), decipher.final()]);
+  } catch (err) {
+    throw decryptionFailed(`Data key does not unwrap with the master key ${keyId}`);
+  }
+};
+
+var isEncrypted = function(metadata) {
+  return !!metadata && typeof metadata[METADATA.wrappedKey] !== 'undefined';
+};
+
+// the data key of an object, unwrapped with the master key it names
+var readDataKey = function(setting, metadata) {
+  if (metadata[METADATA.algorithm] !== CSE_ALGORITHM) {
+    return Promise.reject(new Error(`${CSE_ALGORITHM} was expected for the object encryption`));
+  }
+  var keyId = metadata[METADATA.keyId];
+  return getMasterKey(setting, keyId).then(function(masterKey) {
+    return unwrapKey(masterKey, keyId, metadata[METADATA.wrappedKey]);
+  });
+};
+
+/*
+New data key and IV for an object of plainLength bytes (plainMd5 its hex
+MD5), the metadata to store with it and the stream encrypting its body (the
+tag appended at the end, TAG_BYTES longer than the plain body).
+
+Result:
+{ Metadata: { 'cse-algorithm': 'AES-256-GCM', 'cse-key-id': 'master-2018-03', ... },
+  createCipherStream: function() {} }
+*/
+var prepareEncryption = function(setting, plainLength, plainMd5) {
+  if (typeof setting.keyId === 'undefined') {
+    return Promise.reject(new Error('Unable to encrypt due clientEncryption keyId missing'));
+  }
+  var dataKey = crypto.randomBytes(KEY_BYTES);
+  var iv = crypto.randomBytes(IV_BYTES);
+  return getMasterKey(setting, setting.keyId).then(function(masterKey) {
+    var metadata = {};
+    metadata[METADATA.algorithm] = CSE_ALGORITHM;
+    metadata[METADATA.keyId] = setting.keyId;
+    metadata[METADATA.wrappedKey] = wrapKey(masterKey, setting.keyId, dataKey);
+    metadata[METADATA.iv] = iv.toString('base64');
+    metadata[METADATA.length] = String(plainLength);
+    metadata[METADATA.md5] = plainMd5;
+    return {
+      Metadata: metadata,
+      createCipherStream: function() {
+        var cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+        return new stream.Transform({
+          transform: function(chunk, encoding, callback) {
+            callback(null, cipher.update(chunk));
+          },
+          flush: function(callback) {
+            this.push(cipher.final());
+            callback(null, cipher.getAuthTag());
+          }
+        });
+      }
+    };
+  });
+};
+
+var readTag = function(filePath, size) {
+  var openPromise = Promise.promisify(fs.open);
+  var readPromise = Promise.promisify(fs.read, { multiArgs: true });
+  var closePromise = Promise.promisify(fs.close);
+  var tag = Buffer.alloc(TAG_BYTES);
+  return openPromise(filePath, 'r').then(function(fd) {
+    return readPromise(fd, tag, 0, TAG_BYTES, size - TAG_BYTES).finally(function() {
+      return closePromise(fd);
+    });
+  }).then(function() {
+    return tag;
+  });
+};
+
+/*
+Decrypts the downloaded body in sourcePath into targetPath, the tag checked
+once the whole body is read. targetPath is removed when the body does not
+authenticate.
+*/
+var decryptFile = function(setting, metadata, sourcePath, targetPath) {
+  var statPromise = Promise.promisify(fs.stat);
+  var unlinkPromise = Promise.promisify(fs.unlink);
+  var expectedLength = Number(metadata[METADATA.length]);
+  return Promise.all([readDataKey(setting, metadata), statPromise(sourcePath)]).then(function(results) {
+    var dataKey = results[0];
+    var size = results[1].size;
+    if (size < TAG_BYTES || size - TAG_BYTES !== expectedLength) {
+      return Promise.reject(decryptionFailed('Encrypted body size does not match the object plain size'));
+    }
+    return readTag(sourcePath, size).then(function(tag) {
+      return new Promise(function(resolve, reject) {
+        var decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(metadata[METADATA.iv], 'base64'));
+        decipher.setAuthTag(tag);
+        var output = fs.createWriteStream(targetPath);
+        var fail = function(err) {
+          output.destroy();
+          unlinkPromise(targetPath).catch(function() {}).then(function() {
+            reject(err);
+          });
+        };
+        // the tag is checked when the decipher ends, before the output does
+        decipher.on('error', function() {
+          fail(decryptionFailed('Object body does not authenticate with its data key'));
+        });
+        output.on('error', fail);
+        output.on('finish', function() {
+          resolve(expectedLength);
+        });
+        decipher.pipe(output);
+        if (expectedLength === 0) {
+          return decipher.end();
+        }
+        fs.createReadStream(sourcePath, { start: 0, end: expectedLength - 1 })
+          .on('error', fail)
+          .pipe(decipher);
+      });
+    });
+  });
+};
+
+// the same data key wrapped with the master key keyId, the body is left as is
+var rewrapMetadata = function(setting, metadata, keyId) {
+  return Promise.all([readDataKey(setting, metadata), getMasterKey(setting, keyId)]).then(function(keys) {
+    var rewrapped = Object.assign({}, metadata);
+    rewrapped[METADATA.keyId] = keyId;
+    rewrapped[METADATA.wrappedKey] = wrapKey(keys[1], keyId, keys[0]);
+    return rewrapped;
+  });
+};
+
+module.exports = {
+  CSE_ALGORITHM: CSE_ALGORITHM,
+  TAG_BYTES: TAG_BYTES,
+  METADATA: METADATA,
+  normalize: normalize,
+  isEncrypted: isEncrypted,
+  prepareEncryption: prepareEncryption,
+  decryptFile: decryptFile,
+  rewrapMetadata: rewrapMetadata
+};
@@ -0,0 +1,119 @@
+var crypto = require('crypto');
+
+const ENCRYPTION_TYPES = ['SSE-S3', 'SSE-KMS', 'SSE-C'];
+const CUSTOMER_KEY_BYTES = 32; // SSE-C keys are AES-256 ones
+
+/*
+Server-side encryption settings, given at the instance level (encryption
+param of the Bucket) or per call:
+{ type: 'SSE-S3' }
+{ type: 'SSE-KMS', kmsKeyId: 'arn:aws:kms:...' } // kmsKeyId (optional), the AWS managed key by default
+{ type: 'SSE-C', customerKey: <Buffer 32 bytes> } // or the key base64 encoded
+false turns the instance setting off for one call.
+
+Result:
+{ type: 'SSE-C', customerKey: <Buffer ...>, customerKeyMD5: 'abc...==' } or null
+*/
+var normalize = function(encryption) {
+  if (typeof encryption === 'undefined' || encryption === null || encryption === false) {
+    return null;
+  }
+  if (typeof encryption !== 'object' || ENCRYPTION_TYPES.indexOf(encryption.type) === -1) {
+    throw new Error('SSE-S3, SSE-KMS or SSE-C was expected for encryption type');
+  }
+  var normalized = { type: encryption.type };
+  if (encryption.type === 'SSE-KMS' && typeof encryption.kmsKeyId !== 'undefined') {
+    normalized.kmsKeyId = encryption.kmsKeyId;
+  }
+  if (encryption.type === 'SSE-C') {
+    var key = typeof encryption.customerKey === 'string'
+      ? Buffer.from(encryption.customerKey, 'base64')
+      : encryption.customerKey;
+    if (!Buffer.isBuffer(key) || key.length !== CUSTOMER_KEY_BYTES) {
+      throw new Error('SSE-C customerKey should be 32 bytes');
+    }
+    normalized.customerKey = key;
+    normalized.customerKeyMD5 = crypto.createHash('md5').update(key).digest('base64');
+  }
+  return normalized;
+};
+
+// SSE-C key params, prefix 'CopySource' for the source of a copy
+var customerParams = function(encryption, prefix) {
+  var params = {};
+  if (!encryption || encryption.type !== 'SSE-C') {
+    return params;
+  }
+  var name = prefix || '';
+  params[`${name}SSECustomerAlgorithm`] = 'AES256';
+  params[`${name}SSECustomerKey`] = encryption.customerKey;
+  params[`${name}SSECustomerKeyMD5`] = encryption.customerKeyMD5;
+  return params;
+};
+
+// params of the calls writing an object (putObject, createMultipartUpload, copyObject)
+var writeParams = function(encryption) {
+  if (!encryption) {
+    return {};
+  }
+  if (encryption.type === 'SSE-S3') {
+    return { ServerSideEncryption: 'AES256' };
+  }
+  if (encryption.type === 'SSE-KMS') {
+    var params = { ServerSideEncryption: 'aws:kms' };
+    if (typeof encryption.kmsKeyId !== 'undefined') {
+      params.SSEKMSKeyId = encryption.kmsKeyId;
+    }
+    return params;
+  }
+  return customerParams(encryption);
+};
+
+/*
+Headers the holder of a presigned URL has to send, they are part of the
+signature. Only SSE-C is needed to read.
+
+Result:
+{ 'x-amz-server-side-encryption-customer-algorithm': 'AES256',
+  'x-amz-server-side-encryption-customer-key': 'abc...==',
+  'x-amz-server-side-encryption-customer-key-MD5': 'def...==' }
+*/
+var requestHeaders = function(encryption, write) {
+  var headers = {};
+  if (!encryption) {
+    return headers;
+  }
+  if (encryption.type === 'SSE-C') {
+    headers['x-amz-server-side-encryption-customer-algorithm'] = 'AES256';
+    headers['x-amz-server-side-encryption-customer-key'] = encryption.customerKey.toString('base64');
+    headers['x-amz-server-side-encryption-customer-key-MD5'] = encryption.customerKeyMD5;
+  } else if (write) {
+    var params = writeParams(encryption);
+    headers['x-amz-server-side-encryption'] = params.ServerSideEncryption;
+    if (typeof params.SSEKMSKeyId !== 'undefined') {
+      headers['x-amz-server-side-encryption-aws-kms-key-id'] = params.SSEKMSKeyId;
+    }
+  }
+  return headers;
+};
+
+// write params asking for server-side encryption, whatever the kind
+var isEncrypted = function(params) {
+  return typeof params.ServerSideEncryption !== 'undefined'
+    || typeof params.SSECustomerAlgorithm !== 'undefined';
+};
+
+// ETags of SSE-KMS and SSE-C objects are not the MD5 of their contents
+var hasMD5ETag = function(head) {
+  return head.ServerSideEncryption !== 'aws:kms' && typeof head.SSECustomerAlgorithm === 'undefined';
+};
+
+module.exports = {
+  ENCRYPTION_TYPES: ENCRYPTION_TYPES,
+  normalize: normalize,
+  customerParams: customerParams,
+  writeParams: writeParams,
+  requestHeaders: requestHeaders,
+  isEncrypted: isEncrypted,
+  hasMD5ETag: hasMD5ETag
+};
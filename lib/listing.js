@@ -0,0 +1,88 @@
+var Promise = require('bluebird');
+
+/*
+Async iterator over the pages of an S3 listing, fetched one at a time and only
+when asked for, waiting pageDelay ms in between. Stopping the iteration
+(`break` in a `for await` loop) fetches nothing more.
+
+fetchPage(params) resolves a page, nextParams(page, params) returns the params
+of the following page or null after the last one.
+
+Usage:
+var pages = createPageIterator(fetchPage, { Bucket: 'your-bucket-name' }, nextParams, 500);
+for await (const page of pages) { ... }
+*/
+var createPageIterator = function(fetchPage, firstParams, nextParams, pageDelay) {
+  var params = firstParams;
+  var pagesFetched = 0;
+  var done = false;
+
+  var iterator = {
+    next: function() {
+      if (done || params === null) {
+        done = true;
+        return Promise.resolve({ done: true, value: undefined });
+      }
+      var delay = pagesFetched > 0 ? pageDelay : 0;
+      return Promise.delay(delay).then(function() {
+        return fetchPage(params);
+      }).then(function(page) {
+        pagesFetched++;
+        params = nextParams(page, params);
+        return { done: false, value: page };
+      }).catch(function(err) {
+        done = true;
+        return Promise.reject(err);
+      });
+    },
+    return: function() {
+      done = true;
+      return Promise.resolve({ done: true, value: undefined });
+    }
+  };
+  iterator[Symbol.asyncIterator] = function() {
+    return iterator;
+  };
+  return iterator;
+};
+
+/*
+Async iterator over the items of every page, pageItems(page) picks them out of
+a page. The next page is fetched once the items of the current one are used up.
+*/
+var createItemIterator = function(pageIterator, pageItems) {
+  var items = [];
+  var index = 0;
+
+  var iterator = {
+    next: function() {
+      if (index < items.length) {
+        index++;
+        return Promise.resolve({ done: false, value: items[index - 1] });
+      }
+      return pageIterator.next().then(function(result) {
+        if (result.done) {
+          return result;
+        }
+        items = pageItems(result.value);
+        index = 0;
+        // empty pages are skipped
+        return iterator.next();
+      });
+    },
+    return: function() {
+      items = [];
+      index = 0;
+      return pageIterator.return();
+    }
+  };
+  iterator[Symbol.asyncIterator] = function() {
+    return iterator;
+  };
+  return iterator;
+};
+
+module.exports = {
+  createPageIterator: createPageIterator,
+  createItemIterator: createItemIterator
+};
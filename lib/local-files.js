@@ -0,0 +1,130 @@
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var promisify = Promise.promisify;
+
+var readdirPromise = promisify(fs.readdir);
+var statPromise = promisify(fs.stat);
+var mkdirPromise = promisify(fs.mkdir);
+
+/*
+Every file under root, recursively.
+
+Result:
+[ { filePath: '/root/dir/a/b.txt', relativePath: 'a/b.txt', size: 26, mtime: 2018-05-02T12:53:29.000Z } ]
+*/
+var walkDirectory = function(root, relativeDir) {
+  var dir = relativeDir ? path.join(root, relativeDir) : root;
+  return readdirPromise(dir).then(function(names) {
+    return Promise.mapSeries(names.sort(), function(name) {
+      var relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+      var filePath = path.join(dir, name);
+      return statPromise(filePath).then(function(stats) {
+        if (stats.isDirectory()) {
+          return walkDirectory(root, relativePath);
+        }
+        if (!stats.isFile()) {
+          return [];
+        }
+        return [{
+          filePath: filePath,
+          relativePath: relativePath,
+          size: stats.size,
+          mtime: stats.mtime
+        }];
+      });
+    });
+  }).then(function(nested) {
+    return [].concat.apply([], nested);
+  });
+};
+
+/*
+Glob patterns on '/' separated paths:
+  *   anything but '/'
+  **  anything, '/' included ('**' + '/' also matches no directory at all)
+  ?   one character but '/'
+*/
+var globToRegExp = function(glob) {
+  var regExp = '';
+  var i, char;
+  for (i = 0; i < glob.length; i++) {
+    char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        regExp += '(?:.*/)?';
+        i += 2;
+      } else {
+        regExp += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regExp += '[^/]*';
+    } else if (char === '?') {
+      regExp += '[^/]';
+    } else {
+      regExp += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regExp}$`);
+};
+
+/*
+Filter for relative paths: kept when matching any include (all when there are
+none) and no exclude.
+*/
+var createPathFilter = function(include, exclude) {
+  var includes = (include || []).map(globToRegExp);
+  var excludes = (exclude || []).map(globToRegExp);
+  return function(relativePath) {
+    var included = includes.length === 0 || includes.some(function(regExp) {
+      return regExp.test(relativePath);
+    });
+    return included && !excludes.some(function(regExp) {
+      return regExp.test(relativePath);
+    });
+  };
+};
+
+/*
+Creates dir and its missing parents (the recursive option of fs.mkdir is
+ignored before Node 10.12). Directories created meanwhile by concurrent
+calls are fine.
+*/
+var makeDirectory = function(dir) {
+  return mkdirPromise(dir).catch(function(err) {
+    if (err.code === 'EEXIST') {
+      return null;
+    }
+    if (err.code !== 'ENOENT' || path.dirname(dir) === dir) {
+      return Promise.reject(err);
+    }
+    return makeDirectory(path.dirname(dir)).then(function() {
+      return makeDirectory(dir);
+    });
+  });
+};
+
+var hashFile = function(filePath, algorithm, encoding) {
+  return new Promise(function(resolve, reject) {
+    var hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', function(chunk) { hash.update(chunk); })
+      .on('end', function() { resolve(hash.digest(encoding || 'hex')); });
+  });
+};
+
+var md5File = function(filePath) {
+  return hashFile(filePath, 'md5');
+};
+
+module.exports = {
+  walkDirectory: walkDirectory,
+  globToRegExp: globToRegExp,
+  createPathFilter: createPathFilter,
+  makeDirectory: makeDirectory,
+  hashFile: hashFile,
+  md5File: md5File
+};
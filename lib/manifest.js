@@ -0,0 +1,213 @@
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var readline = require('readline');
+var Promise = require('bluebird');
+
+var writeFilePromise = Promise.promisify(fs.writeFile);
+
+// 'a,"b,""c""",d' => [ 'a', 'b,"c"', 'd' ]
+var parseCsvLine = function(line) {
+  var fields = [];
+  var field = '';
+  var quoted = false;
+  var i, char;
+  for (i = 0; i < line.length; i++) {
+    char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+// [ 'a', 'b,"c"' ] => 'a,"b,""c"""', missing fields are left empty
+var formatCsvLine = function(fields) {
+  return fields.map(function(field) {
+    var value = typeof field === 'undefined' || field === null ? '' : String(field);
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(',');
+};
+
+// S3 Batch Operations / Inventory row: Bucket,Key[,VersionId], Key URL-encoded
+var parseCsvEntry = function(line) {
+  var fields = parseCsvLine(line);
+  var entry = {
+    Bucket: fields[0],
+    Key: decodeURIComponent(fields[1] || '')
+  };
+  if (fields[2]) {
+    entry.VersionId = fields[2];
+  }
+  return entry;
+};
+
+// 'key' or { Key, VersionId } => { Key, VersionId }
+var toEntry = function(file) {
+  if (typeof file === 'string') {
+    return { Key: file };
+  }
+  if (file === null || typeof file !== 'object' || typeof file.Key !== 'string') {
+    throw new Error('File name Key should be string');
+  }
+  var entry = { Key: file.Key };
+  if (typeof file.VersionId !== 'undefined') {
+    entry.VersionId = file.VersionId;
+  }
+  if (typeof file.Bucket !== 'undefined') {
+    entry.Bucket = file.Bucket;
+  }
+  return entry;
+};
+
+/*
+Entries of a manifest file as an async iterator, read line by line:
+- .csv files are S3 Batch Operations manifests, Bucket,Key[,VersionId]
+- any other file holds one key per line
+Empty lines are skipped.
+
+Result (items):
+{ Bucket: 'your-bucket-name', Key: 'dumps/db.dump', VersionId: 'abc...' }
+*/
+var readManifest = function(filePath) {
+  var csv = path.extname(filePath).toLowerCase() === '.csv';
+  // readline does not forward stream errors: older Node versions throw them
+  // uncaught and never settle the pending line, so next() rejects with them
+  var readError = null;
+  var waiting = [];
+  var input = fs.createReadStream(filePath).on('error', function(err) {
+    readError = err;
+    waiting.splice(0).forEach(function(reject) { reject(err); });
+  });
+  var lines = readline.createInterface({
+    input: input,
+    crlfDelay: Infinity
+  })[Symbol.asyncIterator]();
+
+  var iterator = {
+    next: function() {
+      if (readError) {
+        return Promise.reject(readError);
+      }
+      return new Promise(function(resolve, reject) {
+        waiting.push(reject);
+        Promise.resolve(lines.next()).then(resolve, reject).finally(function() {
+          var index = waiting.indexOf(reject);
+          if (index !== -1) {
+            waiting.splice(index, 1);
+          }
+        });
+      }).then(function(result) {
+        if (readError) {
+          throw readError;
+        }
+        if (result.done) {
+          return result;
+        }
+        if (result.value === '') {
+          return iterator.next();
+        }
+        return {
+          done: false,
+          value: csv ? parseCsvEntry(result.value) : { Key: result.value }
+        };
+      });
+    },
+    return: function() {
+      return Promise.resolve(lines.return());
+    }
+  };
+  iterator[Symbol.asyncIterator] = function() {
+    return iterator;
+  };
+  return iterator;
+};
+
+/*
+Entries of an array or an async iterable of keys (or { Key, VersionId }), as
+an async iterator.
+*/
+var iterateEntries = function(files) {
+  var source;
+  var index = 0;
+  if (Array.isArray(files)) {
+    source = {
+      next: function() {
+        index++;
+        return index <= files.length
+          ? { done: false, value: files[index - 1] }
+          : { done: true, value: undefined };
+      },
+      return: function() {
+        return { done: true, value: undefined };
+      }
+    };
+  } else if (files && typeof files[Symbol.asyncIterator] === 'function') {
+    source = files[Symbol.asyncIterator]();
+  } else {
+    throw new Error('Array or async iterable was expected for files parameter');
+  }
+
+  var iterator = {
+    next: function() {
+      return Promise.resolve(source.next()).then(function(result) {
+        return result.done ? result : { done: false, value: toEntry(result.value) };
+      });
+    },
+    return: function() {
+      return Promise.resolve(typeof source.return === 'function' ? source.return() : undefined);
+    }
+  };
+  iterator[Symbol.asyncIterator] = function() {
+    return iterator;
+  };
+  return iterator;
+};
+
+// SHA-256 of a files array, identifies it in checkpoints without storing every key
+var hashEntries = function(files) {
+  var hash = crypto.createHash('sha256');
+  files.forEach(function(file) {
+    var entry = toEntry(file);
+    hash.update(JSON.stringify([entry.Key, entry.VersionId]));
+  });
+  return hash.digest('hex');
+};
+
+/*
+Writes rows to a manifest file: .csv files get a header line with the columns
+and one line per row, any other file a JSON array of the rows.
+*/
+var writeManifest = function(filePath, rows, columns) {
+  var csv = path.extname(filePath).toLowerCase() === '.csv';
+  var contents = csv
+    ? [columns].concat(rows.map(function(row) {
+      return columns.map(function(column) { return row[column]; });
+    })).map(formatCsvLine).join('\n') + '\n'
+    : JSON.stringify(rows, null, 2);
+  return writeFilePromise(filePath, contents);
+};
+
+module.exports = {
+  parseCsvLine: parseCsvLine,
+  formatCsvLine: formatCsvLine,
+  writeManifest: writeManifest,
+  readManifest: readManifest,
+  iterateEntries: iterateEntries,
+  hashEntries: hashEntries
+};
@@ -0,0 +1,1141 @@
+var EventEmitter = require('events');
+var crypto = require('crypto');
+var partitions = require('./partitions');
+
+const LIST_MAXIMUM_KEYS = 1000; // largest listing page S3 returns
+const DELETE_OBJECTS_MAXIMUM_KEYS = 1000;
+const MANAGED_UPLOAD_PART_SIZE = 5242880; // SDK v2 upload() default, bodies from it on go in parts
+const OWNER = { DisplayName: 'memory', ID: 'memory' };
+
+// Error shaped as the AWS SDK v2 ones
+var s3Error = function(code, message, statusCode) {
+  var err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+};
+
+var md5 = function(data) {
+  return crypto.createHash('md5').update(data).digest();
+};
+
+var quote = function(hex) {
+  return `"${hex}"`;
+};
+
+// ContentMD5 (base64) sent with the body, S3 refuses the body when it differs
+var checkContentMD5 = function(params, body) {
+  if (typeof params.ContentMD5 === 'undefined' || params.ContentMD5 === md5(body).toString('base64')) {
+    return null;
+  }
+  return s3Error('BadDigest', 'The Content-MD5 you specified did not match what we received.', 400);
+};
+
+// Buffer, string or readable stream => Buffer
+var readBody = function(body, callback) {
+  if (typeof body === 'undefined' || body === null) {
+    return callback(null, Buffer.alloc(0));
+  }
+  if (Buffer.isBuffer(body)) {
+    return callback(null, body);
+  }
+  if (typeof body === 'string' || body instanceof Uint8Array) {
+    return callback(null, Buffer.from(body));
+  }
+  var chunks = [];
+  body.on('data', function(chunk) { chunks.push(chunk); });
+  body.on('error', callback);
+  body.on('end', function() { callback(null, Buffer.concat(chunks)); });
+};
+
+// 'k1=v1&k2=v2' => [ { Key: 'k1', Value: 'v1' }, ... ]
+var parseTagging = function(tagging) {
+  if (!tagging) {
+    return [];
+  }
+  return tagging.split('&').map(function(pair) {
+    var parts = pair.split('=');
+    return { Key: decodeURIComponent(parts[0]), Value: decodeURIComponent(parts[1] || '') };
+  });
+};
+
+/*
+'bucket/key?versionId=abc' (keys URL encoded, a leading '/' allowed) or the
+virtual hosted URL of an object, as returned by uploadFile.
+*/
+var parseCopySource = function(copySource) {
+  var source = String(copySource);
+  var hosted = source.match(/^https?:\/\/([^./]+)\.s3[^/]*\.amazonaws\.com\/(.*)$/);
+  if (hosted) {
+    source = `${hosted[1]}/${hosted[2]}`;
+  }
+  source = source.replace(/^\//, '');
+  var query = source.indexOf('?');
+  var versionId;
+  if (query !== -1) {
+    var match = source.slice(query + 1).match(/(?:^|&)versionId=([^&]*)/);
+    versionId = match ? decodeURIComponent(match[1]) : undefined;
+    source = source.slice(0, query);
+  }
+  var slash = source.indexOf('/');
+  return {
+    Bucket: source.slice(0, slash),
+    Key: decodeURIComponent(source.slice(slash + 1)),
+    VersionId: versionId
+  };
+};
+
+// 'bytes=0-99' or 'bytes=100-' => { start, end } within size
+var parseByteRange = function(range, size) {
+  var match = String(range).match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  if (match[1] === '') {
+    return { start: Math.max(size - Number(match[2]), 0), end: size - 1 };
+  }
+  var start = Number(match[1]);
+  var end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  return start > end || start >= size ? null : { start: start, end: end };
+};
+
+// object metadata stored with every version
+const METADATA_FIELDS = [
+  'ContentType',
+  'Metadata',
+  'CacheControl',
+  'ContentDisposition',
+  'ContentEncoding',
+  'ContentLanguage',
+  'Expires',
+  'StorageClass',
+  'ServerSideEncryption',
+  'SSEKMSKeyId',
+  'SSECustomerAlgorithm',
+  'SSECustomerKeyMD5'
+];
+
+// encryption of a copy comes from the copy request, not from its source
+const ENCRYPTION_FIELDS = ['ServerSideEncryption', 'SSEKMSKeyId', 'SSECustomerAlgorithm', 'SSECustomerKeyMD5'];
+
+var pickMetadata = function(params, names) {
+  var metadata = {};
+  (names || METADATA_FIELDS).forEach(function(name) {
+    if (typeof params[name] !== 'undefined') {
+      metadata[name] = params[name];
+    }
+  });
+  return metadata;
+};
+
+/*
+SSE-C objects (and uploads) are only read with their key, prefix 'CopySource'
+for the source of a copy. The SDK sends the key MD5 when not given.
+*/
+var checkCustomerKey = function(stored, params, prefix) {
+  if (typeof stored.SSECustomerAlgorithm === 'undefined') {
+    return null;
+  }
+  var name = prefix || '';
+  var key = params[`${name}SSECustomerKey`];
+  var keyMD5 = params[`${name}SSECustomerKeyMD5`]
+    || (typeof key === 'undefined' ? undefined : md5(key).toString('base64'));
+  if (typeof keyMD5 === 'undefined') {
+    return s3Error('InvalidRequest', 'The object was stored using a form of Server Side Encryption. The correct parameters must be provided to retrieve the object.', 400);
+  }
+  if (keyMD5 !== stored.SSECustomerKeyMD5) {
+    return s3Error('AccessDenied', 'Access Denied', 403);
+  }
+  return null;
+};
+
+// ETags of SSE-KMS and SSE-C objects are not the MD5 of their contents
+var hasMD5ETag = function(params) {
+  return params.ServerSideEncryption !== 'aws:kms' && typeof params.SSECustomerAlgorithm === 'undefined';
+};
+
+// the bucket default encryption applies to writes asking for none
+var withDefaultEncryption = function(bucket, metadata) {
+  if (!bucket.encryption || typeof metadata.ServerSideEncryption !== 'undefined'
+    || typeof metadata.SSECustomerAlgorithm !== 'undefined') {
+    return metadata;
+  }
+  return Object.assign(metadata, pickMetadata(bucket.encryption, ENCRYPTION_FIELDS));
+};
+
+// write responses tell the encryption the object got, as S3 headers do
+var encryptionResult = function(version, result) {
+  return Object.assign(result, pickMetadata(version, ENCRYPTION_FIELDS));
+};
+
+/*
+In-memory S3 stand-in answering the calls Bucket makes, shaped as the AWS SDK
+v2 client: method(params, callback). It keeps versions and delete markers,
+enforces the multipart rules (5MB minimum parts but the last one, part
+numbers 1 to 10000, parts completed in order with their ETags), checks
+ContentMD5 when given, asks for the key of SSE-C objects (their ETags and
+the SSE-KMS ones are not MD5s) and pages listings with continuation tokens
+and markers.
+
+Usage:
+var s3 = new AWSBucket.MemoryS3({
+  buckets: { 'my-bucket': {
+    versioning: true,
+    encryption: { ServerSideEncryption: 'aws:kms' }, // (optional) default encryption
+    objects: { // (optional) stored objects, a body or the versions newest first
+      'notes.txt': 'notes',
+      'dumps/db.dump': [
+        { VersionId: 'v2', IsDeleteMarker: true, LastModified: new Date('2018-05-02') },
+        { VersionId: 'v1', Body: Buffer.from('dump'), ContentType: 'application/octet-stream', Tagging: 'team=data' }
+      ]
+    }
+  } },
+  latency: 5, // (optional) ms before every answer, default 0, or function(operation, params)
+  minPartSize: 5242880, // (optional) smallest part but the last one
+  now: function() { return new Date(); } // (optional) clock of LastModified and Initiated dates
+});
+var bucket = new AWSBucket({ bucketName: 'my-bucket', client: s3 });
+
+// faults for the next matching calls, see injectFault
+s3.injectFault({ operation: 'uploadPart', code: 'SlowDown', statusCode: 503, times: 2 });
+
+s3.calls.uploadPart // => params of every uploadPart call
+s3.maxInFlight.uploadPart // => most uploadPart calls waiting for their answer at once
+*/
+var MemoryS3 = function(options) {
+  var opts = options || {};
+  var self = this;
+  this.buckets = {};
+  this.calls = {};
+  this.faults = [];
+  this.inFlight = {};
+  this.maxInFlight = {};
+  this.latency = opts.latency || 0;
+  this.minPartSize = typeof opts.minPartSize === 'number' ? opts.minPartSize : partitions.MIN_PART_SIZE;
+  this.now = typeof opts.now === 'function' ? opts.now : function() { return new Date(); };
+  this.sequence = 0;
+
+  var buckets = opts.buckets || {};
+  if (Array.isArray(buckets)) {
+    buckets.forEach(function(name) { self._createBucket(name, {}); });
+  } else {
+    Object.keys(buckets).forEach(function(name) { self._createBucket(name, buckets[name]); });
+  }
+};
+
+MemoryS3.prototype._createBucket = function(name, options) {
+  var self = this;
+  var bucket = this.buckets[name] = {
+    Name: name,
+    CreationDate: new Date(),
+    versioning: options.versioning ? 'Enabled' : undefined,
+    encryption: options.encryption, // default encryption, { ServerSideEncryption, SSEKMSKeyId }
+    objects: {}, // Key => versions, newest first
+    uploads: {}, // UploadId => multipart upload
+    sequences: {} // VersionId => creation order, kept after deletion for the markers
+  };
+  var objects = options.objects || {};
+  Object.keys(objects).forEach(function(key) {
+    self._seedObject(bucket, key, objects[key]);
+  });
+};
+
+/*
+A body, or versions newest first: { Body, VersionId, LastModified, IsDeleteMarker,
+ContentType, Tagging, ... }. Unversioned buckets keep the last one as 'null'.
+*/
+MemoryS3.prototype._seedObject = function(bucket, key, seed) {
+  var self = this;
+  var versions = Array.isArray(seed) ? seed : [{ Body: seed }];
+  versions.slice().reverse().forEach(function(entry) {
+    var extra = pickMetadata(entry, bucket.versioning ? ['VersionId', 'LastModified'] : ['LastModified']);
+    if (entry.IsDeleteMarker) {
+      self._putVersion(bucket, key, Object.assign({ IsDeleteMarker: true }, extra));
+      return;
+    }
+    self._storeObject(bucket, key, Buffer.from(entry.Body || ''), entry, extra);
+  });
+};
+
+MemoryS3.prototype._nextId = function() {
+  this.sequence++;
+  return `${Date.now().toString(36)}${this.sequence.toString(36).padStart(6, '0')}${crypto.randomBytes(6).toString('hex')}`;
+};
+
+/*
+Fails the next matching calls:
+{ operation: 'uploadPart', // S3 method name
+  code: 'SlowDown', statusCode: 503, message: '...', // (optional) throttling by default
+  times: 2, // (optional) calls failed, 1 by default, Infinity for all
+  Key: 'dumps/db.dump', // (optional) only for this key, per key in deleteObjects
+  PartNumber: 3, // (optional) only for this part
+  when: function(params) { return true; }, // (optional)
+  corrupt: true } // (optional) answers with a byte of the Body flipped instead of failing
+*/
+MemoryS3.prototype.injectFault = function(fault) {
+  this.faults.push(Object.assign({
+    code: 'SlowDown',
+    statusCode: 503,
+    message: 'Please reduce your request rate.',
+    times: 1
+  }, fault));
+};
+
+MemoryS3.prototype._takeFault = function(operation, params) {
+  var fault = this.faults.find(function(candidate) {
+    return candidate.operation === operation
+      && candidate.times > 0
+      && (typeof candidate.Key === 'undefined' || candidate.Key === params.Key)
+      && (typeof candidate.PartNumber === 'undefined' || candidate.PartNumber === params.PartNumber)
+      && (typeof candidate.when !== 'function' || candidate.when(params));
+  });
+  if (!fault) {
+    return null;
+  }
+  fault.times--;
+  return fault;
+};
+
+MemoryS3.prototype._latency = function(operation, params) {
+  return typeof this.latency === 'function' ? this.latency(operation, params) : this.latency;
+};
+
+// a copy of the result with the first Body byte flipped
+var corruptBody = function(result) {
+  if (!result || !Buffer.isBuffer(result.Body) || result.Body.length === 0) {
+    return result;
+  }
+  var body = Buffer.from(result.Body);
+  body[0] = body[0] ^ 0xff;
+  return Object.assign({}, result, { Body: body });
+};
+
+/*
+Records the call, applies faults and latency, then runs handler(done). Calls
+are in flight from here to their answer.
+*/
+MemoryS3.prototype._call = function(operation, params, callback, handler) {
+  var self = this;
+  var callParams = params || {};
+  self.calls[operation] = self.calls[operation] || [];
+  self.calls[operation].push(callParams);
+  self.inFlight[operation] = (self.inFlight[operation] || 0) + 1;
+  self.maxInFlight[operation] = Math.max(self.maxInFlight[operation] || 0, self.inFlight[operation]);
+  var fault = self._takeFault(operation, callParams);
+  var answer = function(err, result) {
+    setTimeout(function() {
+      self.inFlight[operation]--;
+      if (!err && fault) {
+        result = corruptBody(result);
+      }
+      callback(err, err ? null : result);
+    }, self._latency(operation, callParams));
+  };
+  if (fault && !fault.corrupt) {
+    return answer(s3Error(fault.code, fault.message, fault.statusCode));
+  }
+  try {
+    handler(answer);
+  } catch (err) {
+    answer(err);
+  }
+};
+
+MemoryS3.prototype._bucket = function(name) {
+  var bucket = this.buckets[name];
+  if (!bucket) {
+    throw s3Error('NoSuchBucket', 'The specified bucket does not exist', 404);
+  }
+  return bucket;
+};
+
+// the version asked for, the latest one by default
+MemoryS3.prototype._version = function(bucket, key, versionId, notFoundCode) {
+  var versions = bucket.objects[key] || [];
+  var version = typeof versionId === 'undefined'
+    ? versions[0]
+    : versions.find(function(entry) { return entry.VersionId === versionId; });
+  if (!version) {
+    throw typeof versionId === 'undefined'
+      ? s3Error(notFoundCode, 'The specified key does not exist.', 404)
+      : s3Error(notFoundCode === 'NotFound' ? 'NotFound' : 'NoSuchVersion', 'The specified version does not exist.', 404);
+  }
+  if (version.IsDeleteMarker) {
+    throw typeof versionId === 'undefined'
+      ? s3Error(notFoundCode, 'The specified key does not exist.', 404)
+      : s3Error('MethodNotAllowed', 'The specified method is not allowed against this resource.', 405);
+  }
+  return version;
+};
+
+/*
+Adds a version (or delete marker) as the latest one. Unversioned and
+suspended buckets replace their 'null' version.
+*/
+MemoryS3.prototype._putVersion = function(bucket, key, entry) {
+  var versioned = bucket.versioning === 'Enabled';
+  var version = Object.assign({
+    Key: key,
+    VersionId: versioned ? this._nextId() : 'null',
+    LastModified: this.now()
+  }, entry);
+  this.sequence++;
+  bucket.sequences[version.VersionId] = this.sequence;
+  version.sequence = this.sequence;
+  var versions = (bucket.objects[key] || []).filter(function(existing) {
+    return versioned || existing.VersionId !== 'null';
+  });
+  bucket.objects[key] = [version].concat(versions);
+  return version;
+};
+
+MemoryS3.prototype._storeObject = function(bucket, key, body, params, extra) {
+  var metadata = withDefaultEncryption(bucket, pickMetadata(params));
+  var digest = hasMD5ETag(metadata) ? md5(body) : crypto.randomBytes(16);
+  return this._putVersion(bucket, key, Object.assign({
+    Body: body,
+    Size: body.length,
+    ETag: quote(digest.toString('hex')),
+    TagSet: parseTagging(params.Tagging)
+  }, metadata, extra));
+};
+
+// deletes a version, or adds a delete marker when no VersionId is given
+MemoryS3.prototype._deleteKey = function(bucket, key, versionId) {
+  var versions = bucket.objects[key] || [];
+  if (typeof versionId !== 'undefined') {
+    var removed = versions.find(function(entry) { return entry.VersionId === versionId; });
+    bucket.objects[key] = versions.filter(function(entry) { return entry !== removed; });
+    if (bucket.objects[key].length === 0) {
+      delete bucket.objects[key];
+    }
+    var result = { Key: key, VersionId: versionId };
+    if (removed && removed.IsDeleteMarker) {
+      result.DeleteMarker = true;
+      result.DeleteMarkerVersionId = versionId;
+    }
+    return result;
+  }
+  if (!bucket.versioning) {
+    delete bucket.objects[key];
+    return { Key: key };
+  }
+  var marker = this._putVersion(bucket, key, { IsDeleteMarker: true });
+  return { Key: key, DeleteMarker: true, DeleteMarkerVersionId: marker.VersionId };
+};
+
+var headFields = function(bucket, version) {
+  var head = Object.assign({
+    AcceptRanges: 'bytes',
+    LastModified: version.LastModified,
+    ContentLength: version.Size,
+    ETag: version.ETag,
+    Metadata: {}
+  }, pickMetadata(version));
+  if (bucket.versioning) {
+    head.VersionId = version.VersionId;
+  }
+  if (version.PartsCount) {
+    head.PartsCount = version.PartsCount;
+  }
+  return head;
+};
+
+MemoryS3.prototype.createBucket = function(params, callback) {
+  var self = this;
+  this._call('createBucket', params, callback, function(done) {
+    if (self.buckets[params.Bucket]) {
+      return done(s3Error('BucketAlreadyOwnedByYou', 'Your previous request to create the named bucket succeeded and you already own it.', 409));
+    }
+    self._createBucket(params.Bucket, {});
+    done(null, { Location: `/${params.Bucket}` });
+  });
+};
+
+MemoryS3.prototype.putBucketVersioning = function(params, callback) {
+  var self = this;
+  this._call('putBucketVersioning', params, callback, function(done) {
+    self._bucket(params.Bucket).versioning = params.VersioningConfiguration.Status;
+    done(null, {});
+  });
+};
+
+MemoryS3.prototype.getBucketVersioning = function(params, callback) {
+  var self = this;
+  this._call('getBucketVersioning', params, callback, function(done) {
+    var status = self._bucket(params.Bucket).versioning;
+    done(null, status ? { Status: status } : {});
+  });
+};
+
+MemoryS3.prototype.listBuckets = function(params, callback) {
+  var self = this;
+  if (typeof params === 'function') {
+    callback = params;
+    params = {};
+  }
+  this._call('listBuckets', params, callback, function(done) {
+    done(null, {
+      Buckets: Object.keys(self.buckets).sort().map(function(name) {
+        return { Name: name, CreationDate: self.buckets[name].CreationDate };
+      }),
+      Owner: OWNER
+    });
+  });
+};
+
+MemoryS3.prototype.headObject = function(params, callback) {
+  var self = this;
+  this._call('headObject', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var version = self._version(bucket, params.Key, params.VersionId, 'NotFound');
+    if (params.IfMatch && params.IfMatch !== version.ETag) {
+      return done(s3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold', 412));
+    }
+    var keyError = checkCustomerKey(version, params);
+    if (keyError) {
+      return done(keyError);
+    }
+    var head = headFields(bucket, version);
+    if (typeof params.PartNumber !== 'undefined') {
+      // the size of that part, a single part for objects not uploaded in parts
+      var partSizes = version.PartSizes || [version.Size];
+      if (params.PartNumber < 1 || params.PartNumber > partSizes.length) {
+        return done(s3Error('InvalidPartNumber', 'The requested partnumber is not satisfiable', 416));
+      }
+      head.ContentLength = partSizes[params.PartNumber - 1];
+    }
+    done(null, head);
+  });
+};
+
+MemoryS3.prototype.getObject = function(params, callback) {
+  var self = this;
+  this._call('getObject', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var version = self._version(bucket, params.Key, params.VersionId, 'NoSuchKey');
+    if (params.IfMatch && params.IfMatch !== version.ETag) {
+      return done(s3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold', 412));
+    }
+    var keyError = checkCustomerKey(version, params);
+    if (keyError) {
+      return done(keyError);
+    }
+    var result = headFields(bucket, version);
+    var body = version.Body;
+    if (params.Range) {
+      var range = parseByteRange(params.Range, version.Size);
+      if (!range) {
+        return done(s3Error('InvalidRange', 'The requested range is not satisfiable', 416));
+      }
+      body = body.slice(range.start, range.end + 1);
+      result.ContentRange = `bytes ${range.start}-${range.end}/${version.Size}`;
+    }
+    result.ContentLength = body.length;
+    result.Body = Buffer.from(body);
+    done(null, result);
+  });
+};
+
+MemoryS3.prototype.getObjectTagging = function(params, callback) {
+  var self = this;
+  this._call('getObjectTagging', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var version = self._version(bucket, params.Key, params.VersionId, 'NoSuchKey');
+    done(null, { VersionId: version.VersionId, TagSet: version.TagSet.slice() });
+  });
+};
+
+MemoryS3.prototype.putObjectTagging = function(params, callback) {
+  var self = this;
+  this._call('putObjectTagging', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var version = self._version(bucket, params.Key, params.VersionId, 'NoSuchKey');
+    version.TagSet = params.Tagging.TagSet.slice();
+    done(null, { VersionId: version.VersionId });
+  });
+};
+
+MemoryS3.prototype.putObject = function(params, callback) {
+  var self = this;
+  this._call('putObject', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    readBody(params.Body, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+      var digestError = checkContentMD5(params, body);
+      if (digestError) {
+        return done(digestError);
+      }
+      var version = self._storeObject(bucket, params.Key, body, params);
+      var result = encryptionResult(version, { ETag: version.ETag });
+      if (bucket.versioning) {
+        result.VersionId = version.VersionId;
+      }
+      done(null, result);
+    });
+  });
+};
+
+// managed upload: emits httpUploadProgress while reading the body
+MemoryS3.prototype.upload = function(params, callback) {
+  var self = this;
+  var managedUpload = new EventEmitter();
+  this._call('upload', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var body = params.Body;
+    var total = params.ContentLength;
+    if (body && typeof body.on === 'function' && !Buffer.isBuffer(body)) {
+      var loaded = 0;
+      body.on('data', function(chunk) {
+        loaded += chunk.length;
+        managedUpload.emit('httpUploadProgress', { loaded: loaded, total: total });
+      });
+    }
+    readBody(body, function(err, data) {
+      if (err) {
+        return done(err);
+      }
+      // the SDK sends these bodies as a multipart upload, S3 refuses ContentMD5 there
+      if (typeof params.ContentMD5 !== 'undefined' && data.length >= MANAGED_UPLOAD_PART_SIZE) {
+        return done(s3Error('InvalidDigest', 'The Content-MD5 you specified is invalid for multi-part uploads.', 400));
+      }
+      var digestError = checkContentMD5(params, data);
+      if (digestError) {
+        return done(digestError);
+      }
+      var version = self._storeObject(bucket, params.Key, data, params);
+      var result = encryptionResult(version, {
+        ETag: version.ETag,
+        Location: `https://${params.Bucket}.s3.amazonaws.com/${params.Key}`,
+        Key: params.Key,
+        Bucket: params.Bucket
+      });
+      if (bucket.versioning) {
+        result.VersionId = version.VersionId;
+      }
+      done(null, result);
+    });
+  });
+  return managedUpload;
+};
+
+MemoryS3.prototype.copyObject = function(params, callback) {
+  var self = this;
+  this._call('copyObject', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var source = parseCopySource(params.CopySource);
+    var sourceBucket = self._bucket(source.Bucket);
+    var version = self._version(sourceBucket, source.Key, source.VersionId, 'NoSuchKey');
+    var keyError = checkCustomerKey(version, params, 'CopySource');
+    if (keyError) {
+      return done(keyError);
+    }
+    if (params.CopySourceIfMatch && params.CopySourceIfMatch !== version.ETag) {
+      return done(s3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold', 412));
+    }
+    if (version.Size > partitions.MAX_PART_SIZE) {
+      return done(s3Error('InvalidRequest', 'The specified copy source is larger than the maximum allowable size for a copy source: 5368709120', 400));
+    }
+    var replaceMetadata = params.MetadataDirective === 'REPLACE';
+    if (source.Bucket === params.Bucket && source.Key === params.Key
+      && typeof source.VersionId === 'undefined' && !replaceMetadata) {
+      return done(s3Error('InvalidRequest', 'This copy request is illegal because it is trying to copy an object to itself without changing the object\'s metadata, storage class, website redirect location or encryption attributes.', 400));
+    }
+    var metadata = replaceMetadata ? pickMetadata(params) : pickMetadata(version);
+    ENCRYPTION_FIELDS.forEach(function(name) { delete metadata[name]; });
+    Object.assign(metadata, pickMetadata(params, ENCRYPTION_FIELDS));
+    withDefaultEncryption(bucket, metadata);
+    var tagSet = params.TaggingDirective === 'REPLACE' ? parseTagging(params.Tagging) : version.TagSet.slice();
+    var encrypted = !hasMD5ETag(metadata) || !hasMD5ETag(version);
+    var copy = self._putVersion(bucket, params.Key, Object.assign({
+      Body: version.Body,
+      Size: version.Size,
+      ETag: encrypted ? quote(crypto.randomBytes(16).toString('hex')) : version.ETag,
+      PartsCount: version.PartsCount,
+      TagSet: tagSet
+    }, metadata));
+    var result = encryptionResult(copy, {
+      CopyObjectResult: { ETag: copy.ETag, LastModified: copy.LastModified }
+    });
+    if (bucket.versioning) {
+      result.VersionId = copy.VersionId;
+    }
+    if (sourceBucket.versioning) {
+      result.CopySourceVersionId = version.VersionId;
+    }
+    done(null, result);
+  });
+};
+
+MemoryS3.prototype.deleteObject = function(params, callback) {
+  var self = this;
+  this._call('deleteObject', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var result = self._deleteKey(bucket, params.Key, params.VersionId);
+    delete result.Key;
+    done(null, result);
+  });
+};
+
+// faults with a Key fail that key only, reported in Errors
+MemoryS3.prototype.deleteObjects = function(params, callback) {
+  var self = this;
+  this._call('deleteObjects', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var objects = params.Delete.Objects;
+    if (objects.length === 0 || objects.length > DELETE_OBJECTS_MAXIMUM_KEYS) {
+      return done(s3Error('MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema', 400));
+    }
+    var deleted = [];
+    var errors = [];
+    objects.forEach(function(object) {
+      var fault = self._takeFault('deleteObject', object);
+      if (fault) {
+        errors.push({ Key: object.Key, VersionId: object.VersionId, Code: fault.code, Message: fault.message });
+        return;
+      }
+      deleted.push(self._deleteKey(bucket, object.Key, object.VersionId));
+    });
+    done(null, { Deleted: params.Delete.Quiet ? [] : deleted, Errors: errors });
+  });
+};
+
+MemoryS3.prototype.createMultipartUpload = function(params, callback) {
+  var self = this;
+  this._call('createMultipartUpload', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var uploadId = self._nextId();
+    self.sequence++;
+    bucket.uploads[uploadId] = {
+      UploadId: uploadId,
+      Key: params.Key,
+      Initiated: self.now(),
+      sequence: self.sequence,
+      params: Object.assign({}, params),
+      parts: {}
+    };
+    done(null, { Bucket: params.Bucket, Key: params.Key, UploadId: uploadId });
+  });
+};
+
+MemoryS3.prototype._upload = function(bucket, params) {
+  var upload = bucket.uploads[params.UploadId];
+  if (!upload || upload.Key !== params.Key) {
+    throw s3Error('NoSuchUpload', 'The specified upload does not exist. The upload ID may be invalid, or the upload may have been aborted or completed.', 404);
+  }
+  return upload;
+};
+
+var checkPartNumber = function(partNumber) {
+  if (typeof partNumber !== 'number' || partNumber < 1 || partNumber > partitions.MAX_PARTS
+    || Math.floor(partNumber) !== partNumber) {
+    throw s3Error('InvalidArgument', 'Part number must be an integer between 1 and 10000, inclusive', 400);
+  }
+};
+
+var storePart = function(upload, partNumber, body) {
+  var part = {
+    PartNumber: partNumber,
+    Body: body,
+    Size: body.length,
+    ETag: quote(md5(body).toString('hex')),
+    LastModified: new Date()
+  };
+  upload.parts[partNumber] = part;
+  return part;
+};
+
+MemoryS3.prototype.uploadPart = function(params, callback) {
+  var self = this;
+  this._call('uploadPart', params, callback, function(done) {
+    var upload = self._upload(self._bucket(params.Bucket), params);
+    checkPartNumber(params.PartNumber);
+    var keyError = checkCustomerKey(upload.params, params);
+    if (keyError) {
+      return done(keyError);
+    }
+    readBody(params.Body, function(err, body) {
+      if (err) {
+        return done(err);
+      }
+      if (typeof params.ContentLength === 'number' && body.length !== params.ContentLength) {
+        return done(s3Error('IncompleteBody', 'You did not provide the number of bytes specified by the Content-Length HTTP header', 400));
+      }
+      var digestError = checkContentMD5(params, body);
+      if (digestError) {
+        return done(digestError);
+      }
+      done(null, { ETag: storePart(upload, params.PartNumber, body).ETag });
+    });
+  });
+};
+
+MemoryS3.prototype.uploadPartCopy = function(params, callback) {
+  var self = this;
+  this._call('uploadPartCopy', params, callback, function(done) {
+    var upload = self._upload(self._bucket(params.Bucket), params);
+    checkPartNumber(params.PartNumber);
+    var source = parseCopySource(params.CopySource);
+    var version = self._version(self._bucket(source.Bucket), source.Key, source.VersionId, 'NoSuchKey');
+    var keyError = checkCustomerKey(version, params, 'CopySource') || checkCustomerKey(upload.params, params);
+    if (keyError) {
+      return done(keyError);
+    }
+    if (params.CopySourceIfMatch && params.CopySourceIfMatch !== version.ETag) {
+      return done(s3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold', 412));
+    }
+    var body = version.Body;
+    if (params.CopySourceRange) {
+      var range = parseByteRange(params.CopySourceRange, version.Size);
+      if (!range) {
+        return done(s3Error('InvalidRange', 'The requested range is not satisfiable', 416));
+      }
+      body = body.slice(range.start, range.end + 1);
+    }
+    if (body.length > partitions.MAX_PART_SIZE) {
+      return done(s3Error('InvalidRequest', 'The specified copy range is larger than the maximum allowable part size', 400));
+    }
+    var part = storePart(upload, params.PartNumber, Buffer.from(body));
+    done(null, { CopyPartResult: { ETag: part.ETag, LastModified: part.LastModified } });
+  });
+};
+
+MemoryS3.prototype.listParts = function(params, callback) {
+  var self = this;
+  this._call('listParts', params, callback, function(done) {
+    var upload = self._upload(self._bucket(params.Bucket), params);
+    var maxParts = params.MaxParts || LIST_MAXIMUM_KEYS;
+    var marker = Number(params.PartNumberMarker || 0);
+    var parts = Object.keys(upload.parts).map(Number).sort(function(a, b) {
+      return a - b;
+    }).filter(function(partNumber) {
+      return partNumber > marker;
+    });
+    var page = parts.slice(0, maxParts);
+    var truncated = parts.length > maxParts;
+    done(null, {
+      Bucket: params.Bucket,
+      Key: params.Key,
+      UploadId: params.UploadId,
+      PartNumberMarker: marker,
+      NextPartNumberMarker: page.length > 0 ? page[page.length - 1] : undefined,
+      MaxParts: maxParts,
+      IsTruncated: truncated,
+      Parts: page.map(function(partNumber) {
+        var part = upload.parts[partNumber];
+        return { PartNumber: partNumber, LastModified: part.LastModified, ETag: part.ETag, Size: part.Size };
+      })
+    });
+  });
+};
+
+/*
+Parts listed in ascending order, each one uploaded with that ETag, all of
+them but the last at least minPartSize. The ETag is the MD5 of the part MD5s
+followed by the number of parts.
+*/
+MemoryS3.prototype.completeMultipartUpload = function(params, callback) {
+  var self = this;
+  this._call('completeMultipartUpload', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var upload = self._upload(bucket, params);
+    var listed = (params.MultipartUpload && params.MultipartUpload.Parts) || [];
+    if (listed.length === 0) {
+      return done(s3Error('MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema', 400));
+    }
+    var parts = [];
+    var i, part;
+    for (i = 1; i < listed.length; i++) {
+      if (listed[i].PartNumber <= listed[i - 1].PartNumber) {
+        return done(s3Error('InvalidPartOrder', 'The list of parts was not in ascending order. The parts list must be specified in order by part number.', 400));
+      }
+    }
+    for (i = 0; i < listed.length; i++) {
+      part = upload.parts[listed[i].PartNumber];
+      if (!part || part.ETag !== listed[i].ETag) {
+        return done(s3Error('InvalidPart', 'One or more of the specified parts could not be found. The part may not have been uploaded, or the specified entity tag may not have matched the part\'s entity tag.', 400));
+      }
+      if (i < listed.length - 1 && part.Size < self.minPartSize) {
+        return done(s3Error('EntityTooSmall', 'Your proposed upload is smaller than the minimum allowed object size.', 400));
+      }
+      parts.push(part);
+    }
+    var body = Buffer.concat(parts.map(function(entry) { return entry.Body; }));
+    var digests = Buffer.concat(parts.map(function(entry) {
+      return Buffer.from(entry.ETag.replace(/"/g, ''), 'hex');
+    }));
+    var ETag = quote(`${md5(digests).toString('hex')}-${parts.length}`);
+    var version = self._storeObject(bucket, params.Key, body, upload.params, {
+      ETag: ETag,
+      PartsCount: parts.length,
+      PartSizes: parts.map(function(entry) { return entry.Size; })
+    });
+    delete bucket.uploads[params.UploadId];
+    var result = encryptionResult(version, {
+      Location: `https://${params.Bucket}.s3.amazonaws.com/${params.Key}`,
+      Bucket: params.Bucket,
+      Key: params.Key,
+      ETag: ETag
+    });
+    if (bucket.versioning) {
+      result.VersionId = version.VersionId;
+    }
+    done(null, result);
+  });
+};
+
+MemoryS3.prototype.abortMultipartUpload = function(params, callback) {
+  var self = this;
+  this._call('abortMultipartUpload', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    self._upload(bucket, params);
+    delete bucket.uploads[params.UploadId];
+    done(null, {});
+  });
+};
+
+MemoryS3.prototype.listMultipartUploads = function(params, callback) {
+  var self = this;
+  this._call('listMultipartUploads', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var prefix = params.Prefix || '';
+    var maxUploads = Math.min(params.MaxUploads || LIST_MAXIMUM_KEYS, LIST_MAXIMUM_KEYS);
+    var markerUpload = params.UploadIdMarker ? bucket.uploads[params.UploadIdMarker] : null;
+    var uploads = Object.keys(bucket.uploads).map(function(uploadId) {
+      return bucket.uploads[uploadId];
+    }).filter(function(upload) {
+      return upload.Key.indexOf(prefix) === 0;
+    }).sort(function(a, b) {
+      if (a.Key !== b.Key) {
+        return a.Key < b.Key ? -1 : 1;
+      }
+      return a.sequence - b.sequence;
+    }).filter(function(upload) {
+      if (!params.KeyMarker) {
+        return true;
+      }
+      if (upload.Key !== params.KeyMarker) {
+        return upload.Key > params.KeyMarker;
+      }
+      return markerUpload ? upload.sequence > markerUpload.sequence : false;
+    });
+    var page = uploads.slice(0, maxUploads);
+    var last = page[page.length - 1];
+    var truncated = uploads.length > maxUploads;
+    done(null, {
+      Bucket: params.Bucket,
+      Prefix: prefix,
+      MaxUploads: maxUploads,
+      IsTruncated: truncated,
+      NextKeyMarker: truncated ? last.Key : undefined,
+      NextUploadIdMarker: truncated ? last.UploadId : undefined,
+      Uploads: page.map(function(upload) {
+        return {
+          UploadId: upload.UploadId,
+          Key: upload.Key,
+          Initiated: upload.Initiated,
+          StorageClass: upload.params.StorageClass || 'STANDARD',
+          Owner: OWNER,
+          Initiator: OWNER
+        };
+      }),
+      CommonPrefixes: []
+    });
+  });
+};
+
+// keys below a Delimiter after the prefix are rolled up into CommonPrefixes
+var rollUp = function(keys, prefix, delimiter) {
+  var entries = [];
+  var seen = {};
+  keys.forEach(function(key) {
+    var index = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+    if (index === -1) {
+      entries.push({ Key: key });
+      return;
+    }
+    var commonPrefix = key.slice(0, index + delimiter.length);
+    if (!seen[commonPrefix]) {
+      seen[commonPrefix] = true;
+      entries.push({ Prefix: commonPrefix, Key: commonPrefix });
+    }
+  });
+  return entries;
+};
+
+MemoryS3.prototype.listObjectsV2 = function(params, callback) {
+  var self = this;
+  this._call('listObjectsV2', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var prefix = params.Prefix || '';
+    var maxKeys = Math.min(typeof params.MaxKeys === 'number' ? params.MaxKeys : LIST_MAXIMUM_KEYS, LIST_MAXIMUM_KEYS);
+    // continuation tokens are opaque, here the last key listed
+    var after = params.ContinuationToken
+      ? Buffer.from(params.ContinuationToken, 'base64').toString('utf8')
+      : params.StartAfter || '';
+    var keys = Object.keys(bucket.objects).filter(function(key) {
+      return key.indexOf(prefix) === 0 && !bucket.objects[key][0].IsDeleteMarker;
+    }).sort();
+    var entries = rollUp(keys, prefix, params.Delimiter).filter(function(entry) {
+      return entry.Key > after;
+    });
+    var page = entries.slice(0, maxKeys);
+    var truncated = entries.length > maxKeys;
+    var contents = page.filter(function(entry) { return !entry.Prefix; }).map(function(entry) {
+      var version = bucket.objects[entry.Key][0];
+      return {
+        Key: entry.Key,
+        LastModified: version.LastModified,
+        ETag: version.ETag,
+        Size: version.Size,
+        StorageClass: version.StorageClass || 'STANDARD'
+      };
+    });
+    done(null, {
+      IsTruncated: truncated,
+      Contents: contents,
+      Name: params.Bucket,
+      Prefix: prefix,
+      Delimiter: params.Delimiter,
+      MaxKeys: maxKeys,
+      CommonPrefixes: page.filter(function(entry) { return entry.Prefix; }).map(function(entry) {
+        return { Prefix: entry.Prefix };
+      }),
+      KeyCount: page.length,
+      ContinuationToken: params.ContinuationToken,
+      NextContinuationToken: truncated
+        ? Buffer.from(page[page.length - 1].Key, 'utf8').toString('base64')
+        : undefined,
+      StartAfter: params.StartAfter
+    });
+  });
+};
+
+MemoryS3.prototype.listObjectVersions = function(params, callback) {
+  var self = this;
+  this._call('listObjectVersions', params, callback, function(done) {
+    var bucket = self._bucket(params.Bucket);
+    var prefix = params.Prefix || '';
+    var maxKeys = Math.min(typeof params.MaxKeys === 'number' ? params.MaxKeys : LIST_MAXIMUM_KEYS, LIST_MAXIMUM_KEYS);
+    // versions are ordered newest first, the marker version may be gone already
+    var markerSequence = params.VersionIdMarker ? bucket.sequences[params.VersionIdMarker] : undefined;
+    var entries = [];
+    Object.keys(bucket.objects).filter(function(key) {
+      return key.indexOf(prefix) === 0;
+    }).sort().forEach(function(key) {
+      bucket.objects[key].forEach(function(version, index) {
+        entries.push({ version: version, IsLatest: index === 0 });
+      });
+    });
+    entries = entries.filter(function(entry) {
+      var key = entry.version.Key;
+      if (!params.KeyMarker || key > params.KeyMarker) {
+        return true;
+      }
+      return key === params.KeyMarker && typeof markerSequence !== 'undefined'
+        && entry.version.sequence < markerSequence;
+    });
+    var page = entries.slice(0, maxKeys);
+    var last = page[page.length - 1];
+    var truncated = entries.length > maxKeys;
+    var versions = [];
+    var markers = [];
+    page.forEach(function(entry) {
+      var version = entry.version;
+      if (version.IsDeleteMarker) {
+        markers.push({
+          Owner: OWNER,
+          Key: version.Key,
+          VersionId: version.VersionId,
+          IsLatest: entry.IsLatest,
+          LastModified: version.LastModified
+        });
+        return;
+      }
+      versions.push({
+        ETag: version.ETag,
+        Size: version.Size,
+        StorageClass: version.StorageClass || 'STANDARD',
+        Key: version.Key,
+        VersionId: version.VersionId,
+        IsLatest: entry.IsLatest,
+        LastModified: version.LastModified,
+        Owner: OWNER
+      });
+    });
+    done(null, {
+      IsTruncated: truncated,
+      KeyMarker: params.KeyMarker || '',
+      VersionIdMarker: params.VersionIdMarker || '',
+      NextKeyMarker: truncated ? last.version.Key : undefined,
+      NextVersionIdMarker: truncated ? last.version.VersionId : undefined,
+      Versions: versions,
+      DeleteMarkers: markers,
+      Name: params.Bucket,
+      Prefix: prefix,
+      MaxKeys: maxKeys,
+      CommonPrefixes: []
+    });
+  });
+};
+
+/*
+URLs look presigned but are not signed, nothing serves them. Called without
+callback the URL is returned, as the SDK v2 does.
+*/
+MemoryS3.prototype.getSignedUrl = function(operation, params, callback) {
+  var key = encodeURIComponent(params.Key).replace(/%2F/g, '/');
+  var query = '';
+  if (typeof params.PartNumber !== 'undefined') {
+    query = `partNumber=${params.PartNumber}&uploadId=${encodeURIComponent(params.UploadId)}&`;
+  }
+  if (typeof params.VersionId !== 'undefined') {
+    query += `versionId=${encodeURIComponent(params.VersionId)}&`;
+  }
+  // ResponseContentDisposition => response-content-disposition
+  Object.keys(params).filter(function(name) {
+    return /^Response[A-Z]/.test(name);
+  }).forEach(function(name) {
+    var header = name.replace(/[A-Z]/g, function(char) { return `-${char.toLowerCase()}`; }).slice(1);
+    query += `${header}=${encodeURIComponent(params[name])}&`;
+  });
+  var url = `https://${params.Bucket}.s3.amazonaws.com/${key}`
+    + `?${query}X-Amz-Algorithm=AWS4-HMAC-SHA256&X-Amz-Expires=${params.Expires || 900}`
+    + `&X-Amz-Signature=${crypto.randomBytes(32).toString('hex')}`;
+  this.calls.getSignedUrl = this.calls.getSignedUrl || [];
+  this.calls.getSignedUrl.push(Object.assign({ operation: operation }, params));
+  if (typeof callback !== 'function') {
+    return url;
+  }
+  setTimeout(function() {
+    callback(null, url);
+  }, this._latency('getSignedUrl', params));
+};
+
+// the policy holds the fields and conditions, as S3 would check them
+MemoryS3.prototype.createPresignedPost = function(params, callback) {
+  var self = this;
+  this._call('createPresignedPost', params, callback, function(done) {
+    self._bucket(params.Bucket);
+    var fields = Object.assign({}, params.Fields, { bucket: params.Bucket });
+    var policy = {
+      expiration: new Date(Date.now() + (params.Expires || 3600) * 1000).toISOString(),
+      conditions: Object.keys(fields).map(function(name) {
+        var condition = {};
+        condition[name] = fields[name];
+        return condition;
+      }).concat(params.Conditions || [])
+    };
+    done(null, {
+      url: `https://s3.amazonaws.com/${params.Bucket}`,
+      fields: Object.assign(fields, {
+        Policy: Buffer.from(JSON.stringify(policy)).toString('base64'),
+        'X-Amz-Signature': crypto.randomBytes(32).toString('hex')
+      })
+    });
+  });
+};
+
+module.exports = MemoryS3;
@@ -0,0 +1,82 @@
+// bucket names usable as a host name label, others go in the path
+const DNS_COMPATIBLE_BUCKET = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+// encodeURIComponent leaves these, S3 signs them encoded (RFC 3986)
+var encodeSegment = function(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, function(char) {
+    return `%${char.charCodeAt(0).toString(16).toUpperCase()}`;
+  });
+};
+
+// 'my dir/résumé.pdf' => 'my%20dir/r%C3%A9sum%C3%A9.pdf', slashes kept
+var encodeKey = function(key) {
+  return String(key).split('/').map(encodeSegment).join('/');
+};
+
+// 'https://cdn.example.com/' => { protocol: 'https:', host: 'cdn.example.com', path: '' }
+var parseBase = function(url, defaultProtocol) {
+  var match = String(url).match(/^(?:([a-z][a-z0-9+.-]*:)\/\/)?([^/]+)(\/.*)?$/i);
+  if (!match) {
+    throw new Error(`Invalid URL ${url}`);
+  }
+  return {
+    protocol: match[1] || defaultProtocol,
+    host: match[2],
+    path: (match[3] || '').replace(/\/+$/, '')
+  };
+};
+
+// AWS S3 host for a region, the global one without region
+var awsHost = function(region, dualstack) {
+  if (!region) {
+    return dualstack ? 's3.dualstack.us-east-1.amazonaws.com' : 's3.amazonaws.com';
+  }
+  var domain = region.indexOf('cn-') === 0 ? 'amazonaws.com.cn' : 'amazonaws.com';
+  return dualstack ? `s3.dualstack.${region}.${domain}` : `s3.${region}.${domain}`;
+};
+
+/*
+URL of an object, for the addressing the client uses:
+- baseUrl: CDN (or any custom domain) in front of the bucket, 'https://cdn.example.com/assets'
+  => https://cdn.example.com/assets/<key>
+- endpoint: S3 compatible service, 'http://localhost:9000'
+- s3ForcePathStyle: bucket in the path, https://s3.us-east-1.amazonaws.com/<bucket>/<key>
+- useDualstack: IPv6 enabled endpoints
+- sslEnabled: false for http
+Buckets with dots (or not DNS compatible) are put in the path over https, the
+*.s3 wildcard certificate does not cover them. Every key segment is encoded.
+
+Usage:
+objectUrl.build({ region: 'eu-west-1' }, 'my-bucket', 'my dir/file.txt')
+
+Result:
+'https://my-bucket.s3.eu-west-1.amazonaws.com/my%20dir/file.txt'
+*/
+var build = function(options, bucket, key) {
+  var opts = options || {};
+  var protocol = opts.sslEnabled === false ? 'http:' : 'https:';
+  var path = encodeKey(key);
+
+  if (opts.baseUrl) {
+    var cdn = parseBase(opts.baseUrl, protocol);
+    return `${cdn.protocol}//${cdn.host}${cdn.path}/${path}`;
+  }
+
+  var base = opts.endpoint
+    ? parseBase(opts.endpoint, protocol)
+    : { protocol: protocol, host: awsHost(opts.region, opts.useDualstack), path: '' };
+  var pathStyle = opts.s3ForcePathStyle
+    || !DNS_COMPATIBLE_BUCKET.test(bucket)
+    || bucket.indexOf('..') !== -1
+    || (base.protocol === 'https:' && bucket.indexOf('.') !== -1);
+
+  if (pathStyle) {
+    return `${base.protocol}//${base.host}${base.path}/${encodeSegment(bucket)}/${path}`;
+  }
+  return `${base.protocol}//${bucket}.${base.host}${base.path}/${path}`;
+};
+
+module.exports = {
+  encodeKey: encodeKey,
+  build: build
+};
@@ -0,0 +1,124 @@
+var Promise = require('bluebird');
+
+const DEFAULT_PART_CONCURRENCY = 4;
+const DEFAULT_PART_RETRIES = 5;
+const DEFAULT_RETRY_DELAY = 200; // ms, base for the exponential backoff
+const MAX_RETRY_DELAY = 20000; // ms
+
+// S3 error codes worth another attempt, anything 5xx is retried as well
+// https://docs.aws.amazon.com/AmazonS3/latest/API/ErrorResponses.html
+const RETRYABLE_ERROR_CODES = [
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'RequestThrottled',
+  'RequestLimitExceeded',
+  'TooManyRequestsException',
+  'InternalError',
+  'ServiceUnavailable',
+  'RequestTimeout',
+  'TimeoutError',
+  'NetworkingError'
+];
+
+var isRetryableError = function(err) {
+  if (!err) {
+    return false;
+  }
+  if (RETRYABLE_ERROR_CODES.indexOf(err.code) !== -1) {
+    return true;
+  }
+  return typeof err.statusCode === 'number'
+    && (err.statusCode === 429 || err.statusCode >= 500);
+};
+
+// exponential backoff with jitter: half of the window is fixed, half is random
+var backoffDelay = function(attempt, retryDelay) {
+  var window = Math.min(MAX_RETRY_DELAY, retryDelay * Math.pow(2, attempt));
+  return Math.floor(window / 2 + Math.random() * window / 2);
+};
+
+var checkNumberOption = function(options, name) {
+  if (typeof options[name] !== 'undefined' && typeof options[name] !== 'number') {
+    throw new Error(`Number was expected for ${name} parameter`);
+  }
+};
+
+var normalizeOptions = function(options) {
+  var opts = options || {};
+  checkNumberOption(opts, 'concurrency');
+  checkNumberOption(opts, 'retries');
+  checkNumberOption(opts, 'retryDelay');
+  return {
+    concurrency: opts.concurrency > 0 ? opts.concurrency : DEFAULT_PART_CONCURRENCY,
+    retries: opts.retries >= 0 ? opts.retries : DEFAULT_PART_RETRIES,
+    retryDelay: opts.retryDelay >= 0 ? opts.retryDelay : DEFAULT_RETRY_DELAY
+  };
+};
+
+/*
+Calls fn until it resolves, retrying throttling and 5xx errors with
+exponential backoff. The last error is rejected with `attempts` attached.
+*/
+var withRetry = function(fn, options) {
+  var opts = normalizeOptions(options);
+
+  var attempt = function(n) {
+    return Promise.try(fn).catch(function(err) {
+      if (n >= opts.retries || !isRetryableError(err)) {
+        if (err && typeof err === 'object') {
+          err.attempts = n + 1;
+        }
+        return Promise.reject(err);
+      }
+      return Promise.delay(backoffDelay(n, opts.retryDelay)).then(function() {
+        return attempt(n + 1);
+      });
+    });
+  };
+
+  return attempt(0);
+};
+
+/*
+Runs worker(part) for every part with at most `concurrency` in flight, each
+part retried on its own. Once a part fails for good no further parts are
+started; the parts already in flight are let to settle and then the first
+error is rejected.
+
+Usage:
+runParts([{ PartNumber: 1 }, { PartNumber: 2 }], function(part) { ... }, {
+  concurrency: 4, // parts in flight, default 4
+  retries: 5, // attempts after the first one, default 5
+  retryDelay: 200 // backoff base in ms, default 200
+})
+*/
+var runParts = function(parts, worker, options) {
+  var opts = normalizeOptions(options);
+  var failure = null;
+
+  return Promise.map(parts, function(part) {
+    if (failure) {
+      return;
+    }
+    return withRetry(function() {
+      return worker(part);
+    }, opts).catch(function(err) {
+      failure = failure || err;
+    });
+  }, { concurrency: opts.concurrency }).then(function(results) {
+    if (failure) {
+      return Promise.reject(failure);
+    }
+    return results;
+  });
+};
+
+module.exports = {
+  DEFAULT_PART_CONCURRENCY: DEFAULT_PART_CONCURRENCY,
+  DEFAULT_PART_RETRIES: DEFAULT_PART_RETRIES,
+  DEFAULT_RETRY_DELAY: DEFAULT_RETRY_DELAY,
+  isRetryableError: isRetryableError,
+  withRetry: withRetry,
+  runParts: runParts
+};
@@ -0,0 +1,83 @@
+// S3 multipart limits
+// https://docs.aws.amazon.com/AmazonS3/latest/userguide/qfacts.html
+const MIN_PART_SIZE = 5242880; // 5MB in bytes, does not apply to the last part
+const MAX_PART_SIZE = 5368709120; // 5GB in bytes
+const MAX_PARTS = 10000;
+const MAX_OBJECT_SIZE = 5497558138880; // 5TB in bytes
+const DEFAULT_PART_SIZE = 500000000; // 500 MB in bytes
+const PART_SIZE_STEP = 1048576; // auto computed sizes are rounded up to 1MB
+
+var checkObjectSize = function(objectSize) {
+  if (typeof objectSize !== 'number' || objectSize < 0 || Math.floor(objectSize) !== objectSize) {
+    throw new Error('Object size was expected to be a positive integer');
+  }
+  if (objectSize > MAX_OBJECT_SIZE) {
+    throw new Error('Object size exceeds the 5TB S3 limit');
+  }
+};
+
+/*
+Part size for an object: the requested size (500MB by default) kept within
+5MB..5GB and grown when the object would need more than 10,000 parts.
+*/
+var calculatePartSize = function(objectSize, partSize) {
+  checkObjectSize(objectSize);
+  if (typeof partSize !== 'undefined' && typeof partSize !== 'number') {
+    throw new Error('Number was expected for partSize parameter');
+  }
+  var size = partSize || DEFAULT_PART_SIZE;
+  size = Math.min(Math.max(size, MIN_PART_SIZE), MAX_PART_SIZE);
+
+  if (Math.ceil(objectSize / size) > MAX_PARTS) {
+    size = Math.ceil(objectSize / MAX_PARTS / PART_SIZE_STEP) * PART_SIZE_STEP;
+  }
+  return size;
+};
+
+/*
+Result (inclusive byte offsets, usable as HTTP ranges and fs read stream options):
+[ { PartNumber: 1, start: 0, end: 499999999 },
+  { PartNumber: 2, start: 500000000, end: 719999999 } ]
+*/
+var calculatePartitions = function(objectSize, partSize) {
+  var size = calculatePartSize(objectSize, partSize);
+  var partitions = [];
+  var start;
+
+  for (start = 0; start < objectSize; start += size) {
+    partitions.push({
+      PartNumber: partitions.length + 1,
+      start: start,
+      end: Math.min(start + size, objectSize) - 1
+    });
+  }
+  return partitions;
+};
+
+// [ '0-499999999', '500000000-719999999' ]
+var calculatePartitionsRangeArray = function(objectSize, partSize) {
+  return calculatePartitions(objectSize, partSize).map(function(partition) {
+    return `${partition.start}-${partition.end}`;
+  });
+};
+
+// '0-499999999' => { start: 0, end: 499999999 }
+var parseRange = function(range) {
+  var bounds = range.replace(/^bytes=/, '').split('-');
+  return {
+    start: Number(bounds[0]),
+    end: Number(bounds[1])
+  };
+};
+
+module.exports = {
+  MIN_PART_SIZE: MIN_PART_SIZE,
+  MAX_PART_SIZE: MAX_PART_SIZE,
+  MAX_PARTS: MAX_PARTS,
+  MAX_OBJECT_SIZE: MAX_OBJECT_SIZE,
+  DEFAULT_PART_SIZE: DEFAULT_PART_SIZE,
+  calculatePartSize: calculatePartSize,
+  calculatePartitions: calculatePartitions,
+  calculatePartitionsRangeArray: calculatePartitionsRangeArray,
+  parseRange: parseRange
+};
@@ -0,0 +1,209 @@
+var EventEmitter = require('events');
+var AWS = require('aws-sdk');
+
+/*
+A client is any object with these methods, shaped as the AWS SDK v2 ones:
+method(params, callback(err, result)), errors carrying `code` and
+`statusCode`. upload(params, callback) returns an emitter of
+'httpUploadProgress' events, getSignedUrl(operation, params, callback)
+resolves a presigned URL, createPresignedPost(params, callback) resolves
+{ url, fields } and getObject resolves Body as a Buffer.
+*/
+const OPERATIONS = [
+  'abortMultipartUpload',
+  'completeMultipartUpload',
+  'copyObject',
+  'createMultipartUpload',
+  'createPresignedPost',
+  'deleteObjects',
+  'getObject',
+  'getObjectTagging',
+  'getSignedUrl',
+  'headObject',
+  'listBuckets',
+  'listMultipartUploads',
+  'listObjectVersions',
+  'listObjectsV2',
+  'listParts',
+  'upload',
+  'uploadPart',
+  'uploadPartCopy'
+];
+
+// 'listObjectsV2' => 'ListObjectsV2Command'
+var commandName = function(operation) {
+  return `${operation[0].toUpperCase()}${operation.slice(1)}Command`;
+};
+
+// SDK v3 errors are named instead of coded
+var normalizeError = function(err) {
+  if (err && typeof err === 'object') {
+    if (typeof err.code === 'undefined') {
+      err.code = err.Code || err.name;
+    }
+    if (typeof err.statusCode === 'undefined' && err.$metadata) {
+      err.statusCode = err.$metadata.httpStatusCode;
+    }
+  }
+  return err;
+};
+
+// SDK v3 bodies are streams, the toolkit holds ranged parts in memory
+var bodyToBuffer = function(body) {
+  if (!body || Buffer.isBuffer(body)) {
+    return Promise.resolve(body);
+  }
+  if (typeof body.transformToByteArray === 'function') {
+    return body.transformToByteArray().then(function(bytes) {
+      return Buffer.from(bytes);
+    });
+  }
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+    body.on('data', function(chunk) { chunks.push(chunk); });
+    body.on('error', reject);
+    body.on('end', function() { resolve(Buffer.concat(chunks)); });
+  });
+};
+
+/*
+AWS SDK v2 client, a preconfigured AWS.S3 or the config of a new one.
+
+Usage:
+AWSBucket.adapters.v2(new AWS.S3({ region: 'us-east-1' }))
+*/
+var createV2Adapter = function(clientOrConfig) {
+  if (clientOrConfig instanceof AWS.S3) {
+    return clientOrConfig;
+  }
+  return new AWS.S3(clientOrConfig);
+};
+
+/*
+AWS SDK v3 client. The SDK packages are passed in, the toolkit does not
+depend on them:
+- commands: the @aws-sdk/client-s3 module
+- Upload: (optional) @aws-sdk/lib-storage Upload, managed uploads with
+  progress, a single PutObject otherwise
+- getSignedUrl: (optional) @aws-sdk/s3-request-presigner getSignedUrl,
+  needed by getUploadUrl and the presigned multipart uploads
+- createPresignedPost: (optional) @aws-sdk/s3-presigned-post
+  createPresignedPost, needed by getUploadPolicy
+
+Usage:
+const s3 = require('@aws-sdk/client-s3');
+AWSBucket.adapters.v3({
+  client: new s3.S3Client({ region: 'us-east-1' }),
+  commands: s3,
+  Upload: require('@aws-sdk/lib-storage').Upload,
+  getSignedUrl: require('@aws-sdk/s3-request-presigner').getSignedUrl,
+  createPresignedPost: require('@aws-sdk/s3-presigned-post').createPresignedPost
+})
+*/
+var createV3Adapter = function(options) {
+  if (!options || !options.client || !options.commands) {
+    throw new Error('client and commands are required for the v3 adapter');
+  }
+  var client = options.client;
+  var commands = options.commands;
+
+  var send = function(operation, params) {
+    var Command = commands[commandName(operation)];
+    if (typeof Command !== 'function') {
+      return Promise.reject(new Error(`${commandName(operation)} was not found in commands`));
+    }
+    return client.send(new Command(params));
+  };
+
+  var adapter = { client: client };
+  OPERATIONS.forEach(function(operation) {
+    adapter[operation] = function(params, callback) {
+      send(operation, params || {}).then(function(result) {
+        callback(null, result);
+      }, function(err) {
+        callback(normalizeError(err));
+      });
+    };
+  });
+
+  adapter.getObject = function(params, callback) {
+    send('getObject', params).then(function(result) {
+      return bodyToBuffer(result.Body).then(function(body) {
+        return Object.assign({}, result, { Body: body });
+      });
+    }).then(function(result) {
+      callback(null, result);
+    }, function(err) {
+      callback(normalizeError(err));
+    });
+  };
+
+  adapter.upload = function(params, callback) {
+    var emitter = new EventEmitter();
+    var done;
+    if (typeof options.Upload === 'function') {
+      var managedUpload = new options.Upload({ client: client, params: params });
+      managedUpload.on('httpUploadProgress', function(event) {
+        emitter.emit('httpUploadProgress', event);
+      });
+      done = managedUpload.done();
+    } else {
+      done = send('putObject', params).then(function(result) {
+        emitter.emit('httpUploadProgress', { loaded: params.ContentLength, total: params.ContentLength });
+        return Object.assign({ Bucket: params.Bucket, Key: params.Key }, result);
+      });
+    }
+    done.then(function(result) {
+      callback(null, result);
+    }, function(err) {
+      callback(normalizeError(err));
+    });
+    return emitter;
+  };
+
+  // v2 takes Expires in seconds within the params
+  adapter.getSignedUrl = function(operation, params, callback) {
+    if (typeof options.getSignedUrl !== 'function') {
+      return callback(new Error('getSignedUrl was not given to the v3 adapter'));
+    }
+    var commandParams = Object.assign({}, params);
+    var expiresIn = commandParams.Expires || 900;
+    delete commandParams.Expires;
+    var Command = commands[commandName(operation)];
+    options.getSignedUrl(client, new Command(commandParams), { expiresIn: expiresIn })
+      .then(function(url) {
+        callback(null, url);
+      }, function(err) {
+        callback(normalizeError(err));
+      });
+  };
+
+  // v3 signs the Key apart from the fields, '${filename}' leaves it to the conditions
+  adapter.createPresignedPost = function(params, callback) {
+    if (typeof options.createPresignedPost !== 'function') {
+      return callback(new Error('createPresignedPost was not given to the v3 adapter'));
+    }
+    var fields = Object.assign({}, params.Fields);
+    var Key = typeof fields.key !== 'undefined' ? fields.key : '${filename}';
+    delete fields.key;
+    options.createPresignedPost(client, {
+      Bucket: params.Bucket,
+      Key: Key,
+      Fields: fields,
+      Conditions: params.Conditions,
+      Expires: params.Expires
+    }).then(function(post) {
+      callback(null, post);
+    }, function(err) {
+      callback(normalizeError(err));
+    });
+  };
+
+  return adapter;
+};
+
+module.exports = {
+  OPERATIONS: OPERATIONS,
+  v2: createV2Adapter,
+  v3: createV3Adapter
+};
@@ -6,8 +6,17 @@ var bucket, versions, object_key;
 var AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID || '';
 var AWS_ACCESS_KEY_SECRET = process.env.AWS_ACCESS_KEY_SECRET || '';
 var AWS_BUCKET_REGION = process.env.AWS_BUCKET_REGION || '';
-var AWS_BUCKET_NAME = process.env.AWS_BUCKET_NAME || '';
+var AWS_BUCKET_NAME = process.env.AWS_BUCKET_NAME || 'aws-bucket-test';
 var AWS_BUCKET_ACL = process.env.AWS_BUCKET_ACL || 'public-read';
+// without credentials the suite runs against the in-memory S3
+var memoryClient = function() {
+  if (AWS_ACCESS_KEY_ID) {
+    return undefined;
+  }
+  var buckets = {};
+  buckets[AWS_BUCKET_NAME] = { versioning: true };
+  return new AWSBucket.MemoryS3({ buckets: buckets });
+};
 
 describe('AWS Bucket', function() {
   it('fail to create new bucket instance if no params', function() {
@@ -28,7 +37,8 @@ describe('AWS Bucket', function() {
       secretAccessKey: AWS_ACCESS_KEY_SECRET,
       region: AWS_BUCKET_REGION,
       bucketACL: AWS_BUCKET_ACL,
-      bucketName: AWS_BUCKET_NAME
+      bucketName: AWS_BUCKET_NAME,
+      client: memoryClient()
     });
 
     assert.ok(typeof bucket.S3 !== 'undefined', 'S3 instance was expected');
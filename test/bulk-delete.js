@@ -0,0 +1,221 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var AWSBucket = require('../lib/bucket.js');
+var tempDirs = require('./temp-dirs.js');
+
+var tmpDir = path.join(os.tmpdir(), `s3-toolkit-bulk-delete-${process.pid}`);
+var checkpointPath = path.join(tmpDir, 'delete.checkpoint.json');
+
+var keys = function(count) {
+  var list = [];
+  var i;
+  for (i = 0; i < count; i++) {
+    list.push(`logs/${String(i).padStart(5, '0')}.log`);
+  }
+  return list;
+};
+
+var createS3 = function(count) {
+  var objects = {};
+  keys(count || 0).forEach(function(key) {
+    objects[key] = 'x';
+  });
+  return new AWSBucket.MemoryS3({ buckets: { 'my-bucket': { objects: objects } } });
+};
+
+var batchSizes = function(S3) {
+  return S3.calls.deleteObjects.map(function(params) {
+    return params.Delete.Objects.length;
+  });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    partRetryDelay: 1,
+    client: S3
+  });
+};
+
+describe('Bulk delete', function() {
+  beforeEach(function() {
+    tempDirs.makeDirectory(tmpDir);
+  });
+
+  afterEach(function() {
+    tempDirs.removeDirectory(tmpDir);
+  });
+
+  it('delete more than 1000 keys in batches', function(done) {
+    var S3 = createS3(2500);
+    var bucket = createBucket(S3);
+    bucket.deleteFiles({ files: keys(2500) }).then(function(res) {
+      assert.deepEqual(batchSizes(S3), [1000, 1000, 500]);
+      assert.equal(res.Deleted.length, 2500);
+      assert.deepEqual(res.Errors, []);
+      done();
+    }).catch(done);
+  });
+
+  it('send again the keys failing with retryable codes', function(done) {
+    var S3 = createS3(3);
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'deleteObject', Key: 'logs/00000.log', code: 'SlowDown', message: 'SlowDown' });
+    S3.injectFault({ operation: 'deleteObject', Key: 'logs/00000.log', code: 'InternalError', message: 'InternalError' });
+    S3.injectFault({ operation: 'deleteObject', Key: 'logs/00001.log', code: 'AccessDenied', message: 'AccessDenied' });
+    bucket.bulkDelete({ files: keys(3) }).then(function(res) {
+      assert.deepEqual(batchSizes(S3), [3, 1, 1]);
+      assert.deepEqual(res.Deleted.map(function(object) { return object.Key; }).sort(), ['logs/00000.log', 'logs/00002.log']);
+      assert.deepEqual(res.Errors, [{ Key: 'logs/00001.log', VersionId: undefined, Code: 'AccessDenied', Message: 'AccessDenied' }]);
+      done();
+    }).catch(done);
+  });
+
+  it('reject when a deleteObjects request fails as a whole', function(done) {
+    var S3 = createS3(2);
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'deleteObjects', code: 'AccessDenied', message: 'Access Denied', statusCode: 403, times: Infinity });
+    bucket.deleteFiles({ files: keys(2) }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'AccessDenied');
+      return bucket.deleteFilesVersioned({ files: [{ Key: 'logs/00000.log', VersionId: 'v1' }] });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'AccessDenied');
+      done();
+    }).catch(done);
+  });
+
+  it('read keys from an async iterable', function(done) {
+    var S3 = createS3(1200);
+    var bucket = createBucket(S3);
+    var generate = async function* () {
+      for (const key of keys(1200)) {
+        yield key;
+      }
+    };
+    bucket.bulkDelete({ files: generate() }).then(function(res) {
+      assert.deepEqual(batchSizes(S3), [1000, 200]);
+      assert.equal(res.Deleted.length, 1200);
+      done();
+    }).catch(done);
+  });
+
+  it('read keys from newline and CSV manifests', function(done) {
+    var S3 = createS3(2);
+    var bucket = createBucket(S3);
+    var listPath = path.join(tmpDir, 'keys.txt');
+    var csvPath = path.join(tmpDir, 'manifest.csv');
+    fs.writeFileSync(listPath, 'logs/00000.log\r\n\r\nlogs/00001.log\n');
+    fs.writeFileSync(csvPath, [
+      '"my-bucket","reports%2Fq1%20summary.csv","v1"',
+      'my-bucket,reports/plain.csv',
+      'other-bucket,reports/elsewhere.csv'
+    ].join('\n'));
+    bucket.bulkDelete({ manifest: listPath }).then(function(res) {
+      assert.deepEqual(S3.calls.deleteObjects[0].Delete.Objects, [{ Key: 'logs/00000.log' }, { Key: 'logs/00001.log' }]);
+      assert.equal(res.Deleted.length, 2);
+      return bucket.bulkDelete({ manifest: csvPath });
+    }).then(function(res) {
+      assert.deepEqual(S3.calls.deleteObjects[1].Delete.Objects, [
+        { Key: 'reports/q1 summary.csv', VersionId: 'v1' },
+        { Key: 'reports/plain.csv' }
+      ]);
+      assert.equal(res.Errors.length, 1);
+      assert.equal(res.Errors[0].Code, 'BucketMismatch');
+      assert.equal(res.Errors[0].Key, 'reports/elsewhere.csv');
+      done();
+    }).catch(done);
+  });
+
+  it('reject when the manifest cannot be read', function(done) {
+    var S3 = createS3(2);
+    var bucket = createBucket(S3);
+    bucket.bulkDelete({ manifest: path.join(tmpDir, 'missing.txt') }).then(function() {
+      done(new Error('bulkDelete should reject'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'ENOENT');
+      assert.equal(S3.calls.deleteObjects, undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('resume from the checkpoint after the batches already done', function(done) {
+    var S3 = createS3(2500);
+    var bucket = createBucket(S3);
+    var failing = async function* () {
+      var list = keys(2500);
+      var i;
+      for (i = 0; i < list.length; i++) {
+        if (i === 1500) {
+          throw new Error('Manifest source went away');
+        }
+        yield list[i];
+      }
+    };
+    bucket.bulkDelete({ files: failing(), checkpoint: checkpointPath, concurrency: 1 }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'Manifest source went away');
+      assert.equal(err.checkpoint, checkpointPath);
+      var state = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+      assert.equal(state.processed, 1000);
+      assert.equal(state.deleted, 1000);
+      S3.calls.deleteObjects.length = 0;
+      var same = async function* () {
+        for (const key of keys(2500)) {
+          yield key;
+        }
+      };
+      return bucket.bulkDelete({ files: same(), checkpoint: checkpointPath });
+    }).then(function(res) {
+      if (!res) {
+        return;
+      }
+      assert.equal(res.resumedFrom, 1000);
+      assert.deepEqual(batchSizes(S3), [1000, 500]);
+      assert.equal(S3.calls.deleteObjects[0].Delete.Objects[0].Key, 'logs/01000.log');
+      assert.ok(!fs.existsSync(checkpointPath), 'Checkpoint should be removed once done');
+      done();
+    }).catch(done);
+  });
+
+  it('refuse a checkpoint saved for another files array', function(done) {
+    var S3 = createS3(1500);
+    var bucket = createBucket(S3);
+    // the first batch goes through, the second one keeps failing
+    S3.injectFault({
+      operation: 'deleteObjects',
+      when: function(params) { return params.Delete.Objects[0].Key !== 'logs/00000.log'; },
+      times: Infinity
+    });
+    bucket.bulkDelete({ files: keys(1500), checkpoint: checkpointPath, concurrency: 1, retries: 1 }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'SlowDown');
+      assert.equal(err.checkpoint, checkpointPath);
+      assert.equal(JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).processed, 1000, 'The failed batch should be sent again');
+      return bucket.bulkDelete({ files: keys(1400), checkpoint: checkpointPath });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'Checkpoint does not match the delete parameters');
+      done();
+    }).catch(done);
+  });
+
+  it('reject empty files arrays', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.deleteFiles({ files: [] });
+    }, /Files array should not be empty/);
+    assert.throws(function() {
+      bucket.bulkDelete({ files: 'logs/00000.log' });
+    }, /Array or async iterable was expected for files parameter/);
+  });
+});
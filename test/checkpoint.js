@@ -0,0 +1,133 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var AWSBucket = require('../lib/bucket.js');
+var checkpoint = require('../lib/checkpoint.js');
+
+var MB = 1048576;
+var checkpointPath = path.join(os.tmpdir(), `s3-toolkit-checkpoint-${process.pid}.json`);
+var sourceBody = crypto.randomBytes(11 * MB);
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { objects: { 'big-file.bin': sourceBody } } }
+  });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    client: S3
+  });
+};
+
+// ETag of the part copied from that source range
+var partETag = function(start, end) {
+  return `"${crypto.createHash('md5').update(sourceBody.slice(start, end)).digest('hex')}"`;
+};
+
+describe('Multipart copy checkpoints', function() {
+  afterEach(function() {
+    return checkpoint.remove(checkpointPath);
+  });
+
+  it('resolve null when there is no checkpoint', function(done) {
+    checkpoint.load(checkpointPath).then(function(state) {
+      assert.strictEqual(state, null);
+      done();
+    }).catch(done);
+  });
+
+  it('keep the upload and checkpoint when a part fails', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'uploadPartCopy', PartNumber: 3, times: 10 });
+    bucket.copyFileMultipart({
+      CopySource: 'big-file.bin',
+      Key: 'big-file-copied.bin',
+      partSize: 5 * MB,
+      checkpoint: checkpointPath,
+      retries: 0
+    }, false, sourceBody.length).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'SlowDown');
+      assert.equal(err.checkpoint, checkpointPath);
+      assert.equal(S3.calls.abortMultipartUpload, undefined, 'Upload should be kept for resume');
+      return checkpoint.load(checkpointPath).then(function(state) {
+        assert.equal(state.UploadId, err.UploadId);
+        assert.equal(state.CopySource, 'my-bucket/big-file.bin');
+        assert.deepEqual(state.partitions, ['0-5242879', '5242880-10485759', '10485760-11534335']);
+        assert.deepEqual(state.parts.map(function(part) { return part.PartNumber; }).sort(), [1, 2]);
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('resume a copy copying only the missing parts', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var copyParams = function() {
+      return {
+        CopySource: 'big-file.bin',
+        Key: 'big-file-copied.bin',
+        partSize: 5 * MB,
+        checkpoint: checkpointPath,
+        retries: 0
+      };
+    };
+    S3.injectFault({ operation: 'uploadPartCopy', PartNumber: 3 });
+    bucket.copyFileMultipart(copyParams(), false, sourceBody.length).catch(function(err) {
+      assert.equal(err.code, 'SlowDown');
+      // pretend the process died after part 1, the checkpoint lags behind S3
+      return checkpoint.load(checkpointPath).then(function(state) {
+        state.parts = state.parts.filter(function(part) { return part.PartNumber === 1; });
+        return checkpoint.save(checkpointPath, state);
+      });
+    }).then(function() {
+      S3.calls.uploadPartCopy.length = 0;
+      return bucket.copyFileMultipart(copyParams(), false, sourceBody.length);
+    }).then(function(res) {
+      assert.ok(/-3"$/.test(res.response.ETag));
+      assert.equal(S3.calls.createMultipartUpload.length, 1, 'Upload should be reused');
+      assert.equal(S3.calls.listParts.length, 1, 'Progress should be checked with listParts');
+      assert.deepEqual(S3.calls.uploadPartCopy.map(function(params) { return params.PartNumber; }), [3]);
+      assert.deepEqual(S3.calls.completeMultipartUpload[0].MultipartUpload.Parts, [
+        { ETag: partETag(0, 5 * MB), PartNumber: 1 },
+        { ETag: partETag(5 * MB, 10 * MB), PartNumber: 2 },
+        { ETag: partETag(10 * MB, 11 * MB), PartNumber: 3 }
+      ]);
+      assert.ok(!fs.existsSync(checkpointPath), 'Checkpoint should be removed once completed');
+      done();
+    }).catch(done);
+  });
+
+  it('reject a checkpoint written for another copy', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    checkpoint.save(checkpointPath, {
+      operation: 'copy',
+      Bucket: 'my-bucket',
+      Key: 'other-file.bin',
+      CopySource: 'my-bucket/big-file.bin',
+      fileSize: sourceBody.length,
+      UploadId: 'upload-0',
+      partitions: [],
+      parts: []
+    }).then(function() {
+      return bucket.copyFileMultipart({
+        CopySource: 'big-file.bin',
+        Key: 'big-file-copied.bin',
+        checkpoint: checkpointPath
+      }, false, sourceBody.length);
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'Checkpoint does not match the copy parameters');
+      assert.equal(S3.calls.createMultipartUpload, undefined);
+      done();
+    }).catch(done);
+  });
+});
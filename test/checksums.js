@@ -0,0 +1,245 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+var checksums = require('../lib/checksums.js');
+
+var MB = 1048576;
+var bigPath = path.join(os.tmpdir(), `s3-toolkit-checksums-${process.pid}.bin`);
+var smallPath = path.join(os.tmpdir(), `s3-toolkit-checksums-${process.pid}.txt`);
+var bigContents;
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    partRetryDelay: 1,
+    client: S3
+  });
+};
+
+// completes uploads as usual but answers with another ETag
+var tamperETags = function(S3) {
+  var completeMultipartUpload = S3.completeMultipartUpload;
+  S3.completeMultipartUpload = function(params, callback) {
+    completeMultipartUpload.call(S3, params, function(err, result) {
+      if (result) {
+        result.ETag = '"tampered-3"';
+      }
+      callback(err, result);
+    });
+  };
+  return S3;
+};
+
+var md5 = function(data) {
+  return crypto.createHash('md5').update(data).digest();
+};
+
+describe('Checksums', function() {
+  before(function() {
+    bigContents = crypto.randomBytes(11 * MB);
+    fs.writeFileSync(bigPath, bigContents);
+    fs.writeFileSync(smallPath, 'checksum me');
+  });
+
+  after(function() {
+    fs.unlinkSync(bigPath);
+    fs.unlinkSync(smallPath);
+  });
+
+  it('compute composite ETags from the part MD5s', function() {
+    var parts = [bigContents.slice(0, 5 * MB), bigContents.slice(5 * MB)];
+    var expected = md5(Buffer.concat(parts.map(md5))).toString('hex');
+    assert.equal(checksums.compositeETag(parts.map(md5)), `"${expected}-2"`);
+    assert.deepEqual(checksums.splitRanges(12, 5), ['0-4', '5-9', '10-11']);
+    assert.equal(checksums.countETagParts('"abc-12"'), 12);
+    assert.equal(checksums.parseETag('"abc-12"'), null);
+  });
+
+  it('send ContentMD5 per part and store the SHA-256 of multipart uploads', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3);
+    bucket.uploadFileMultipart({
+      filePath: bigPath,
+      Key: 'dumps/db.dump',
+      partSize: 5 * MB,
+      checksum: 'sha256'
+    }).then(function(res) {
+      var contentMd5s = S3.calls.uploadPart.sort(function(a, b) {
+        return a.PartNumber - b.PartNumber;
+      }).map(function(params) { return params.ContentMD5; });
+      assert.deepEqual(contentMd5s, [0, 5, 10].map(function(start) {
+        return md5(bigContents.slice(start * MB, (start + 5) * MB)).toString('base64');
+      }));
+      assert.equal(S3.calls.createMultipartUpload[0].checksum, undefined, 'Toolkit params should not reach S3');
+      assert.equal(S3.calls.createMultipartUpload[0].Metadata.sha256,
+        crypto.createHash('sha256').update(bigContents).digest('hex'));
+      assert.ok(/-3"$/.test(res.response.ETag));
+      return bucket.verifyObject(bigPath, 'dumps/db.dump');
+    }).then(function(report) {
+      assert.equal(report.match, true);
+      assert.deepEqual(report.Checked, ['size', 'etag', 'sha256']);
+      assert.deepEqual(report.Mismatches, []);
+      assert.equal(S3.calls.headObject[1].PartNumber, 1, 'Part size should be read back');
+      done();
+    }).catch(done);
+  });
+
+  it('reject uploads completed with an unexpected ETag', function(done) {
+    var S3 = tamperETags(new AWSBucket.MemoryS3({ buckets: ['my-bucket'] }));
+    var bucket = createBucket(S3);
+    bucket.uploadFileMultipart({
+      filePath: bigPath,
+      Key: 'dumps/db.dump',
+      partSize: 5 * MB,
+      checksum: 'md5'
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'ChecksumMismatch');
+      assert.equal(err.details.actual, '"tampered-3"');
+      assert.ok(/-3"$/.test(err.details.expected));
+      assert.equal(S3.calls.abortMultipartUpload, undefined, 'Completed uploads are not aborted');
+      done();
+    }).catch(done);
+  });
+
+  it('check copies against the source ETag when the part layout allows it', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3);
+    var putObject = Promise.promisify(S3.putObject).bind(S3);
+    var sourceETag = {};
+    // the source as listed before it changed
+    var headObject = S3.headObject;
+    S3.headObject = function(params, callback) {
+      headObject.call(S3, params, function(err, head) {
+        if (head && sourceETag[params.Key] && !params.PartNumber) {
+          head.ETag = sourceETag[params.Key];
+        }
+        callback(err, head);
+      });
+    };
+    bucket.uploadFileMultipart({ filePath: bigPath, Key: 'parts.bin', partSize: 5 * MB }).then(function() {
+      return putObject({ Bucket: 'my-bucket', Key: 'plain.bin', Body: bigContents });
+    }).then(function() {
+      return bucket.copyFileMultipart({ CopySource: 'parts.bin', Key: 'a.bin', partSize: 5 * MB, checksum: 'md5' });
+    }).then(function() {
+      return bucket.copyFileMultipart({ CopySource: 'plain.bin', Key: 'b.bin', partSize: 11 * MB, checksum: 'md5' });
+    }).then(function() {
+      sourceETag['parts.bin'] = `"${md5('other').toString('hex')}-3"`;
+      return bucket.copyFileMultipart({ CopySource: 'parts.bin', Key: 'a.bin', partSize: 5 * MB, checksum: 'md5' });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'Copied object ETag does not match the source');
+      assert.equal(err.details.expected, sourceETag['parts.bin']);
+      assert.equal(S3.calls.abortMultipartUpload, undefined, 'Completed copies are not aborted');
+      sourceETag['plain.bin'] = `"${md5('other').toString('hex')}"`;
+      return bucket.copyFileMultipart({ CopySource: 'plain.bin', Key: 'b.bin', partSize: 11 * MB, checksum: 'md5' });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'Copied object ETag does not match the source');
+      assert.equal(err.details.actual, `"${md5(bigContents).toString('hex')}"`);
+      // other part sizes, only the size can be checked
+      var heads = S3.calls.headObject.length;
+      return bucket.copyFileMultipart({ CopySource: 'plain.bin', Key: 'c.bin', partSize: 5 * MB, checksum: 'md5' }).then(function() {
+        assert.deepEqual(S3.calls.headObject.slice(heads).map(function(params) { return params.Key; }), ['plain.bin', 'c.bin']);
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('verify copies and single part uploads of several files', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3);
+    bucket.uploadMultipleFiles({
+      files: [{ filePath: smallPath, Key: 'a.txt' }, { filePath: bigPath, Key: 'b.bin' }],
+      checksum: 'md5'
+    }).then(function(results) {
+      assert.equal(S3.calls.upload[0].ContentMD5, md5('checksum me').toString('base64'));
+      assert.equal(S3.calls.upload.length, 1, 'Files over 5MB should be uploaded in parts');
+      S3.calls.uploadPart.forEach(function(params) {
+        assert.ok(params.ContentMD5);
+      });
+      assert.equal(results.length, 2);
+      return bucket.copyFileMultipart({ CopySource: 'b.bin', Key: 'c.bin', partSize: 5 * MB, checksum: 'md5' });
+    }).then(function(res) {
+      assert.ok(/-3"$/.test(res.response.ETag));
+      return Promise.all([bucket.verifyObject(smallPath, 'a.txt'), bucket.verifyObject(bigPath, 'c.bin')]);
+    }).then(function(reports) {
+      assert.deepEqual(reports[0].Checked, ['size', 'etag']);
+      assert.equal(reports[0].match, true);
+      assert.equal(reports[1].match, true);
+      done();
+    }).catch(done);
+  });
+
+  it('send files from the managed upload part size on in parts', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3);
+    var edgePath = path.join(os.tmpdir(), `s3-toolkit-checksums-${process.pid}-edge.bin`);
+    var belowPath = path.join(os.tmpdir(), `s3-toolkit-checksums-${process.pid}-below.bin`);
+    fs.writeFileSync(edgePath, bigContents.slice(0, 5 * MB));
+    fs.writeFileSync(belowPath, bigContents.slice(0, 5 * MB - 1));
+    Promise.promisify(S3.upload).bind(S3)({
+      Bucket: 'my-bucket',
+      Key: 'direct.bin',
+      Body: bigContents.slice(0, 5 * MB),
+      ContentMD5: md5(bigContents.slice(0, 5 * MB)).toString('base64')
+    }).then(function() {
+      throw new Error('ContentMD5 should be refused for multipart bodies');
+    }, function(err) {
+      assert.equal(err.code, 'InvalidDigest');
+      return bucket.uploadFile({ filePath: edgePath, Key: 'edge.bin', checksum: 'md5' });
+    }).then(function() {
+      assert.equal(S3.calls.upload.length, 1);
+      assert.equal(S3.calls.createMultipartUpload.length, 1);
+      return bucket.uploadFile({ filePath: belowPath, Key: 'below.bin', checksum: 'md5' });
+    }).then(function() {
+      assert.equal(S3.calls.upload.length, 2);
+      assert.equal(S3.calls.upload[1].ContentMD5, md5(bigContents.slice(0, 5 * MB - 1)).toString('base64'));
+      done();
+    }).catch(done).finally(function() {
+      fs.unlinkSync(edgePath);
+      fs.unlinkSync(belowPath);
+    });
+  });
+
+  it('report objects not matching the local file', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3);
+    var call = function(operation, params) {
+      return Promise.promisify(S3[operation]).bind(S3)(Object.assign({ Bucket: 'my-bucket' }, params));
+    };
+    assert.throws(function() {
+      bucket.verifyObject(smallPath);
+    }, /Unable to verify object due parameters missing/);
+    assert.throws(function() {
+      bucket.uploadFile({ filePath: smallPath, Key: 'a.txt', checksum: 'crc32' });
+    }, /md5 or sha256 was expected for checksum parameter/);
+    Promise.all([
+      call('putObject', { Key: 'a.txt', Body: 'checksum it' }),
+      call('putObject', { Key: 'b.txt', Body: 'short' }),
+      call('putObject', { Key: 'c.txt', Body: 'checksum me', Metadata: { sha256: 'abc' } })
+    ]).then(function() {
+      return Promise.mapSeries(['a.txt', 'b.txt', 'c.txt'], function(Key) {
+        return bucket.verifyObject(smallPath, Key);
+      });
+    }).then(function(reports) {
+      assert.equal(reports[0].match, false);
+      assert.deepEqual(reports[0].Mismatches, [{
+        check: 'etag',
+        expected: `"${md5('checksum me').toString('hex')}"`,
+        actual: `"${md5('checksum it').toString('hex')}"`
+      }]);
+      assert.deepEqual(reports[1].Checked, ['size'], 'Sizes differing should stop the checks');
+      assert.deepEqual(reports[1].Mismatches, [{ check: 'size', expected: 11, actual: 5 }]);
+      assert.deepEqual(reports[2].Mismatches.map(function(mismatch) { return mismatch.check; }), ['sha256']);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,193 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var AWSBucket = require('../lib/bucket.js');
+var tempDirs = require('./temp-dirs.js');
+
+var MB = 1048576;
+var bigPath = path.join(os.tmpdir(), `s3-toolkit-cse-${process.pid}.bin`);
+var smallPath = path.join(os.tmpdir(), `s3-toolkit-cse-${process.pid}.txt`);
+var downloadPath = path.join(os.tmpdir(), `s3-toolkit-cse-${process.pid}.out`);
+var syncDir = path.join(os.tmpdir(), `s3-toolkit-cse-sync-${process.pid}`);
+var bigContents;
+var masterKeys = { 'master-1': crypto.randomBytes(32), 'master-2': crypto.randomBytes(32) };
+
+var createBucket = function(S3, keyId, keys) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    client: S3,
+    clientEncryption: {
+      keyId: keyId,
+      keyring: function(id) { return (keys || masterKeys)[id]; }
+    }
+  });
+};
+
+var storedObject = function(S3, Key) {
+  return S3.buckets['my-bucket'].objects[Key][0];
+};
+
+describe('Client-side encryption', function() {
+  before(function() {
+    bigContents = crypto.randomBytes(6 * MB);
+    fs.writeFileSync(bigPath, bigContents);
+    fs.writeFileSync(smallPath, 'encrypt me here');
+  });
+
+  after(function() {
+    [bigPath, smallPath, downloadPath].forEach(function(filePath) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+    tempDirs.removeDirectory(syncDir);
+  });
+
+  it('validate the settings and the operations they can not go with', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    assert.throws(function() {
+      new AWSBucket({ bucketName: 'my-bucket', client: S3, clientEncryption: { keyId: 'master-1' } });
+    }, /Function was expected for clientEncryption keyring/);
+    var bucket = createBucket(S3, 'master-1');
+    assert.throws(function() {
+      bucket.uploadFile({ filePath: smallPath, Key: 'a.txt', checksum: 'md5' });
+    }, /checksum is not supported with clientEncryption/);
+    assert.throws(function() {
+      bucket.uploadFileMultipart({ filePath: bigPath, Key: 'b.bin' });
+    }, /clientEncryption is not supported by multipart uploads/);
+    bucket.uploadFile({ filePath: smallPath, Key: 'a.txt' }).then(function() {
+      var plainBucket = new AWSBucket({ bucketName: 'my-bucket', client: S3 });
+      return plainBucket.downloadFile({ Key: 'a.txt', filePath: downloadPath });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'Unable to decrypt due clientEncryption keyring missing');
+      assert.equal(fs.existsSync(`${downloadPath}.download`), false);
+      done();
+    }).catch(done);
+  });
+
+  it('encrypt uploads with a wrapped data key and decrypt downloads', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3, 'master-1');
+    bucket.uploadMultipleFiles({
+      files: [{ filePath: smallPath, Key: 'a.txt' }, { filePath: bigPath, Key: 'b.bin' }]
+    }).then(function() {
+      var stored = storedObject(S3, 'b.bin');
+      assert.equal(stored.Size, bigContents.length + 16, 'The GCM tag should follow the body');
+      assert.equal(stored.Body.indexOf(bigContents.slice(0, 64)), -1);
+      assert.equal(stored.Metadata['cse-algorithm'], 'AES-256-GCM');
+      assert.equal(stored.Metadata['cse-key-id'], 'master-1');
+      assert.equal(stored.Metadata['cse-unencrypted-length'], String(bigContents.length));
+      assert.notEqual(stored.Metadata['cse-key'], storedObject(S3, 'a.txt').Metadata['cse-key'], 'Every object gets its own data key');
+      assert.equal(S3.calls.upload[1].clientEncryption, undefined, 'Toolkit params should not reach S3');
+      return bucket.downloadFile({ Key: 'b.bin', filePath: downloadPath, partSize: 5 * MB });
+    }).then(function(res) {
+      assert.equal(res.decrypted, true);
+      assert.ok(fs.readFileSync(downloadPath).equals(bigContents));
+      assert.equal(fs.existsSync(`${downloadPath}.download`), false);
+      return bucket.verifyObject(bigPath, 'b.bin');
+    }).then(function(report) {
+      assert.equal(report.match, true);
+      assert.deepEqual(report.Checked, ['size']);
+      return bucket.downloadFile({ Key: 'a.txt', filePath: downloadPath, clientEncryption: false });
+    }).then(function(res) {
+      assert.equal(res.decrypted, false);
+      assert.equal(fs.statSync(downloadPath).size, 'encrypt me here'.length + 16);
+      done();
+    }).catch(done);
+  });
+
+  it('reject uploads of files that fail to read', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3, 'master-1');
+    // a directory stats fine but fails once read
+    bucket.uploadFile({ filePath: os.tmpdir(), Key: 'a.txt' }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'EISDIR');
+      assert.equal(S3.buckets['my-bucket'].objects['a.txt'], undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('sync same size edits of encrypted files by their plain MD5', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3, 'master-1');
+    tempDirs.makeDirectory(syncDir);
+    fs.writeFileSync(path.join(syncDir, 'a.txt'), 'first');
+    fs.writeFileSync(path.join(syncDir, 'b.txt'), 'kept');
+    bucket.syncDirectory({ localDir: syncDir }).then(function(report) {
+      assert.equal(report.Uploaded.length, 2);
+      assert.equal(storedObject(S3, 'a.txt').Metadata['cse-unencrypted-md5'], crypto.createHash('md5').update('first').digest('hex'));
+      fs.writeFileSync(path.join(syncDir, 'a.txt'), 'other');
+      return bucket.syncDirectory({ localDir: syncDir });
+    }).then(function(report) {
+      assert.deepEqual(report.Uploaded.map(function(upload) { return [upload.Key, upload.reason]; }), [['a.txt', 'changed']]);
+      assert.deepEqual(report.Unchanged, ['b.txt']);
+      done();
+    }).catch(done);
+  });
+
+  it('reject bodies that do not authenticate', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3, 'master-1');
+    fs.writeFileSync(downloadPath, 'previous contents');
+    bucket.uploadFile({ filePath: smallPath, Key: 'a.txt' }).then(function() {
+      // changed where it is stored, ETag included
+      var stored = storedObject(S3, 'a.txt');
+      stored.Body[0] ^= 1;
+      stored.ETag = `"${crypto.createHash('md5').update(stored.Body).digest('hex')}"`;
+      return bucket.downloadFile({ Key: 'a.txt', filePath: downloadPath });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'DecryptionFailed');
+      assert.equal(fs.readFileSync(downloadPath, 'utf8'), 'previous contents');
+      assert.equal(fs.existsSync(`${downloadPath}.download`), false);
+      assert.equal(fs.existsSync(`${downloadPath}.download.plain`), false);
+      done();
+    }).catch(done);
+  });
+
+  it('rewrap the data keys with the new master key without rewriting the bodies', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: { 'my-bucket': { versioning: true } } });
+    var bucket = createBucket(S3, 'master-1');
+    var rotated = createBucket(S3, 'master-2');
+    var body;
+    bucket.uploadFile({ filePath: smallPath, Key: 'dumps/a.txt', StorageClass: 'STANDARD_IA' }).then(function() {
+      return bucket.uploadFile({ filePath: bigPath, Key: 'dumps/b.bin', StorageClass: 'STANDARD_IA' });
+    }).then(function() {
+      return bucket.uploadFile({ filePath: smallPath, Key: 'dumps/plain.txt', clientEncryption: false });
+    }).then(function() {
+      body = storedObject(S3, 'dumps/b.bin').Body;
+      return rotated.rewrapKeys({ Prefix: 'dumps/' });
+    }).then(function(report) {
+      assert.equal(report.keyId, 'master-2');
+      assert.deepEqual(report.Rewrapped.map(function(entry) { return entry.previousKeyId; }), ['master-1', 'master-1']);
+      assert.deepEqual(report.Skipped, [{ Key: 'dumps/plain.txt', reason: 'not encrypted' }]);
+      assert.deepEqual(report.Errors, []);
+      assert.equal(S3.calls.upload.length, 3, 'Bodies should not be uploaded again');
+      assert.equal(S3.calls.copyObject[0].MetadataDirective, 'REPLACE');
+      assert.ok(S3.calls.copyObject[0].CopySourceIfMatch);
+      assert.equal(S3.calls.copyObject[0].ACL, undefined, 'The bucketACL should not replace the object ACL');
+      var stored = storedObject(S3, 'dumps/b.bin');
+      assert.equal(stored.Metadata['cse-key-id'], 'master-2');
+      assert.ok(stored.Body.equals(body));
+      assert.equal(stored.StorageClass, 'STANDARD_IA');
+      assert.equal(storedObject(S3, 'dumps/a.txt').StorageClass, 'STANDARD_IA');
+      // the old master key can be dropped from the keyring
+      var keyring = createBucket(S3, 'master-2', { 'master-2': masterKeys['master-2'] });
+      return keyring.downloadFile({ Key: 'dumps/b.bin', filePath: downloadPath }).then(function() {
+        assert.ok(fs.readFileSync(downloadPath).equals(bigContents));
+        return keyring.rewrapKeys({ Prefix: 'dumps/' });
+      });
+    }).then(function(report) {
+      assert.deepEqual(report.Rewrapped, []);
+      assert.deepEqual(report.Skipped.map(function(entry) { return entry.reason; }).sort(), ['current key', 'current key', 'not encrypted']);
+      done();
+    }).catch(done);
+  });
+});
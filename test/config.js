@@ -0,0 +1,67 @@
+var assert = require('assert');
+var http = require('http');
+var AWS = require('aws-sdk');
+var AWSBucket = require('../lib/bucket.js');
+
+describe('Bucket config', function() {
+  it('keep the config of every instance apart', function() {
+    var first = new AWSBucket({
+      accessKeyId: 'first-key',
+      secretAccessKey: 'first-secret',
+      region: 'us-east-1',
+      bucketName: 'first-bucket'
+    });
+    var second = new AWSBucket({
+      accessKeyId: 'second-key',
+      secretAccessKey: 'second-secret',
+      sessionToken: 'second-token',
+      region: 'eu-west-1',
+      bucketName: 'second-bucket'
+    });
+    assert.equal(first.S3.config.region, 'us-east-1');
+    assert.equal(first.S3.config.credentials.accessKeyId, 'first-key');
+    assert.equal(second.S3.config.region, 'eu-west-1');
+    assert.equal(second.S3.config.credentials.accessKeyId, 'second-key');
+    assert.equal(second.S3.config.credentials.sessionToken, 'second-token');
+  });
+
+  it('point to S3 compatible endpoints', function() {
+    var agent = new http.Agent({ keepAlive: true });
+    var bucket = new AWSBucket({
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+      region: 'us-east-1',
+      bucketName: 'dev-bucket',
+      endpoint: 'http://localhost:9000',
+      s3ForcePathStyle: true,
+      signatureVersion: 'v4',
+      httpAgent: agent,
+      proxy: 'http://proxy.internal:3128'
+    });
+    assert.equal(bucket.S3.endpoint.href, 'http://localhost:9000/');
+    assert.equal(bucket.S3.config.s3ForcePathStyle, true);
+    assert.equal(bucket.S3.config.signatureVersion, 'v4');
+    assert.equal(bucket.S3.config.httpOptions.agent, agent);
+    assert.equal(bucket.S3.config.httpOptions.proxy, 'http://proxy.internal:3128');
+    agent.destroy();
+  });
+
+  it('take credentials from providers instead of static keys', function() {
+    var chain = new AWS.CredentialProviderChain([
+      function() { return new AWS.EnvironmentCredentials('AWS'); }
+    ]);
+    var fromChain = new AWSBucket({ region: 'us-east-1', bucketName: 'my-bucket', credentialProvider: chain });
+    var fromProfile = new AWSBucket({ region: 'us-east-1', bucketName: 'my-bucket', profile: 'deploy' });
+    var fromDefault = new AWSBucket({ region: 'us-east-1', bucketName: 'my-bucket' });
+    assert.equal(fromChain.S3.config.credentialProvider, chain);
+    assert.ok(fromProfile.S3.config.credentials instanceof AWS.SharedIniFileCredentials);
+    assert.equal(fromProfile.S3.config.credentials.profile, 'deploy');
+    assert.ok(fromDefault.S3.config.credentialProvider instanceof AWS.CredentialProviderChain, 'SDK default chain was expected');
+  });
+
+  it('reject half given static keys', function() {
+    assert.throws(function() {
+      new AWSBucket({ accessKeyId: 'key', region: 'us-east-1', bucketName: 'my-bucket' });
+    }, /accessKeyId and secretAccessKey should be given together/);
+  });
+});
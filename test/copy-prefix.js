@@ -0,0 +1,169 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+
+var MB = 1048576;
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { versioning: true }, 'archive-bucket': {} }
+  });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    partRetryDelay: 1,
+    multipartThreshold: 5 * MB,
+    client: S3
+  });
+};
+
+var call = function(S3, operation, params) {
+  return Promise.promisify(S3[operation]).bind(S3)(params);
+};
+
+var putObjects = function(S3, objects) {
+  return Promise.mapSeries(Object.keys(objects), function(key) {
+    return call(S3, 'putObject', Object.assign({ Bucket: 'my-bucket', Key: key }, objects[key]));
+  });
+};
+
+var keysOf = function(S3, bucketName, prefix) {
+  return call(S3, 'listObjectsV2', { Bucket: bucketName, Prefix: prefix }).then(function(res) {
+    return res.Contents.map(function(object) { return object.Key; });
+  });
+};
+
+describe('Copy and move prefix', function() {
+  it('copy a prefix to another bucket keeping metadata and tags', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var big = crypto.randomBytes(6 * MB);
+    var events = [];
+    putObjects(S3, {
+      'photos/': { Body: '' },
+      'photos/a.jpg': { Body: 'a', ContentType: 'image/jpeg', Metadata: { camera: 'x' }, Tagging: 'year=2018' },
+      'photos/raw/b.raw': { Body: big, ContentType: 'image/x-raw' },
+      'other/c.jpg': { Body: 'c' }
+    }).then(function() {
+      return bucket.copyPrefix({
+        Prefix: 'photos/',
+        DestinationBucket: 'archive-bucket',
+        DestinationPrefix: 'archive/photos/',
+        onProgress: function(event) { events.push(event); }
+      });
+    }).then(function(report) {
+      assert.deepEqual(report.Copied.map(function(entry) { return [entry.Key, entry.strategy]; }), [
+        ['archive/photos/', 'copy'],
+        ['archive/photos/a.jpg', 'copy'],
+        ['archive/photos/raw/b.raw', 'multipart']
+      ]);
+      assert.deepEqual(report.Errors, []);
+      assert.equal(report.Deleted, undefined, 'Copies should not delete');
+      assert.equal(events[events.length - 1].filesDone, 3);
+      assert.equal(events[0].operation, 'copyPrefix');
+      return Promise.all([
+        call(S3, 'headObject', { Bucket: 'archive-bucket', Key: 'archive/photos/a.jpg' }),
+        call(S3, 'getObjectTagging', { Bucket: 'archive-bucket', Key: 'archive/photos/a.jpg' }),
+        call(S3, 'headObject', { Bucket: 'archive-bucket', Key: 'archive/photos/raw/b.raw' }),
+        keysOf(S3, 'my-bucket', 'photos/')
+      ]);
+    }).then(function(results) {
+      assert.equal(results[0].ContentType, 'image/jpeg');
+      assert.deepEqual(results[0].Metadata, { camera: 'x' });
+      assert.deepEqual(results[1].TagSet, [{ Key: 'year', Value: '2018' }]);
+      assert.equal(results[2].ContentType, 'image/x-raw', 'Multipart copies should keep metadata');
+      assert.equal(results[3].length, 3, 'Sources should be kept');
+      done();
+    }).catch(done);
+  });
+
+  it('move only the sources whose copy succeeded', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({
+      operation: 'copyObject',
+      code: 'AccessDenied',
+      statusCode: 403,
+      message: 'Access Denied',
+      when: function(params) { return params.Key === 'uploads/done/b.txt'; }
+    });
+    putObjects(S3, {
+      'uploads/tmp/a.txt': { Body: 'a' },
+      'uploads/tmp/b.txt': { Body: 'b' },
+      'uploads/tmp/c.txt': { Body: 'c' }
+    }).then(function() {
+      return bucket.movePrefix({ Prefix: 'uploads/tmp/', DestinationPrefix: 'uploads/done/' });
+    }).then(function(report) {
+      assert.deepEqual(report.Deleted, ['uploads/tmp/a.txt', 'uploads/tmp/c.txt']);
+      assert.deepEqual(report.Errors, [
+        { SourceKey: 'uploads/tmp/b.txt', Key: 'uploads/done/b.txt', Code: 'AccessDenied', Message: 'Access Denied' }
+      ]);
+      return Promise.all([keysOf(S3, 'my-bucket', 'uploads/tmp/'), keysOf(S3, 'my-bucket', 'uploads/done/')]);
+    }).then(function(keys) {
+      assert.deepEqual(keys[0], ['uploads/tmp/b.txt']);
+      assert.deepEqual(keys[1], ['uploads/done/a.txt', 'uploads/done/c.txt']);
+      done();
+    }).catch(done);
+  });
+
+  it('stream objects from a source reached with other credentials', function(done) {
+    var sourceS3 = new AWSBucket.MemoryS3({ buckets: ['partner-bucket'] });
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var body = crypto.randomBytes(2 * MB);
+    call(sourceS3, 'putObject', {
+      Bucket: 'partner-bucket',
+      Key: 'exports/data.csv',
+      Body: body,
+      ContentType: 'text/csv',
+      Tagging: 'source=partner'
+    }).then(function() {
+      return bucket.movePrefix({
+        Prefix: 'exports/',
+        SourceBucket: 'partner-bucket',
+        sourceClient: sourceS3,
+        DestinationPrefix: 'imports/'
+      });
+    }).then(function(report) {
+      assert.equal(report.Copied[0].strategy, 'stream');
+      assert.deepEqual(report.Deleted, ['exports/data.csv']);
+      assert.equal(S3.calls.copyObject, undefined, 'Nothing should be copied server side');
+      assert.equal(sourceS3.calls.getObject[0].Range, `bytes=0-${body.length - 1}`);
+      return Promise.all([
+        call(S3, 'getObject', { Bucket: 'my-bucket', Key: 'imports/data.csv' }),
+        call(S3, 'getObjectTagging', { Bucket: 'my-bucket', Key: 'imports/data.csv' }),
+        keysOf(sourceS3, 'partner-bucket', 'exports/')
+      ]);
+    }).then(function(results) {
+      assert.ok(results[0].Body.equals(body), 'Streamed contents should match');
+      assert.equal(results[0].ContentType, 'text/csv');
+      assert.deepEqual(results[1].TagSet, [{ Key: 'source', Value: 'partner' }]);
+      assert.deepEqual(results[2], []);
+      done();
+    }).catch(done);
+  });
+
+  it('plan without copying on dry run and reject copies onto the source', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    assert.throws(function() {
+      bucket.copyPrefix({ Prefix: 'photos/', DestinationPrefix: 'photos/' });
+    }, /Destination should differ from the source/);
+    assert.throws(function() {
+      bucket.movePrefix({ Prefix: 'photos/' });
+    }, /Unable to move prefix due parameters missing/);
+    putObjects(S3, { 'photos/a.jpg': { Body: 'a' } }).then(function() {
+      return bucket.movePrefix({ Prefix: 'photos/', DestinationPrefix: 'old/', dryRun: true });
+    }).then(function(report) {
+      assert.equal(report.dryRun, true);
+      assert.deepEqual(report.Copied, [{ SourceKey: 'photos/a.jpg', Key: 'old/a.jpg', Size: 1 }]);
+      assert.deepEqual(report.Deleted, []);
+      assert.equal(S3.calls.copyObject, undefined);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,112 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+var manifest = require('../lib/manifest.js');
+var tempDirs = require('./temp-dirs.js');
+
+var localDir = path.join(os.tmpdir(), `s3-toolkit-download-urls-${process.pid}`);
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({ buckets: { 'my-bucket': { versioning: true } } });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+var putObjects = function(S3, keys) {
+  return Promise.mapSeries(keys, function(key) {
+    return Promise.promisify(S3.putObject).bind(S3)({ Bucket: 'my-bucket', Key: key, Body: key });
+  });
+};
+
+var queryOf = function(signedUrl) {
+  var query = {};
+  signedUrl.split('?')[1].split('&').forEach(function(pair) {
+    var parts = pair.split('=');
+    query[parts[0]] = decodeURIComponent(parts[1]);
+  });
+  return query;
+};
+
+describe('Download URLs', function() {
+  beforeEach(function() {
+    tempDirs.makeDirectory(localDir);
+  });
+
+  afterEach(function() {
+    tempDirs.removeDirectory(localDir);
+  });
+
+  it('sign getObject with a version, expiry and response overrides', function(done) {
+    var bucket = createBucket(createS3());
+    var before = Date.now();
+    bucket.getDownloadUrl({
+      Key: 'reports/2018-03.pdf',
+      VersionId: 'abc',
+      Expires: 120,
+      filename: 'Résumé "March".pdf',
+      ContentType: 'application/pdf'
+    }).then(function(res) {
+      var query = queryOf(res.signedUrl);
+      assert.equal(res.VersionId, 'abc');
+      assert.equal(query.versionId, 'abc');
+      assert.equal(query['X-Amz-Expires'], '120');
+      assert.equal(query['response-content-type'], 'application/pdf');
+      assert.equal(query['response-content-disposition'],
+        'attachment; filename="R_sum_ _March_.pdf"; filename*=UTF-8\'\'R%C3%A9sum%C3%A9%20%22March%22.pdf');
+      assert.ok(res.expiresAt.getTime() >= before + 120000, 'Expiry date was expected');
+      assert.throws(function() {
+        bucket.getDownloadUrl({ Key: 'reports/2018-03.pdf', Expires: 700000 });
+      }, /Expires should be a number of seconds up to 604800/);
+      done();
+    }).catch(done);
+  });
+
+  it('sign every object under a prefix into a CSV manifest', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var manifestPath = path.join(localDir, 'links.csv');
+    putObjects(S3, ['reports/', 'reports/a, b.pdf', 'reports/c.pdf', 'other/d.pdf']).then(function() {
+      return bucket.getDownloadUrls({ Prefix: 'reports/', disposition: 'inline', manifest: manifestPath });
+    }).then(function(res) {
+      assert.deepEqual(res.Urls.map(function(link) { return link.Key; }), ['reports/a, b.pdf', 'reports/c.pdf']);
+      assert.equal(queryOf(res.Urls[0].signedUrl)['response-content-disposition'], 'inline');
+      assert.equal(res.manifest, manifestPath);
+      var lines = fs.readFileSync(manifestPath, 'utf8').trim().split('\n');
+      assert.equal(lines[0], 'Key,VersionId,url,expiresAt');
+      var row = manifest.parseCsvLine(lines[1]);
+      assert.equal(row[0], 'reports/a, b.pdf');
+      assert.equal(row[2], res.Urls[0].signedUrl);
+      assert.equal(row[3], res.Urls[0].expiresAt.toISOString());
+      done();
+    }).catch(done);
+  });
+
+  it('sign given files with their own options into a JSON manifest', function(done) {
+    var bucket = createBucket(createS3());
+    var manifestPath = path.join(localDir, 'links.json');
+    bucket.getDownloadUrls({
+      files: ['a.pdf', { Key: 'b.pdf', VersionId: 'v1', filename: 'B.pdf' }],
+      Expires: 60,
+      manifest: manifestPath
+    }).then(function(res) {
+      assert.equal(queryOf(res.Urls[1].signedUrl).versionId, 'v1');
+      assert.equal(queryOf(res.Urls[0].signedUrl)['response-content-disposition'], undefined);
+      var rows = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      assert.deepEqual(rows.map(function(row) { return row.Key; }), ['a.pdf', 'b.pdf']);
+      assert.equal(rows[1].VersionId, 'v1');
+      assert.throws(function() {
+        bucket.getDownloadUrls({ Expires: 60 });
+      }, /Unable to get download urls due parameters missing/);
+      done();
+    }).catch(done);
+  });
+});
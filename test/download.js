@@ -0,0 +1,157 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var AWSBucket = require('../lib/bucket.js');
+var tempDirs = require('./temp-dirs.js');
+
+var MB = 1048576;
+var localDir = path.join(os.tmpdir(), `s3-toolkit-download-${process.pid}`);
+var bigPath = path.join(os.tmpdir(), `s3-toolkit-download-${process.pid}.bin`);
+var bigBody = crypto.randomBytes(11 * MB);
+var smallBody = Buffer.from('small file contents');
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+// small objects, and db.dump uploaded in 3 parts so its ETag is no MD5
+var createS3 = function() {
+  var S3 = new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { versioning: true, objects: { 'dumps/notes/small.txt': smallBody, 'dumps/notes/': '' } } }
+  });
+  return createBucket(S3).uploadFileMultipart({ filePath: bigPath, Key: 'dumps/db.dump', partSize: 5 * MB }).then(function(res) {
+    S3.uploaded = res.response;
+    S3.calls = {};
+    return S3;
+  });
+};
+
+describe('Download', function() {
+  before(function() {
+    fs.writeFileSync(bigPath, bigBody);
+  });
+
+  after(function() {
+    fs.unlinkSync(bigPath);
+  });
+
+  beforeEach(function() {
+    tempDirs.makeDirectory(localDir);
+  });
+
+  afterEach(function() {
+    tempDirs.removeDirectory(localDir);
+  });
+
+  it('download large objects with parallel ranged GETs', function(done) {
+    var filePath = path.join(localDir, 'db.dump');
+    var S3;
+    createS3().then(function(s3) {
+      S3 = s3;
+      return createBucket(S3).downloadFile({
+        Key: 'dumps/db.dump',
+        filePath: filePath,
+        partSize: 5 * MB,
+        concurrency: 2
+      });
+    }).then(function(res) {
+      assert.equal(res.size, bigBody.length);
+      assert.equal(res.verified, 'size');
+      assert.equal(res.VersionId, S3.uploaded.VersionId);
+      assert.deepEqual(S3.calls.getObject.map(function(params) { return params.Range; }), [
+        `bytes=0-${5 * MB - 1}`,
+        `bytes=${5 * MB}-${10 * MB - 1}`,
+        `bytes=${10 * MB}-${11 * MB - 1}`
+      ]);
+      assert.equal(S3.calls.getObject[0].IfMatch, S3.uploaded.ETag);
+      assert.ok(fs.readFileSync(filePath).equals(bigBody), 'Downloaded bytes should match');
+      assert.ok(!fs.existsSync(`${filePath}.download`), 'Partial file should be moved in place');
+      assert.ok(!fs.existsSync(`${filePath}.download.json`), 'Download state should be removed');
+      done();
+    }).catch(done);
+  });
+
+  it('resume an interrupted download from the partial file', function(done) {
+    var filePath = path.join(localDir, 'db.dump');
+    var S3, bucket;
+    var downloadParams = function() {
+      return { Key: 'dumps/db.dump', filePath: filePath, partSize: 5 * MB, concurrency: 1, retries: 0 };
+    };
+    createS3().then(function(s3) {
+      S3 = s3;
+      bucket = createBucket(S3);
+      S3.injectFault({
+        operation: 'getObject',
+        when: function(params) { return params.Range === `bytes=${5 * MB}-${10 * MB - 1}`; }
+      });
+      return bucket.downloadFile(downloadParams());
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'SlowDown');
+      assert.ok(fs.existsSync(`${filePath}.download`), 'Partial file should be kept');
+      S3.calls.getObject.length = 0;
+      return bucket.downloadFile(downloadParams());
+    }).then(function(res) {
+      if (!res) {
+        return;
+      }
+      assert.equal(res.resumed, true);
+      var ranges = S3.calls.getObject.map(function(params) { return params.Range; });
+      assert.ok(ranges.indexOf(`bytes=0-${5 * MB - 1}`) === -1, 'Finished parts should not be downloaded again');
+      assert.ok(ranges.indexOf(`bytes=${5 * MB}-${10 * MB - 1}`) !== -1, 'Failed part should be downloaded');
+      assert.ok(fs.readFileSync(filePath).equals(bigBody), 'Downloaded bytes should match');
+      done();
+    }).catch(done);
+  });
+
+  it('reject downloads not matching the object MD5', function(done) {
+    var filePath = path.join(localDir, 'small.txt');
+    createS3().then(function(S3) {
+      S3.injectFault({ operation: 'getObject', Key: 'dumps/notes/small.txt', corrupt: true });
+      return createBucket(S3).downloadFile({ Key: 'dumps/notes/small.txt', filePath: filePath });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'Downloaded file MD5 does not match the object ETag');
+      assert.ok(!fs.existsSync(filePath));
+      assert.ok(!fs.existsSync(`${filePath}.download`), 'Corrupt partial file should be removed');
+      done();
+    }).catch(done);
+  });
+
+  it('download every object under a prefix', function(done) {
+    var fileParams = [];
+    createS3().then(function(S3) {
+      var bucket = createBucket(S3);
+      bucket.downloadFile = function(params) {
+        fileParams.push(params);
+        return AWSBucket.prototype.downloadFile.call(this, params);
+      };
+      assert.throws(function() {
+        bucket.downloadPrefix({ Prefix: 'dumps/', localDir: localDir, checkpoint: 'dumps.json' });
+      }, /checkpoint is not supported by downloadPrefix/);
+      return bucket.downloadPrefix({
+        Prefix: 'dumps/',
+        localDir: path.join(localDir, 'nested', 'dir'),
+        concurrency: 2,
+        partSize: 5 * MB
+      });
+    }).then(function(res) {
+      assert.equal(res.length, 2, 'Folder placeholders should be skipped');
+      // the 4 parts of the bucket shared by the 2 files in flight
+      assert.deepEqual(fileParams.map(function(params) { return params.concurrency; }), [2, 2]);
+      assert.equal(fileParams[0].partSize, 5 * MB);
+      assert.equal(res[1].verified, 'md5');
+      assert.ok(fs.readFileSync(path.join(localDir, 'nested', 'dir', 'notes', 'small.txt')).equals(smallBody));
+      assert.ok(fs.readFileSync(path.join(localDir, 'nested', 'dir', 'db.dump')).equals(bigBody));
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,204 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+var encryption = require('../lib/encryption.js');
+
+var MB = 1048576;
+var bigPath = path.join(os.tmpdir(), `s3-toolkit-encryption-${process.pid}.bin`);
+var smallPath = path.join(os.tmpdir(), `s3-toolkit-encryption-${process.pid}.txt`);
+var downloadPath = path.join(os.tmpdir(), `s3-toolkit-encryption-${process.pid}.out`);
+var bigContents;
+
+var createBucket = function(S3, options) {
+  return new AWSBucket(Object.assign({
+    bucketName: 'my-bucket',
+    partRetryDelay: 1,
+    client: S3
+  }, options));
+};
+
+var customerKey = function() {
+  return { type: 'SSE-C', customerKey: crypto.randomBytes(32) };
+};
+
+describe('Server-side encryption', function() {
+  before(function() {
+    bigContents = crypto.randomBytes(11 * MB);
+    fs.writeFileSync(bigPath, bigContents);
+    fs.writeFileSync(smallPath, 'encrypt me');
+  });
+
+  after(function() {
+    [bigPath, smallPath, downloadPath].forEach(function(filePath) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  it('validate the encryption settings', function() {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    assert.throws(function() {
+      createBucket(S3, { encryption: { type: 'AES256' } });
+    }, /SSE-S3, SSE-KMS or SSE-C was expected for encryption type/);
+    assert.throws(function() {
+      createBucket(S3, { encryption: { type: 'SSE-C', customerKey: 'c2hvcnQ=' } });
+    }, /SSE-C customerKey should be 32 bytes/);
+    assert.throws(function() {
+      createBucket(S3, { requireEncryption: 'compliance/' });
+    }, /Array of key prefixes was expected for requireEncryption parameter/);
+    var setting = encryption.normalize({ type: 'SSE-C', customerKey: Buffer.alloc(32, 1).toString('base64') });
+    assert.deepEqual(encryption.normalize(setting), setting);
+    assert.equal(setting.customerKeyMD5, crypto.createHash('md5').update(Buffer.alloc(32, 1)).digest('base64'));
+    assert.equal(encryption.normalize(false), null);
+  });
+
+  it('encrypt uploads with the instance setting unless turned off per call', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3, { encryption: { type: 'SSE-KMS', kmsKeyId: 'alias/backups' } });
+    bucket.uploadFile({ filePath: smallPath, Key: 'a.txt', checksum: 'md5' }).then(function() {
+      assert.equal(S3.calls.upload[0].ServerSideEncryption, 'aws:kms');
+      assert.equal(S3.calls.upload[0].SSEKMSKeyId, 'alias/backups');
+      assert.equal(S3.calls.upload[0].encryption, undefined, 'Toolkit params should not reach S3');
+      return bucket.uploadFile({ filePath: smallPath, Key: 'b.txt', encryption: false });
+    }).then(function() {
+      assert.equal(S3.calls.upload[1].ServerSideEncryption, undefined);
+      return bucket.uploadFileMultipart({ filePath: bigPath, Key: 'c.bin', partSize: 5 * MB, encryption: { type: 'SSE-S3' } });
+    }).then(function() {
+      assert.equal(S3.calls.createMultipartUpload[0].ServerSideEncryption, 'AES256');
+      return bucket.verifyObject(smallPath, 'a.txt');
+    }).then(function(report) {
+      assert.deepEqual(report.Checked, ['size'], 'SSE-KMS ETags are not MD5s');
+      assert.equal(report.match, true);
+      done();
+    }).catch(done);
+  });
+
+  it('skip the ETag checks of objects encrypted by the bucket default', function(done) {
+    var S3 = new AWSBucket.MemoryS3({
+      buckets: { 'my-bucket': { encryption: { ServerSideEncryption: 'aws:kms', SSEKMSKeyId: 'alias/default' } } }
+    });
+    var bucket = createBucket(S3);
+    bucket.uploadFile({ filePath: smallPath, Key: 'a.txt', checksum: 'md5' }).then(function(res) {
+      assert.equal(S3.calls.upload[0].ServerSideEncryption, undefined, 'The bucket default should apply');
+      assert.equal(res.response.ServerSideEncryption, 'aws:kms');
+      return bucket.uploadFileMultipart({ filePath: bigPath, Key: 'b.bin', partSize: 5 * MB, checksum: 'md5' });
+    }).then(function(res) {
+      assert.equal(res.response.ServerSideEncryption, 'aws:kms');
+      return bucket.copyFileMultipart({ CopySource: 'b.bin', Key: 'c.bin', partSize: 5 * MB, checksum: 'md5' });
+    }).then(function() {
+      return bucket.verifyObject(bigPath, 'c.bin');
+    }).then(function(report) {
+      assert.deepEqual(report.Checked, ['size']);
+      assert.equal(report.match, true);
+      done();
+    }).catch(done);
+  });
+
+  it('send both SSE-C keys with every part of a multipart copy', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3);
+    var sourceKey = customerKey();
+    var copyKey = customerKey();
+    var sourceMD5 = encryption.normalize(sourceKey).customerKeyMD5;
+    var copyMD5 = encryption.normalize(copyKey).customerKeyMD5;
+    bucket.uploadFileMultipart({
+      filePath: bigPath,
+      Key: 'secret.bin',
+      partSize: 5 * MB,
+      checksum: 'md5',
+      encryption: sourceKey
+    }).then(function() {
+      S3.calls.uploadPart.forEach(function(params) {
+        assert.equal(params.SSECustomerKeyMD5, sourceMD5);
+      });
+      return bucket.copyFileMultipart({
+        CopySource: 'secret.bin',
+        Key: 'secret-copied.bin',
+        partSize: 5 * MB,
+        sourceEncryption: sourceKey,
+        encryption: copyKey
+      });
+    }).then(function() {
+      var createParams = S3.calls.createMultipartUpload[1];
+      assert.equal(createParams.SSECustomerKeyMD5, copyMD5);
+      assert.equal(createParams.CopySourceSSECustomerKey, undefined, 'createMultipartUpload takes no source key');
+      assert.equal(S3.calls.uploadPartCopy.length, 3);
+      S3.calls.uploadPartCopy.forEach(function(params) {
+        assert.equal(params.CopySourceSSECustomerAlgorithm, 'AES256');
+        assert.equal(params.CopySourceSSECustomerKeyMD5, sourceMD5);
+        assert.equal(params.SSECustomerKeyMD5, copyMD5);
+      });
+      return bucket.downloadFile({ Key: 'secret-copied.bin', filePath: downloadPath, encryption: copyKey });
+    }).then(function(res) {
+      assert.equal(res.verified, 'size');
+      assert.ok(fs.readFileSync(downloadPath).equals(bigContents));
+      return bucket.downloadFile({ Key: 'secret-copied.bin', filePath: downloadPath, encryption: sourceKey });
+    }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'AccessDenied');
+      done();
+    }).catch(done);
+  });
+
+  it('refuse unencrypted writes under the required prefixes', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3, { requireEncryption: ['compliance/'] });
+    assert.throws(function() {
+      bucket.uploadFile({ filePath: smallPath, Key: 'compliance/a.txt' });
+    }, /Encryption is required for keys under compliance\//);
+    assert.throws(function() {
+      bucket.copyFile({ CopySource: 'a.txt', Key: 'compliance/a.txt' });
+    }, /Encryption is required for keys under compliance\//);
+    assert.throws(function() {
+      bucket.getUploadPolicy({ KeyPrefix: 'compl' });
+    }, /Encryption is required for keys under compliance\//);
+    bucket.uploadFile({ filePath: smallPath, Key: 'a.txt' }).then(function() {
+      return bucket.copyFile({ CopySource: 'my-bucket/a.txt', Key: 'compliance/a.txt', encryption: { type: 'SSE-S3' } });
+    }).then(function() {
+      assert.equal(S3.calls.copyObject[0].ServerSideEncryption, 'AES256');
+      assert.throws(function() {
+        bucket.copyPrefix({ Prefix: 'a', DestinationPrefix: 'compliance/b' });
+      }, /Encryption is required for keys under compliance\//);
+      done();
+    }).catch(done);
+  });
+
+  it('return the headers presigned requests have to send', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = createBucket(S3, { encryption: { type: 'SSE-KMS' } });
+    var key = customerKey();
+    var keyHeaders = encryption.requestHeaders(encryption.normalize(key));
+    bucket.getUploadUrl({ Key: 'a.txt', ContentType: 'text/plain' }).then(function(res) {
+      assert.deepEqual(res.headers, { 'x-amz-server-side-encryption': 'aws:kms' });
+      assert.equal(S3.calls.getSignedUrl[0].ServerSideEncryption, 'aws:kms');
+      return bucket.getDownloadUrl({ Key: 'a.txt' });
+    }).then(function(res) {
+      assert.equal(res.headers, undefined, 'SSE-KMS reads need no headers');
+      return bucket.getDownloadUrl({ Key: 'secret.bin', encryption: key });
+    }).then(function(res) {
+      assert.deepEqual(res.headers, keyHeaders);
+      assert.equal(S3.calls.getSignedUrl[2].SSECustomerKeyMD5, keyHeaders['x-amz-server-side-encryption-customer-key-MD5']);
+      return bucket.createPresignedUpload({ Key: 'secret.bin', size: 11 * MB, partSize: 5 * MB, encryption: key });
+    }).then(function(upload) {
+      assert.deepEqual(upload.headers, keyHeaders);
+      assert.equal(S3.calls.createMultipartUpload[0].SSECustomerAlgorithm, 'AES256');
+      S3.calls.getSignedUrl.slice(3).forEach(function(params) {
+        assert.equal(params.operation, 'uploadPart');
+        assert.equal(params.SSECustomerKeyMD5, keyHeaders['x-amz-server-side-encryption-customer-key-MD5']);
+      });
+      assert.throws(function() {
+        bucket.getUploadPolicy({ Key: 'secret.bin', encryption: key });
+      }, /SSE-C is not supported by upload policies/);
+      return bucket.getUploadPolicy({ Key: 'a.txt' });
+    }).then(function(post) {
+      assert.equal(post.fields['x-amz-server-side-encryption'], 'aws:kms');
+      done();
+    }).catch(done);
+  });
+});
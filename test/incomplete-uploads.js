@@ -0,0 +1,89 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+
+var DAY = 86400000;
+
+// the emulator clock runs S3.age days late, uploads start that long ago
+var createS3 = function() {
+  var S3 = new AWSBucket.MemoryS3({
+    buckets: ['my-bucket'],
+    now: function() { return new Date(Date.now() - S3.age * DAY); }
+  });
+  S3.age = 0;
+  return S3;
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+// abandoned uploads, initiated days ago
+var seedUploads = function(S3) {
+  var seeds = [
+    { Key: 'dumps/old-1.dump', age: 10 },
+    { Key: 'dumps/old-2.dump', age: 3 },
+    { Key: 'dumps/recent.dump', age: 0 },
+    { Key: 'other/old.bin', age: 10 }
+  ];
+  return Promise.mapSeries(seeds, function(seed) {
+    S3.age = seed.age;
+    return Promise.promisify(S3.createMultipartUpload).bind(S3)({ Bucket: 'my-bucket', Key: seed.Key });
+  }).then(function() {
+    S3.age = 0;
+  });
+};
+
+describe('Incomplete uploads', function() {
+  it('list incomplete uploads by prefix and age across pages', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    seedUploads(S3).then(function() {
+      return bucket.listIncompleteUploads({
+        Prefix: 'dumps/',
+        olderThanDays: 2,
+        limit: 1
+      });
+    }).then(function(uploads) {
+      assert.deepEqual(uploads.map(function(upload) { return upload.Key; }), ['dumps/old-1.dump', 'dumps/old-2.dump']);
+      assert.equal(S3.calls.listMultipartUploads.length, 3, 'Three pages were expected');
+      assert.equal(S3.calls.listMultipartUploads[0].MaxUploads, 1);
+      assert.equal(S3.calls.listMultipartUploads[0].olderThanDays, undefined, 'Toolkit params should not reach S3');
+      done();
+    }).catch(done);
+  });
+
+  it('report without aborting on dry run', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    seedUploads(S3).then(function() {
+      return bucket.cleanupIncompleteUploads({ olderThanDays: 5, dryRun: true });
+    }).then(function(report) {
+      assert.equal(report.dryRun, true);
+      assert.deepEqual(report.Uploads.map(function(upload) { return upload.Key; }), ['dumps/old-1.dump', 'other/old.bin']);
+      assert.equal(report.Aborted.length, 0);
+      assert.equal(S3.calls.abortMultipartUpload, undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('abort old uploads and report failures', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'abortMultipartUpload', Key: 'other/old.bin', code: 'AccessDenied', message: 'Access Denied', statusCode: 403 });
+    seedUploads(S3).then(function() {
+      return bucket.cleanupIncompleteUploads({ olderThanDays: 2 });
+    }).then(function(report) {
+      assert.deepEqual(report.Aborted.map(function(upload) { return upload.Key; }).sort(), ['dumps/old-1.dump', 'dumps/old-2.dump']);
+      assert.deepEqual(report.Errors.map(function(error) { return [error.Key, error.Code]; }), [['other/old.bin', 'AccessDenied']]);
+      return bucket.listIncompleteUploads({});
+    }).then(function(uploads) {
+      assert.equal(uploads.length, 2, 'Recent and failed uploads should remain');
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,128 @@
+var assert = require('assert');
+var AWSBucket = require('../lib/bucket.js');
+
+var storedObjects = function() {
+  var objects = {};
+  var i;
+  for (i = 1; i <= 7; i++) {
+    objects[`logs/${i}.log`] = 'x'.repeat(i);
+  }
+  objects['dumps/db.dump'] = [
+    { VersionId: 'v3', IsDeleteMarker: true, LastModified: new Date('2018-05-03') },
+    { VersionId: 'v2', Body: 'a'.repeat(26), LastModified: new Date('2018-05-02') },
+    { VersionId: 'v1', Body: 'a'.repeat(20), LastModified: new Date('2018-05-01') }
+  ];
+  return objects;
+};
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { versioning: true, objects: storedObjects() } }
+  });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+describe('Listing iterators', function() {
+  it('iterate every object fetching pages lazily', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var files = bucket.iterateFiles({ Prefix: 'logs/', limit: 3 });
+    assert.equal(S3.calls.listObjectsV2, undefined, 'Nothing should be fetched before iterating');
+    (async function() {
+      var keys = [];
+      for await (const file of files) {
+        keys.push(file.Key);
+        assert.equal(S3.calls.listObjectsV2.length, Math.ceil(keys.length / 3), 'Pages should be fetched when needed');
+      }
+      return keys;
+    })().then(function(keys) {
+      assert.equal(keys.length, 7);
+      assert.equal(keys[6], 'logs/7.log');
+      assert.equal(S3.calls.listObjectsV2[0].MaxKeys, 3);
+      assert.equal(S3.calls.listObjectsV2[0].limit, undefined, 'Toolkit params should not reach S3');
+      // the third page starts after the sixth key
+      S3.listObjectsV2({
+        Bucket: 'my-bucket',
+        Prefix: 'logs/',
+        ContinuationToken: S3.calls.listObjectsV2[2].ContinuationToken
+      }, function(err, res) {
+        assert.ifError(err);
+        assert.deepEqual(res.Contents.map(function(object) { return object.Key; }), ['logs/7.log']);
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('stop fetching pages when leaving the loop early', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    (async function() {
+      var keys = [];
+      for await (const file of bucket.iterateFiles({ Prefix: 'logs/', limit: 3 })) {
+        keys.push(file.Key);
+        if (keys.length === 4) {
+          break;
+        }
+      }
+      return keys;
+    })().then(function(keys) {
+      assert.equal(keys.length, 4);
+      assert.equal(S3.calls.listObjectsV2.length, 2, 'No page should be fetched after break');
+      done();
+    }).catch(done);
+  });
+
+  it('iterate object listing pages with the paging delay', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var start = Date.now();
+    (async function() {
+      var pages = [];
+      for await (const page of bucket.iterateFilePages({ Prefix: 'logs/', limit: 3, delay: 20 })) {
+        pages.push(page.KeyCount);
+      }
+      return pages;
+    })().then(function(pages) {
+      assert.deepEqual(pages, [3, 3, 1]);
+      assert.ok(Date.now() - start >= 40, 'Pages after the first should wait for the delay');
+      done();
+    }).catch(done);
+  });
+
+  it('iterate versions and delete markers', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    (async function() {
+      var versions = [];
+      for await (const version of bucket.iterateFileVersions({ Key: 'dumps/', limit: 2 })) {
+        versions.push(version);
+      }
+      return versions;
+    })().then(function(versions) {
+      assert.deepEqual(versions.map(function(version) { return version.VersionId; }), ['v3', 'v2', 'v1']);
+      assert.deepEqual(versions.map(function(version) { return version.IsDeleteMarker; }), [true, false, false]);
+      assert.equal(S3.calls.listObjectVersions.length, 2);
+      assert.equal(S3.calls.listObjectVersions[0].Prefix, 'dumps/');
+      assert.equal(S3.calls.listObjectVersions[1].KeyMarker, 'dumps/db.dump');
+      assert.equal(S3.calls.listObjectVersions[1].VersionIdMarker, 'v2');
+      done();
+    }).catch(done);
+  });
+
+  it('reject invalid listing options', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.iterateFiles({ limit: '10' });
+    }, /Number was expected for limit parameter/);
+    assert.throws(function() {
+      bucket.iterateFileVersions({ delay: '10' });
+    }, /Number was expected for delay parameter/);
+  });
+});
@@ -0,0 +1,281 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+var tempDirs = require('./temp-dirs.js');
+
+var MB = 1048576;
+var localDir = path.join(os.tmpdir(), `s3-toolkit-memory-${process.pid}`);
+
+var createS3 = function(options) {
+  return new AWSBucket.MemoryS3(Object.assign({
+    buckets: { 'my-bucket': { versioning: true } }
+  }, options));
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    partRetryDelay: 1,
+    client: S3
+  });
+};
+
+// S3 callbacks as promises
+var call = function(S3, operation, params) {
+  return Promise.promisify(S3[operation]).bind(S3)(params);
+};
+
+var md5 = function(data) {
+  return crypto.createHash('md5').update(data).digest();
+};
+
+describe('In-memory S3', function() {
+  beforeEach(function() {
+    tempDirs.makeDirectory(localDir);
+  });
+
+  afterEach(function() {
+    tempDirs.removeDirectory(localDir);
+  });
+
+  it('keep versions and delete markers', function(done) {
+    var S3 = createS3();
+    var put = function(body) {
+      return call(S3, 'putObject', { Bucket: 'my-bucket', Key: 'notes.txt', Body: body });
+    };
+    var first;
+    put('first').then(function(res) {
+      first = res.VersionId;
+      return put('second');
+    }).then(function() {
+      return call(S3, 'deleteObject', { Bucket: 'my-bucket', Key: 'notes.txt' });
+    }).then(function(res) {
+      assert.equal(res.DeleteMarker, true);
+      return call(S3, 'headObject', { Bucket: 'my-bucket', Key: 'notes.txt' }).then(function() {
+        throw new Error('NotFound was expected');
+      }, function(err) {
+        assert.equal(err.code, 'NotFound');
+        assert.equal(err.statusCode, 404);
+      });
+    }).then(function() {
+      return call(S3, 'getObject', { Bucket: 'my-bucket', Key: 'notes.txt', VersionId: first });
+    }).then(function(res) {
+      assert.equal(res.Body.toString(), 'first');
+      return call(S3, 'listObjectVersions', { Bucket: 'my-bucket', MaxKeys: 2 });
+    }).then(function(res) {
+      assert.equal(res.DeleteMarkers.length, 1);
+      assert.equal(res.DeleteMarkers[0].IsLatest, true);
+      assert.equal(res.Versions.length, 1);
+      assert.equal(res.IsTruncated, true);
+      return call(S3, 'listObjectVersions', {
+        Bucket: 'my-bucket',
+        KeyMarker: res.NextKeyMarker,
+        VersionIdMarker: res.NextVersionIdMarker
+      });
+    }).then(function(res) {
+      assert.deepEqual(res.Versions.map(function(version) { return version.VersionId; }), [first]);
+      assert.equal(res.IsTruncated, false);
+      done();
+    }).catch(done);
+  });
+
+  it('page listings with continuation tokens and common prefixes', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var keys = ['logs/1.log', 'logs/2.log', 'logs/3.log', 'logs/old/1.log', 'notes.txt'];
+    Promise.mapSeries(keys, function(key) {
+      return call(S3, 'putObject', { Bucket: 'my-bucket', Key: key, Body: key });
+    }).then(function() {
+      return bucket.listFiles({ Prefix: 'logs/', limit: 2 });
+    }).then(function(files) {
+      assert.deepEqual(files.map(function(file) { return file.Key; }), keys.slice(0, 4));
+      var tokens = S3.calls.listObjectsV2.map(function(params) { return params.ContinuationToken; });
+      assert.equal(tokens.length, 2);
+      assert.ok(typeof tokens[1] === 'string', 'Second page should use the token');
+      return call(S3, 'listObjectsV2', { Bucket: 'my-bucket', Prefix: 'logs/', Delimiter: '/' });
+    }).then(function(res) {
+      assert.equal(res.Contents.length, 3);
+      assert.deepEqual(res.CommonPrefixes, [{ Prefix: 'logs/old/' }]);
+      done();
+    }).catch(done);
+  });
+
+  it('apply the multipart part rules', function(done) {
+    var S3 = createS3({ minPartSize: 4 });
+    var uploadId;
+    var parts = [];
+    var upload = function(partNumber, body, contentMD5) {
+      return call(S3, 'uploadPart', {
+        Bucket: 'my-bucket',
+        Key: 'parts.bin',
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: Buffer.from(body),
+        ContentMD5: contentMD5
+      }).then(function(res) {
+        parts.push({ PartNumber: partNumber, ETag: res.ETag });
+      });
+    };
+    var complete = function(listed) {
+      return call(S3, 'completeMultipartUpload', {
+        Bucket: 'my-bucket',
+        Key: 'parts.bin',
+        UploadId: uploadId,
+        MultipartUpload: { Parts: listed }
+      });
+    };
+    var expectError = function(promise, code) {
+      return promise.then(function() {
+        throw new Error(`${code} was expected`);
+      }, function(err) {
+        assert.equal(err.code, code);
+      });
+    };
+    call(S3, 'createMultipartUpload', { Bucket: 'my-bucket', Key: 'parts.bin' }).then(function(res) {
+      uploadId = res.UploadId;
+      return expectError(upload(10001, 'abcd'), 'InvalidArgument');
+    }).then(function() {
+      return expectError(upload(1, 'abc', md5('abd').toString('base64')), 'BadDigest');
+    }).then(function() {
+      return upload(1, 'abc', md5('abc').toString('base64'));
+    }).then(function() {
+      return upload(2, 'defg');
+    }).then(function() {
+      return expectError(complete(parts), 'EntityTooSmall');
+    }).then(function() {
+      parts = [];
+      return upload(1, 'abcd');
+    }).then(function() {
+      return upload(2, 'efg');
+    }).then(function() {
+      return expectError(complete(parts.slice().reverse()), 'InvalidPartOrder');
+    }).then(function() {
+      return expectError(complete([{ PartNumber: 1, ETag: '"wrong"' }, parts[1]]), 'InvalidPart');
+    }).then(function() {
+      return complete(parts);
+    }).then(function(res) {
+      var digests = Buffer.concat([md5('abcd'), md5('efg')]);
+      assert.equal(res.ETag, `"${md5(digests).toString('hex')}-2"`);
+      return call(S3, 'getObject', { Bucket: 'my-bucket', Key: 'parts.bin', Range: 'bytes=2-4' });
+    }).then(function(res) {
+      assert.equal(res.Body.toString(), 'cde');
+      return call(S3, 'headObject', { Bucket: 'my-bucket', Key: 'parts.bin', PartNumber: 2 });
+    }).then(function(res) {
+      assert.equal(res.ContentLength, 3, 'The part size should be returned');
+      assert.equal(res.PartsCount, 2);
+      return expectError(call(S3, 'headObject', { Bucket: 'my-bucket', Key: 'parts.bin', PartNumber: 3 }), 'InvalidPartNumber');
+    }).then(function() {
+      return expectError(call(S3, 'listParts', { Bucket: 'my-bucket', Key: 'parts.bin', UploadId: uploadId }), 'NoSuchUpload');
+    }).then(function() {
+      done();
+    }).catch(done);
+  });
+
+  it('inject faults in calls and per deleted key', function(done) {
+    var S3 = createS3();
+    S3.injectFault({ operation: 'putObject', times: 2 });
+    S3.injectFault({ operation: 'deleteObject', Key: 'b.txt', code: 'AccessDenied', statusCode: 403 });
+    var put = function(key) {
+      return call(S3, 'putObject', { Bucket: 'my-bucket', Key: key, Body: key });
+    };
+    put('a.txt').then(function() {
+      throw new Error('SlowDown was expected');
+    }, function(err) {
+      assert.equal(err.code, 'SlowDown');
+      assert.equal(err.statusCode, 503);
+      return put('a.txt').catch(function() {
+        return put('a.txt');
+      });
+    }).then(function() {
+      return put('b.txt');
+    }).then(function() {
+      assert.equal(S3.calls.putObject.length, 4);
+      return call(S3, 'deleteObjects', {
+        Bucket: 'my-bucket',
+        Delete: { Objects: [{ Key: 'a.txt' }, { Key: 'b.txt' }] }
+      });
+    }).then(function(res) {
+      assert.deepEqual(res.Deleted.map(function(entry) { return entry.Key; }), ['a.txt']);
+      assert.equal(res.Errors[0].Key, 'b.txt');
+      assert.equal(res.Errors[0].Code, 'AccessDenied');
+      done();
+    }).catch(done);
+  });
+
+  it('start with the given objects and report corrupt bodies and calls in flight', function(done) {
+    var S3 = createS3({
+      buckets: {
+        'my-bucket': { versioning: true, objects: {
+          'notes.txt': 'notes',
+          'dumps/db.dump': [
+            { VersionId: 'v2', IsDeleteMarker: true, LastModified: new Date('2018-05-02') },
+            { VersionId: 'v1', Body: 'dump', ContentType: 'text/plain', Tagging: 'team=data' }
+          ]
+        } },
+        'plain-bucket': { objects: { 'notes.txt': [{ VersionId: 'v1', Body: 'notes' }] } }
+      },
+      now: function() { return new Date('2018-05-01'); }
+    });
+    S3.injectFault({ operation: 'getObject', Key: 'notes.txt', corrupt: true });
+    var get = function(params) {
+      return call(S3, 'getObject', Object.assign({ Bucket: 'my-bucket', Key: 'notes.txt' }, params));
+    };
+    Promise.all([get(), get(), get({ Bucket: 'plain-bucket' })]).then(function(res) {
+      assert.notEqual(res[0].Body.toString(), 'notes', 'The first body should be corrupt');
+      assert.equal(res[1].Body.toString(), 'notes');
+      assert.equal(res[1].ETag, `"${md5('notes').toString('hex')}"`);
+      assert.equal(res[2].VersionId, undefined, 'Unversioned buckets keep no version ids');
+      assert.equal(S3.maxInFlight.getObject, 3);
+      assert.equal(S3.inFlight.getObject, 0);
+      return call(S3, 'listObjectVersions', { Bucket: 'my-bucket', Prefix: 'dumps/' });
+    }).then(function(res) {
+      assert.deepEqual(res.DeleteMarkers.map(function(marker) { return [marker.VersionId, marker.IsLatest]; }), [['v2', true]]);
+      assert.deepEqual(res.Versions.map(function(version) { return [version.VersionId, version.LastModified]; }), [
+        ['v1', new Date('2018-05-01')]
+      ]);
+      return Promise.all([
+        call(S3, 'headObject', { Bucket: 'my-bucket', Key: 'dumps/db.dump', VersionId: 'v1' }),
+        call(S3, 'getObjectTagging', { Bucket: 'my-bucket', Key: 'dumps/db.dump', VersionId: 'v1' })
+      ]);
+    }).then(function(res) {
+      assert.equal(res[0].ContentType, 'text/plain');
+      assert.deepEqual(res[1].TagSet, [{ Key: 'team', Value: 'data' }]);
+      done();
+    }).catch(done);
+  });
+
+  it('round trip a multipart upload, download and purge through Bucket', function(done) {
+    this.timeout(10000);
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var body = crypto.randomBytes(11 * MB);
+    var sourcePath = path.join(localDir, 'db.dump');
+    var filePath = path.join(localDir, 'db.dump.copy');
+    fs.writeFileSync(sourcePath, body);
+    S3.injectFault({ operation: 'uploadPart', PartNumber: 2 });
+    bucket.uploadFileMultipart({
+      filePath: sourcePath,
+      Key: 'dumps/db.dump',
+      partSize: 5 * MB
+    }).then(function(res) {
+      assert.ok(/-3"$/.test(res.response.ETag), 'Composite ETag was expected');
+      assert.equal(S3.calls.uploadPart.length, 4, 'The failed part should be retried');
+      return bucket.downloadFile({ Key: 'dumps/db.dump', filePath: filePath, partSize: 5 * MB });
+    }).then(function(res) {
+      assert.equal(res.size, body.length);
+      assert.ok(fs.readFileSync(filePath).equals(body), 'Downloaded contents should match');
+      return bucket.purgeVersions({ Prefix: 'dumps/' });
+    }).then(function(report) {
+      assert.equal(report.Deleted, 1);
+      return call(S3, 'listObjectVersions', { Bucket: 'my-bucket' });
+    }).then(function(res) {
+      assert.equal(res.Versions.length, 0);
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,69 @@
+var assert = require('assert');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+var objectUrl = require('../lib/object-url.js');
+
+describe('Object URLs', function() {
+  it('encode every key segment', function() {
+    assert.equal(objectUrl.encodeKey('my dir/résumé (1).pdf'), 'my%20dir/r%C3%A9sum%C3%A9%20%281%29.pdf');
+    assert.equal(objectUrl.encodeKey('a+b/c?d#e'), 'a%2Bb/c%3Fd%23e');
+  });
+
+  it('address regional, dualstack, path-style and global hosts', function() {
+    assert.equal(objectUrl.build({ region: 'eu-west-1' }, 'my-bucket', 'a.txt'),
+      'https://my-bucket.s3.eu-west-1.amazonaws.com/a.txt');
+    assert.equal(objectUrl.build({ region: 'eu-west-1', useDualstack: true }, 'my-bucket', 'a.txt'),
+      'https://my-bucket.s3.dualstack.eu-west-1.amazonaws.com/a.txt');
+    assert.equal(objectUrl.build({ region: 'cn-north-1' }, 'my-bucket', 'a.txt'),
+      'https://my-bucket.s3.cn-north-1.amazonaws.com.cn/a.txt');
+    assert.equal(objectUrl.build({ region: 'us-east-1', s3ForcePathStyle: true }, 'my-bucket', 'a.txt'),
+      'https://s3.us-east-1.amazonaws.com/my-bucket/a.txt');
+    assert.equal(objectUrl.build({}, 'my-bucket', 'a.txt'), 'https://my-bucket.s3.amazonaws.com/a.txt');
+  });
+
+  it('put buckets with dots in the path over https', function() {
+    assert.equal(objectUrl.build({ region: 'us-east-1' }, 'assets.example.com', 'a.txt'),
+      'https://s3.us-east-1.amazonaws.com/assets.example.com/a.txt');
+    assert.equal(objectUrl.build({ region: 'us-east-1', sslEnabled: false }, 'assets.example.com', 'a.txt'),
+      'http://assets.example.com.s3.us-east-1.amazonaws.com/a.txt');
+  });
+
+  it('point to custom endpoints and CDN domains', function() {
+    assert.equal(objectUrl.build({ endpoint: 'http://localhost:9000', s3ForcePathStyle: true }, 'dev', 'a b.txt'),
+      'http://localhost:9000/dev/a%20b.txt');
+    assert.equal(objectUrl.build({ endpoint: 'https://storage.example.com' }, 'dev', 'a.txt'),
+      'https://dev.storage.example.com/a.txt');
+    assert.equal(objectUrl.build({ baseUrl: 'https://cdn.example.com/assets/', region: 'us-east-1' }, 'my-bucket', 'img/a b.png'),
+      'https://cdn.example.com/assets/img/a%20b.png');
+  });
+
+  it('follow the bucket config and region updates', function() {
+    var bucket = new AWSBucket({
+      accessKeyId: 'key',
+      secretAccessKey: 'secret',
+      region: 'us-east-1',
+      bucketName: 'my-bucket'
+    });
+    assert.equal(bucket.getObjectUrl({ Key: 'a b.txt' }), 'https://my-bucket.s3.us-east-1.amazonaws.com/a%20b.txt');
+    bucket.updateRegion('eu-central-1');
+    assert.equal(bucket.getObjectUrl({ Key: 'a.txt', Bucket: 'other' }), 'https://other.s3.eu-central-1.amazonaws.com/a.txt');
+    var cdnBucket = new AWSBucket({
+      region: 'us-east-1',
+      bucketName: 'my-bucket',
+      baseUrl: 'https://d111111abcdef8.cloudfront.net'
+    });
+    assert.equal(cdnBucket.getObjectUrl({ Key: 'a.txt' }), 'https://d111111abcdef8.cloudfront.net/a.txt');
+  });
+
+  it('keep the target Key of a multipart copy with appendPrefix', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = new AWSBucket({ bucketName: 'my-bucket', region: 'eu-west-1', client: S3 });
+    Promise.promisify(S3.putObject).bind(S3)({ Bucket: 'my-bucket', Key: 'a.txt', Body: 'contents' }).then(function() {
+      return bucket.copyFileMultipart({ CopySource: 'a.txt', Key: 'copies/a b.txt' }, true, 8);
+    }).then(function(res) {
+      assert.equal(S3.calls.createMultipartUpload[0].Key, 'copies/a b.txt');
+      assert.equal(res.url, 'https://my-bucket.s3.eu-west-1.amazonaws.com/copies/a%20b.txt');
+      done();
+    }).catch(done);
+  });
+});
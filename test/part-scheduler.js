@@ -0,0 +1,128 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+var partScheduler = require('../lib/part-scheduler.js');
+
+var MB = 1048576;
+var sourceBody = crypto.randomBytes(11 * MB);
+
+var throttlingError = function() {
+  var err = new Error('Please reduce your request rate.');
+  err.code = 'SlowDown';
+  err.statusCode = 503;
+  return err;
+};
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { objects: { 'big-file.bin': sourceBody } } }
+  });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    client: S3
+  });
+};
+
+var md5 = function(data) {
+  return `"${crypto.createHash('md5').update(data).digest('hex')}"`;
+};
+
+describe('Part scheduler', function() {
+  it('retry throttled calls until they pass', function(done) {
+    var attempts = 0;
+    partScheduler.withRetry(function() {
+      attempts++;
+      return attempts < 3 ? Promise.reject(throttlingError()) : Promise.resolve('ok');
+    }, { retryDelay: 1 }).then(function(res) {
+      assert.equal(res, 'ok');
+      assert.equal(attempts, 3, 'Three attempts were expected');
+      done();
+    }).catch(done);
+  });
+
+  it('do not retry client errors', function(done) {
+    var attempts = 0;
+    partScheduler.withRetry(function() {
+      attempts++;
+      var err = new Error('Access Denied');
+      err.code = 'AccessDenied';
+      err.statusCode = 403;
+      return Promise.reject(err);
+    }, { retryDelay: 1 }).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'AccessDenied');
+      assert.equal(err.attempts, 1, 'A single attempt was expected');
+      assert.equal(attempts, 1);
+      done();
+    }).catch(done);
+  });
+
+  it('keep the number of parts in flight bounded', function(done) {
+    var inFlight = 0, maxInFlight = 0;
+    var parts = [1, 2, 3, 4, 5, 6, 7];
+    partScheduler.runParts(parts, function(part) {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return Promise.delay(5).then(function() {
+        inFlight--;
+        return part * 2;
+      });
+    }, { concurrency: 2 }).then(function(res) {
+      assert.deepEqual(res, [2, 4, 6, 8, 10, 12, 14]);
+      assert.equal(maxInFlight, 2, 'Two parts in flight were expected');
+      done();
+    }).catch(done);
+  });
+
+  it('copy file multipart with bounded concurrency and part retries', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'uploadPartCopy', PartNumber: 2, times: 2 });
+    bucket.copyFileMultipart({
+      CopySource: 'big-file.bin',
+      Key: 'big-file-copied.bin',
+      partSize: 5 * MB,
+      concurrency: 2,
+      retryDelay: 1
+    }, false, sourceBody.length).then(function(res) {
+      var partNumbers = S3.calls.uploadPartCopy.map(function(params) { return params.PartNumber; });
+      var completeParams = S3.calls.completeMultipartUpload[0];
+      assert.equal(S3.maxInFlight.uploadPartCopy, 2, 'Two parts in flight were expected');
+      assert.equal(partNumbers.filter(function(n) { return n === 2; }).length, 3, 'Part 2 should be retried twice');
+      assert.deepEqual(completeParams.MultipartUpload.Parts, [
+        { ETag: md5(sourceBody.slice(0, 5 * MB)), PartNumber: 1 },
+        { ETag: md5(sourceBody.slice(5 * MB, 10 * MB)), PartNumber: 2 },
+        { ETag: md5(sourceBody.slice(10 * MB)), PartNumber: 3 }
+      ]);
+      assert.equal(S3.calls.uploadPartCopy[0].concurrency, undefined, 'Scheduler options should not reach S3');
+      assert.ok(/-3"$/.test(res.response.ETag));
+      done();
+    }).catch(done);
+  });
+
+  it('abort the copy once a part runs out of retries', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'uploadPartCopy', PartNumber: 1, times: 10 });
+    bucket.copyFileMultipart({
+      CopySource: 'big-file.bin',
+      Key: 'big-file-copied.bin',
+      partSize: 5 * MB,
+      retries: 1,
+      retryDelay: 1
+    }, false, sourceBody.length).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'multipart copy aborted');
+      assert.equal(err.cause.code, 'SlowDown', 'Part error should be kept as cause');
+      assert.equal(S3.calls.abortMultipartUpload.length, 1, 'Upload should be aborted');
+      assert.equal(S3.calls.completeMultipartUpload, undefined);
+      done();
+    }).catch(done);
+  });
+});
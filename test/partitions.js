@@ -0,0 +1,52 @@
+var assert = require('assert');
+var partitions = require('../lib/partitions.js');
+
+var MB = 1048576;
+var GB = 1073741824;
+
+describe('Partitions', function() {
+  it('keep objects under one part in a single partition', function() {
+    assert.deepEqual(partitions.calculatePartitionsRangeArray(26), ['0-25']);
+    assert.deepEqual(partitions.calculatePartitionsRangeArray(100 * MB), [`0-${100 * MB - 1}`]);
+  });
+
+  it('leave the remainder in the last partition', function() {
+    assert.deepEqual(partitions.calculatePartitionsRangeArray(1000000001), [
+      '0-499999999',
+      '500000000-999999999',
+      '1000000000-1000000000'
+    ]);
+  });
+
+  it('produce no partitions for empty objects', function() {
+    assert.deepEqual(partitions.calculatePartitions(0), []);
+  });
+
+  it('use the caller part size within the S3 limits', function() {
+    assert.equal(partitions.calculatePartSize(GB, 64 * MB), 64 * MB);
+    assert.equal(partitions.calculatePartSize(GB, 1), partitions.MIN_PART_SIZE);
+    assert.equal(partitions.calculatePartSize(GB, 10 * GB), partitions.MAX_PART_SIZE);
+  });
+
+  it('grow the part size to stay under 10,000 parts', function() {
+    var objectSize = 4 * 1024 * GB; // 4TB
+    var parts = partitions.calculatePartitions(objectSize, 8 * MB);
+    assert.ok(parts.length <= partitions.MAX_PARTS, 'At most 10,000 parts were expected');
+    assert.equal(parts[parts.length - 1].end, objectSize - 1, 'Last part should end on the last byte');
+    assert.ok(parts[0].end - parts[0].start + 1 <= partitions.MAX_PART_SIZE);
+  });
+
+  it('fail on sizes S3 can not store', function() {
+    assert.throws(function() {
+      partitions.calculatePartitions(6 * 1024 * GB);
+    }, /.*exceeds the 5TB S3 limit.*/);
+    assert.throws(function() {
+      partitions.calculatePartitions(-1);
+    }, /.*positive integer.*/);
+  });
+
+  it('parse ranges back into offsets', function() {
+    assert.deepEqual(partitions.parseRange('bytes=500-999'), { start: 500, end: 999 });
+    assert.deepEqual(partitions.parseRange('0-25'), { start: 0, end: 25 });
+  });
+});
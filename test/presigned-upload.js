@@ -0,0 +1,142 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+
+var MB = 1048576;
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({ buckets: { 'my-bucket': { versioning: true } } });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+// what the browser does with a part URL: PUT the bytes, keep the ETag header
+var putPart = function(S3, upload, part, body) {
+  var query = part.signedUrl.split('?')[1];
+  assert.ok(query.indexOf(`partNumber=${part.PartNumber}&uploadId=${upload.UploadId}`) === 0);
+  return Promise.promisify(S3.uploadPart).bind(S3)({
+    Bucket: upload.Bucket,
+    Key: upload.Key,
+    UploadId: upload.UploadId,
+    PartNumber: part.PartNumber,
+    Body: body.slice(part.start, part.end + 1)
+  }).then(function(res) {
+    return { PartNumber: part.PartNumber, ETag: res.ETag.replace(/"/g, '') };
+  });
+};
+
+var decodePolicy = function(post) {
+  return JSON.parse(Buffer.from(post.fields.Policy, 'base64').toString('utf8'));
+};
+
+describe('Presigned uploads', function() {
+  it('plan the parts, resume from the uploaded ones and complete', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var body = crypto.randomBytes(11 * MB);
+    var upload, reported;
+    bucket.createPresignedUpload({
+      Key: 'videos/raw.mp4',
+      ContentType: 'video/mp4',
+      size: body.length,
+      partSize: 5 * MB,
+      Expires: 600
+    }).then(function(res) {
+      upload = res;
+      assert.equal(upload.partSize, 5 * MB);
+      assert.deepEqual(upload.Parts.map(function(part) { return part.end; }), [5 * MB - 1, 10 * MB - 1, 11 * MB - 1]);
+      assert.equal(S3.calls.createMultipartUpload[0].ContentType, 'video/mp4');
+      assert.equal(S3.calls.createMultipartUpload[0].size, undefined, 'Toolkit options should not reach S3');
+      assert.equal(S3.calls.getSignedUrl[0].Expires, 600);
+      // the browser drops out after two parts
+      return Promise.mapSeries(upload.Parts.slice(0, 2), function(part) {
+        return putPart(S3, upload, part, body);
+      });
+    }).then(function(parts) {
+      reported = parts;
+      return bucket.listUploadedParts({ Key: upload.Key, UploadId: upload.UploadId });
+    }).then(function(res) {
+      assert.deepEqual(res.Parts.map(function(part) { return part.PartNumber; }), [1, 2]);
+      return bucket.getUploadPartUrls({ Key: upload.Key, UploadId: upload.UploadId, partNumbers: [3] });
+    }).then(function(res) {
+      var part = Object.assign({}, upload.Parts[2], res.Parts[0]);
+      return putPart(S3, upload, part, body);
+    }).then(function(part) {
+      return bucket.completePresignedUpload({
+        Key: upload.Key,
+        UploadId: upload.UploadId,
+        Parts: [part].concat(reported)
+      });
+    }).then(function(res) {
+      assert.ok(/-3"$/.test(res.response.ETag), 'Composite ETag was expected');
+      assert.equal(res.url, 'https://my-bucket.s3.amazonaws.com/videos/raw.mp4');
+      return Promise.promisify(S3.getObject).bind(S3)({ Bucket: 'my-bucket', Key: 'videos/raw.mp4' });
+    }).then(function(res) {
+      assert.ok(res.Body.equals(body), 'Object should hold the uploaded parts');
+      assert.equal(res.ContentType, 'video/mp4');
+      done();
+    }).catch(done);
+  });
+
+  it('abort an upload', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.createPresignedUpload({ Key: 'videos/raw.mp4', partNumbers: [1] }).then(function(upload) {
+      assert.equal(upload.Parts.length, 1);
+      return bucket.abortPresignedUpload({ Key: upload.Key, UploadId: upload.UploadId });
+    }).then(function() {
+      return bucket.listIncompleteUploads({ Prefix: 'videos/' });
+    }).then(function(uploads) {
+      assert.equal(uploads.length, 0);
+      done();
+    }).catch(done);
+  });
+
+  it('validate the part numbers and reported parts', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.createPresignedUpload({ ContentType: 'video/mp4' });
+    }, /Unable to create presigned upload due parameters missing/);
+    assert.throws(function() {
+      bucket.getUploadPartUrls({ Key: 'videos/raw.mp4', UploadId: 'abc', partNumbers: [0, 10001] });
+    }, /Part numbers between 1 and 10000 were expected/);
+    assert.throws(function() {
+      bucket.completePresignedUpload({ Key: 'videos/raw.mp4', UploadId: 'abc', Parts: [{ PartNumber: 1 }] });
+    }, /ETag was expected for every part/);
+  });
+
+  it('sign POST policies with key, content type and size conditions', function(done) {
+    var bucket = createBucket(createS3());
+    bucket.getUploadPolicy({
+      KeyPrefix: 'avatars/',
+      ContentTypePrefix: 'image/',
+      maxSize: 10 * MB
+    }).then(function(post) {
+      var policy = decodePolicy(post);
+      assert.equal(post.fields.key, 'avatars/${filename}');
+      assert.deepEqual(policy.conditions.slice(-3), [
+        ['starts-with', '$key', 'avatars/'],
+        ['starts-with', '$Content-Type', 'image/'],
+        ['content-length-range', 0, 10 * MB]
+      ]);
+      return bucket.getUploadPolicy({ Key: 'avatars/user-1.png', ContentType: 'image/png', minSize: 1 });
+    }).then(function(post) {
+      var policy = decodePolicy(post);
+      assert.equal(post.fields.key, 'avatars/user-1.png');
+      assert.equal(post.fields['Content-Type'], 'image/png');
+      assert.equal(post.fields.acl, 'public-read');
+      assert.deepEqual(policy.conditions[policy.conditions.length - 1], ['content-length-range', 1, 5368709120]);
+      assert.throws(function() {
+        bucket.getUploadPolicy({ ContentType: 'image/png' });
+      }, /Unable to get upload policy due parameters missing/);
+      done();
+    }).catch(done);
+  });
+});
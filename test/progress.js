@@ -0,0 +1,119 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var AWSBucket = require('../lib/bucket.js');
+
+var MB = 1048576;
+var filePath = path.join(os.tmpdir(), `s3-toolkit-progress-${process.pid}.bin`);
+
+var createS3 = function(options) {
+  return new AWSBucket.MemoryS3(Object.assign({ buckets: ['my-bucket'] }, options));
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+describe('Progress events', function() {
+  before(function() {
+    fs.writeFileSync(filePath, Buffer.alloc(11 * MB));
+  });
+
+  after(function() {
+    fs.unlinkSync(filePath);
+  });
+
+  it('fail on a progress callback that is not a function', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.uploadFile({ filePath: filePath, Key: 'file.bin', onProgress: 'yes' });
+    }, /.*Function was expected for onProgress parameter.*/);
+  });
+
+  it('report bytes transferred by uploadFile', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var events = [];
+    bucket.uploadFile({
+      filePath: filePath,
+      Key: 'file.bin',
+      onProgress: function(event) { events.push(event); }
+    }).then(function() {
+      var last = events[events.length - 1];
+      assert.ok(events.length > 1, 'Several progress events were expected');
+      assert.equal(last.operation, 'upload');
+      assert.equal(last.bytesTransferred, 11 * MB);
+      assert.equal(last.bytesTotal, 11 * MB);
+      assert.equal(S3.calls.upload[0].onProgress, undefined, 'Callback should not reach S3');
+      done();
+    }).catch(done);
+  });
+
+  it('report parts done by uploadFileMultipart', function(done) {
+    // later parts are answered first
+    var bucket = createBucket(createS3({
+      latency: function(operation, params) {
+        return operation === 'uploadPart' ? 30 * (4 - params.PartNumber) : 0;
+      }
+    }));
+    var events = [];
+    bucket.uploadFileMultipart({
+      filePath: filePath,
+      Key: 'file.bin',
+      partSize: 5 * MB,
+      onProgress: function(event) { events.push(event); }
+    }).then(function() {
+      assert.deepEqual(events.map(function(event) { return event.partsDone; }), [1, 2, 3]);
+      assert.equal(events[2].partsTotal, 3);
+      assert.equal(events[2].bytesTransferred, 11 * MB);
+      assert.equal(events[2].bytesTotal, 11 * MB);
+      // the last part is the smallest one and finishes first
+      assert.equal(events[0].PartNumber, 3);
+      assert.equal(events[0].bytesTransferred, MB);
+      done();
+    }).catch(done);
+  });
+
+  it('report every file of uploadMultipleFiles', function(done) {
+    var bucket = createBucket(createS3());
+    var events = [];
+    bucket.uploadMultipleFiles({
+      files: [{ filePath: filePath, Key: 'a.bin' }, { filePath: filePath, Key: 'b.bin' }],
+      onProgress: function(event) { events.push(event); }
+    }).then(function() {
+      var fileEvents = events.filter(function(event) { return event.type === 'file'; });
+      assert.deepEqual(fileEvents.map(function(event) {
+        return [event.Key, event.status, event.filesDone, event.filesTotal];
+      }), [
+        ['a.bin', 'start', 0, 2],
+        ['a.bin', 'done', 1, 2],
+        ['b.bin', 'start', 1, 2],
+        ['b.bin', 'done', 2, 2]
+      ]);
+      assert.ok(events.some(function(event) { return event.type === 'bytes' && event.Key === 'b.bin'; }));
+      done();
+    }).catch(done);
+  });
+
+  it('report pages listed by listFiles', function(done) {
+    var objects = {};
+    for (var i = 1; i <= 5; i++) {
+      objects[`file-${i}.txt`] = 'x'.repeat(i);
+    }
+    var bucket = createBucket(createS3({ buckets: { 'my-bucket': { objects: objects } } }));
+    var events = [];
+    bucket.listFiles({
+      limit: 2,
+      onProgress: function(event) { events.push(event); }
+    }).then(function(files) {
+      assert.equal(files.length, 5);
+      assert.deepEqual(events.map(function(event) { return [event.pages, event.objects]; }), [[1, 2], [2, 4], [3, 5]]);
+      done();
+    }).catch(done);
+  });
+});
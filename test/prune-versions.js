@@ -0,0 +1,137 @@
+var assert = require('assert');
+var AWSBucket = require('../lib/bucket.js');
+
+var daysAgo = function(days) {
+  return new Date(Date.now() - days * 86400000);
+};
+
+var storedObjects = function() {
+  var dump = 'a'.repeat(26);
+  return {
+    'dumps/db.dump': [
+      { VersionId: 'v5', Body: dump, LastModified: daysAgo(0) },
+      { VersionId: 'v4', Body: dump, LastModified: daysAgo(1) },
+      { VersionId: 'v3', Body: dump, LastModified: daysAgo(10) },
+      { VersionId: 'v2', Body: dump, LastModified: daysAgo(40) },
+      { VersionId: 'v1', Body: dump, LastModified: daysAgo(50) }
+    ],
+    'dumps/old.txt': [
+      { VersionId: 'm1', IsDeleteMarker: true, LastModified: daysAgo(5) },
+      { VersionId: 'o1', Body: 'o'.repeat(10), LastModified: daysAgo(60) }
+    ]
+  };
+};
+
+// v1 is locked, its deletes are refused
+var createS3 = function(objects) {
+  var S3 = new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { versioning: true, objects: objects || storedObjects() } }
+  });
+  S3.injectFault({
+    operation: 'deleteObject',
+    Key: 'dumps/db.dump',
+    when: function(params) { return params.VersionId === 'v1'; },
+    code: 'AccessDenied',
+    message: 'AccessDenied',
+    statusCode: 403,
+    times: Infinity
+  });
+  return S3;
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+var versionIds = function(entries) {
+  return entries.map(function(entry) { return entry.VersionId; });
+};
+
+describe('Prune versions', function() {
+  it('keep the latest noncurrent versions of every key', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.pruneVersions({ Prefix: 'dumps/', keepLatest: 2 }).then(function(report) {
+      var db = report.Keys[0];
+      assert.equal(db.Key, 'dumps/db.dump');
+      assert.deepEqual(versionIds(db.Removed), ['v2']);
+      assert.deepEqual(versionIds(db.Kept), ['v5', 'v4', 'v3', 'v1'], 'Failed deletes should be reported as kept');
+      assert.deepEqual(versionIds(report.Keys[1].Kept), ['m1', 'o1']);
+      assert.equal(report.Removed, 1);
+      assert.deepEqual(report.Errors, [
+        { Key: 'dumps/db.dump', VersionId: 'v1', Code: 'AccessDenied', Message: 'AccessDenied' }
+      ]);
+      done();
+    }).catch(done);
+  });
+
+  it('remove old versions and then the delete markers left alone', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.pruneVersions({ Prefix: 'dumps/', olderThanDays: 30, expiredMarkers: true }).then(function(report) {
+      assert.deepEqual(versionIds(report.Keys[0].Removed), ['v2']);
+      assert.deepEqual(versionIds(report.Keys[1].Removed), ['o1', 'm1']);
+      assert.deepEqual(report.Keys[1].Kept, []);
+      var batches = S3.calls.deleteObjects.map(function(params) { return versionIds(params.Delete.Objects); });
+      assert.deepEqual(batches, [['v2', 'v1', 'o1'], ['m1']], 'Markers should go after the versions behind them');
+      return bucket.listFiles({ Prefix: 'dumps/' });
+    }).then(function(files) {
+      assert.deepEqual(files.map(function(file) { return file.Key; }), ['dumps/db.dump']);
+      done();
+    }).catch(done);
+  });
+
+  it('remove only the delete markers left alone with expiredMarkers alone', function(done) {
+    var objects = storedObjects();
+    objects['dumps/gone.txt'] = [{ VersionId: 'g1', IsDeleteMarker: true, LastModified: daysAgo(3) }];
+    var S3 = createS3(objects);
+    var bucket = createBucket(S3);
+    bucket.pruneVersions({ Prefix: 'dumps/', expiredMarkers: true, dryRun: true }).then(function(report) {
+      assert.deepEqual(report.Keys.map(function(plan) { return versionIds(plan.Removed); }), [[], ['g1'], []]);
+      assert.deepEqual(versionIds(report.Keys[0].Kept), ['v5', 'v4', 'v3', 'v2', 'v1']);
+      assert.deepEqual(versionIds(report.Keys[2].Kept), ['m1', 'o1'], 'Markers hiding a version should be kept');
+      assert.equal(report.Removed, 1);
+      done();
+    }).catch(done);
+  });
+
+  it('combine both rules, removing only versions beyond the kept and old enough', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.pruneVersions({ Prefix: 'dumps/db', keepLatest: 1, olderThanDays: 5, dryRun: true }).then(function(report) {
+      assert.equal(report.dryRun, true);
+      assert.deepEqual(versionIds(report.Keys[0].Kept), ['v5', 'v4']);
+      assert.deepEqual(versionIds(report.Keys[0].Removed), ['v3', 'v2', 'v1']);
+      assert.equal(report.Removed, 3);
+      assert.equal(S3.calls.deleteObjects, undefined, 'Dry runs should not delete');
+      done();
+    }).catch(done);
+  });
+
+  it('touch the current version only when allowed', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.pruneVersions({ Prefix: 'dumps/db', olderThanDays: 0, dryRun: true }).then(function(report) {
+      assert.deepEqual(versionIds(report.Keys[0].Kept), ['v5']);
+      return bucket.pruneVersions({ Prefix: 'dumps/db', keepLatest: 1, allowLatest: true, dryRun: true });
+    }).then(function(report) {
+      assert.deepEqual(versionIds(report.Keys[0].Kept), ['v5'], 'Current version counts as a kept one');
+      assert.deepEqual(versionIds(report.Keys[0].Removed), ['v4', 'v3', 'v2', 'v1']);
+      done();
+    }).catch(done);
+  });
+
+  it('require a retention rule', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.pruneVersions({ Prefix: 'dumps/' });
+    }, /At least one of keepLatest, olderThanDays or expiredMarkers is required/);
+    assert.throws(function() {
+      bucket.pruneVersions({ Prefix: 'dumps/', keepLatest: '2' });
+    }, /Positive number was expected for keepLatest parameter/);
+  });
+});
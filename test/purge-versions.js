@@ -0,0 +1,107 @@
+var assert = require('assert');
+var AWSBucket = require('../lib/bucket.js');
+
+// 2400 versions of a single key, a delete marker on top, n2 locked
+var createS3 = function() {
+  var versions = [{ VersionId: 'marker', IsDeleteMarker: true, LastModified: new Date('2018-06-01') }];
+  var i;
+  for (i = 2400; i >= 1; i--) {
+    versions.push({ VersionId: `v${i}`, Body: 'a'.repeat(26), LastModified: new Date(Date.UTC(2018, 0, 1) + i * 1000) });
+  }
+  var S3 = new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { versioning: true, objects: {
+      'dumps/db.dump': versions,
+      'dumps/notes.txt': [
+        { VersionId: 'n2', Body: 'n'.repeat(10), LastModified: new Date('2018-05-02') },
+        { VersionId: 'n1', Body: 'n'.repeat(10), LastModified: new Date('2018-05-01') }
+      ],
+      'site/index.html': 'index'
+    } } }
+  });
+  S3.injectFault({
+    operation: 'deleteObject',
+    Key: 'dumps/notes.txt',
+    when: function(params) { return params.VersionId === 'n2'; },
+    code: 'AccessDenied',
+    message: 'AccessDenied',
+    statusCode: 403,
+    times: Infinity
+  });
+  return S3;
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+describe('Purge versions', function() {
+  it('delete every version under a prefix in batches of 1000', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var events = [];
+    bucket.purgeVersions({
+      Prefix: 'dumps/',
+      limit: 1500,
+      concurrency: 2,
+      onProgress: function(event) { events.push(event); }
+    }).then(function(report) {
+      var batchSizes = S3.calls.deleteObjects.map(function(params) {
+        return params.Delete.Objects.length;
+      });
+      // S3 lists up to 1000 versions a page whatever the limit
+      assert.deepEqual(batchSizes, [1000, 1000, 403]);
+      assert.equal(report.Versions, 2402);
+      assert.equal(report.DeleteMarkers, 1);
+      assert.equal(report.Deleted, 2402);
+      assert.equal(report.Batches, 3);
+      assert.deepEqual(report.Errors, [
+        { Key: 'dumps/notes.txt', VersionId: 'n2', Code: 'AccessDenied', Message: 'AccessDenied' }
+      ]);
+      assert.equal(events.length, 3);
+      assert.equal(events[2].deleted, 2402);
+      assert.equal(S3.calls.listObjectVersions[0].limit, undefined, 'Toolkit params should not reach S3');
+      return bucket.listFiles({ Prefix: '' });
+    }).then(function(files) {
+      assert.deepEqual(files.map(function(file) { return file.Key; }), ['dumps/notes.txt', 'site/index.html']);
+      done();
+    }).catch(done);
+  });
+
+  it('keep the delete markers when asked', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.purgeVersions({ Prefix: 'dumps/db.dump', deleteMarkers: false }).then(function(report) {
+      assert.equal(report.DeleteMarkers, 0);
+      assert.equal(report.Deleted, 2400);
+      var deletedIds = [].concat.apply([], S3.calls.deleteObjects.map(function(params) {
+        return params.Delete.Objects;
+      })).map(function(object) { return object.VersionId; });
+      assert.ok(deletedIds.indexOf('marker') === -1, 'Delete marker should be kept');
+      done();
+    }).catch(done);
+  });
+
+  it('only count versions on dry runs', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.purgeVersions({ Prefix: '', dryRun: true }).then(function(report) {
+      assert.equal(report.dryRun, true);
+      assert.equal(report.Versions, 2403);
+      assert.equal(report.DeleteMarkers, 1);
+      assert.equal(report.Deleted, 0);
+      assert.equal(S3.calls.deleteObjects, undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('require an explicit prefix', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.purgeVersions({});
+    }, /Prefix parameter was expected to be String/);
+  });
+});
@@ -0,0 +1,106 @@
+var assert = require('assert');
+var AWSBucket = require('../lib/bucket.js');
+
+var asOf = new Date('2018-05-10T00:00:00Z');
+
+var createS3 = function() {
+  var rows = 'x'.repeat(10);
+  return new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { versioning: true, objects: {
+      // overwritten after asOf
+      'reports/a.csv': [
+        { VersionId: 'a2', Body: 'x'.repeat(12), LastModified: new Date('2018-05-12') },
+        { VersionId: 'a1', Body: rows, LastModified: new Date('2018-05-01') }
+      ],
+      // deleted after asOf
+      'reports/b.csv': [
+        { VersionId: 'b3', IsDeleteMarker: true, LastModified: new Date('2018-05-13') },
+        { VersionId: 'b2', IsDeleteMarker: true, LastModified: new Date('2018-05-11') },
+        { VersionId: 'b1', Body: rows, LastModified: new Date('2018-05-01') }
+      ],
+      // deleted before asOf, uploaded again after
+      'reports/c.csv': [
+        { VersionId: 'c3', Body: rows, LastModified: new Date('2018-05-12') },
+        { VersionId: 'c2', IsDeleteMarker: true, LastModified: new Date('2018-05-05') },
+        { VersionId: 'c1', Body: rows, LastModified: new Date('2018-05-01') }
+      ],
+      // untouched since asOf
+      'reports/d.csv': [{ VersionId: 'd1', Body: rows, LastModified: new Date('2018-05-01') }],
+      // created after asOf
+      'reports/e.csv': [{ VersionId: 'e1', Body: rows, LastModified: new Date('2018-05-15') }]
+    } } }
+  });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+describe('Restore prefix', function() {
+  it('plan the restore of every key on dry runs', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.restorePrefix({ Prefix: 'reports/', asOf: asOf, dryRun: true }).then(function(report) {
+      assert.deepEqual(report.Keys, [
+        { Key: 'reports/a.csv', action: 'copy', VersionId: 'a1' },
+        { Key: 'reports/b.csv', action: 'removeMarkers', VersionId: 'b1', DeleteMarkers: ['b3', 'b2'] },
+        { Key: 'reports/c.csv', action: 'delete' },
+        { Key: 'reports/d.csv', action: 'unchanged', VersionId: 'd1' },
+        { Key: 'reports/e.csv', action: 'keepNew' }
+      ]);
+      assert.deepEqual(report.Restored, []);
+      assert.equal(S3.calls.copyObject, undefined);
+      assert.equal(S3.calls.deleteObjects, undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('copy versions back and remove newer delete markers', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.restorePrefix({ Prefix: 'reports/', asOf: asOf, deleteNewKeys: true }).then(function(report) {
+      assert.equal(S3.calls.copyObject.length, 1);
+      assert.equal(S3.calls.copyObject[0].CopySource, 'my-bucket/reports/a.csv?versionId=a1');
+      assert.equal(S3.calls.copyObject[0].Key, 'reports/a.csv');
+      assert.equal(S3.calls.copyObject[0].MetadataDirective, 'COPY');
+      assert.deepEqual(S3.calls.deleteObjects[0].Delete.Objects, [
+        { Key: 'reports/b.csv', VersionId: 'b3' },
+        { Key: 'reports/b.csv', VersionId: 'b2' },
+        { Key: 'reports/c.csv' },
+        { Key: 'reports/e.csv' }
+      ]);
+      assert.deepEqual(report.Restored, ['reports/a.csv', 'reports/b.csv', 'reports/c.csv', 'reports/e.csv']);
+      assert.deepEqual(report.Errors, []);
+      done();
+    }).catch(done);
+  });
+
+  it('leave keys alone when their delete marker shares the version timestamp', function(done) {
+    var S3 = new AWSBucket.MemoryS3({
+      buckets: { 'my-bucket': { versioning: true, objects: {
+        // created after asOf and deleted in the same second
+        'reports/f.csv': [
+          { VersionId: 'f2', IsDeleteMarker: true, LastModified: new Date('2018-05-14') },
+          { VersionId: 'f1', Body: 'rows', LastModified: new Date('2018-05-14') }
+        ]
+      } } }
+    });
+    var bucket = createBucket(S3);
+    bucket.restorePrefix({ Prefix: 'reports/', asOf: asOf, deleteNewKeys: true }).then(function(report) {
+      assert.deepEqual(report.Keys, [{ Key: 'reports/f.csv', action: 'unchanged' }]);
+      assert.equal(S3.calls.deleteObjects, undefined, 'A deleted key needs no new marker');
+      done();
+    }).catch(done);
+  });
+
+  it('require a valid asOf date', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.restorePrefix({ Prefix: 'reports/', asOf: '2018-05-10' });
+    }, /Date was expected for asOf parameter/);
+  });
+});
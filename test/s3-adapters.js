@@ -0,0 +1,169 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var EventEmitter = require('events');
+var AWS = require('aws-sdk');
+var AWSBucket = require('../lib/bucket.js');
+
+var MB = 1048576;
+
+/*
+SDK v3 double: commands carry their input, send() answers them through the
+in-memory S3, errors are named and bodies are streams as in the v3 SDK.
+*/
+var createFakeV3 = function(S3) {
+  var commands = {};
+  var sent = [];
+  Object.keys(AWSBucket.MemoryS3.prototype).filter(function(operation) {
+    return operation[0] !== '_';
+  }).forEach(function(operation) {
+    var name = `${operation[0].toUpperCase()}${operation.slice(1)}Command`;
+    commands[name] = function(input) {
+      this.operation = operation;
+      this.input = input;
+    };
+  });
+  commands.PutObjectCommand = function(input) {
+    this.operation = 'putObject';
+    this.input = input;
+  };
+  var client = {
+    send: function(command) {
+      sent.push(command.operation);
+      return new Promise(function(resolve, reject) {
+        S3[command.operation](command.input, function(err, result) {
+          if (err) {
+            var v3Error = new Error(err.message);
+            v3Error.name = err.code;
+            v3Error.$metadata = { httpStatusCode: err.statusCode };
+            return reject(v3Error);
+          }
+          if (result && Buffer.isBuffer(result.Body)) {
+            var bytes = result.Body;
+            result = Object.assign({}, result, {
+              Body: { transformToByteArray: function() { return Promise.resolve(new Uint8Array(bytes)); } }
+            });
+          }
+          resolve(Object.assign({ $metadata: { httpStatusCode: 200 } }, result));
+        });
+      });
+    }
+  };
+  return { client: client, commands: commands, sent: sent };
+};
+
+describe('S3 client adapters', function() {
+  it('use a preconfigured SDK v2 client', function() {
+    var client = new AWS.S3({ region: 'eu-west-1' });
+    var bucket = new AWSBucket({ bucketName: 'my-bucket', client: AWSBucket.adapters.v2(client) });
+    assert.equal(bucket.S3, client);
+    assert.throws(function() {
+      new AWSBucket({ bucketName: 'my-bucket', client: 'not a client' });
+    }, /Client parameter was expected to be an object/);
+  });
+
+  it('list files and copy multipart through an SDK v3 client', function(done) {
+    var S3 = new AWSBucket.MemoryS3({
+      buckets: { 'my-bucket': { objects: {
+        'logs/1.log': '1',
+        'logs/2.log': '22',
+        'big-file.bin': crypto.randomBytes(11 * MB)
+      } } }
+    });
+    S3.injectFault({ operation: 'uploadPartCopy', PartNumber: 2 });
+    var v3 = createFakeV3(S3);
+    var bucket = new AWSBucket({
+      bucketName: 'my-bucket',
+      pagingDelay: 1,
+      client: AWSBucket.adapters.v3({ client: v3.client, commands: v3.commands })
+    });
+    bucket.listFiles({ Prefix: 'logs/', limit: 1 }).then(function(files) {
+      assert.deepEqual(files.map(function(file) { return file.Key; }), ['logs/1.log', 'logs/2.log']);
+      return bucket.copyFileMultipart({
+        CopySource: 'big-file.bin',
+        Key: 'big-file-copied.bin',
+        partSize: 5 * MB,
+        retryDelay: 1
+      }, false, 11 * MB);
+    }).then(function() {
+      assert.equal(S3.calls.uploadPartCopy.length, 4, 'The throttled part should be retried');
+      assert.equal(S3.calls.completeMultipartUpload.length, 1);
+      assert.ok(v3.sent.indexOf('completeMultipartUpload') !== -1);
+      done();
+    }).catch(done);
+  });
+
+  it('normalize SDK v3 errors and bodies', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: { 'my-bucket': { objects: { 'notes.txt': 'notes' } } } });
+    var v3 = createFakeV3(S3);
+    var adapter = AWSBucket.adapters.v3({ client: v3.client, commands: v3.commands });
+    adapter.headObject({ Bucket: 'my-bucket', Key: 'missing.txt' }, function(err) {
+      assert.equal(err.code, 'NotFound');
+      assert.equal(err.statusCode, 404);
+      adapter.getObject({ Bucket: 'my-bucket', Key: 'notes.txt', Range: 'bytes=0-2' }, function(err, result) {
+        assert.ifError(err);
+        assert.ok(Buffer.isBuffer(result.Body), 'Body should be a Buffer');
+        assert.equal(result.Body.toString(), 'not');
+        done();
+      });
+    });
+  });
+
+  it('upload and presign through SDK v3 helpers', function(done) {
+    var v3 = createFakeV3(new AWSBucket.MemoryS3({ buckets: ['my-bucket'] }));
+    var presigned = [];
+    var Upload = function(options) {
+      var upload = new EventEmitter();
+      upload.done = function() {
+        return new Promise(function(resolve) {
+          setImmediate(function() {
+            upload.emit('httpUploadProgress', { loaded: 4, total: 4 });
+            resolve({ ETag: '"uploaded"', Key: options.params.Key });
+          });
+        });
+      };
+      return upload;
+    };
+    var getSignedUrl = function(client, command, options) {
+      presigned.push({ operation: command.operation, input: command.input, expiresIn: options.expiresIn });
+      return Promise.resolve(`https://my-bucket.s3.amazonaws.com/${command.input.Key}?X-Amz-Signature=abc`);
+    };
+    var createPresignedPost = function(client, options) {
+      presigned.push({ operation: 'post', input: options });
+      return Promise.resolve({ url: 'https://s3.amazonaws.com/my-bucket', fields: { key: options.Key } });
+    };
+    var bucket = new AWSBucket({
+      bucketName: 'my-bucket',
+      client: AWSBucket.adapters.v3({
+        client: v3.client,
+        commands: v3.commands,
+        Upload: Upload,
+        getSignedUrl: getSignedUrl,
+        createPresignedPost: createPresignedPost
+      })
+    });
+    var events = [];
+    bucket.uploadFile({
+      filePath: './test/upload-test.txt',
+      Key: 'upload-test.txt',
+      onProgress: function(event) { events.push(event); }
+    }).then(function(res) {
+      assert.equal(res.response.ETag, '"uploaded"');
+      assert.equal(events[0].bytesTransferred, 4);
+      return bucket.getUploadUrl({ Key: 'upload-test.txt', ContentType: 'text/plain', Expires: 60 });
+    }).then(function(res) {
+      assert.ok(res.signedUrl.indexOf('X-Amz-Signature') !== -1);
+      assert.equal(presigned[0].operation, 'putObject');
+      assert.equal(presigned[0].expiresIn, 60);
+      assert.equal(presigned[0].input.Expires, undefined, 'Expires should become expiresIn');
+      return bucket.getUploadPolicy({ KeyPrefix: 'uploads/', maxSize: 100 });
+    }).then(function(post) {
+      assert.equal(post.fields.key, 'uploads/${filename}');
+      assert.equal(presigned[1].input.Key, '${filename}');
+      assert.equal(presigned[1].input.Fields.key, undefined, 'Key should be signed apart from the fields');
+      assert.throws(function() {
+        bucket.updateRegion('eu-west-1');
+      }, /does not support config updates/);
+      done();
+    }).catch(done);
+  });
+});
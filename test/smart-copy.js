@@ -0,0 +1,176 @@
+var assert = require('assert');
+var crypto = require('crypto');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+
+var MB = 1048576;
+var bigBody = crypto.randomBytes(11 * MB);
+
+var sourceObjects = function() {
+  return {
+    'small file.txt': [{
+      VersionId: 'v1',
+      Body: 'abcdefghijklmnopqrstuvwxyz',
+      ContentType: 'text/plain',
+      Metadata: { owner: 'ops' },
+      Tagging: 'team=data%20ops'
+    }],
+    'big-file.bin': [{
+      Body: bigBody,
+      ContentType: 'application/octet-stream',
+      CacheControl: 'max-age=60',
+      Metadata: { owner: 'ops' },
+      Tagging: 'team=data&tier=cold'
+    }]
+  };
+};
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({
+    buckets: {
+      'my-bucket': { versioning: true, objects: sourceObjects() },
+      'other-bucket': { objects: { 'small file.txt': sourceObjects()['small file.txt'] } }
+    }
+  });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    client: S3
+  });
+};
+
+describe('Smart copy', function() {
+  it('fail to copy if missing params', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.smartCopy({ Key: 'copied.txt' });
+    }, /.*Unable to copy files due parameters missing.*/);
+  });
+
+  it('copy small files with a single copyObject', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    assert.equal(bucket.multipartThreshold, 5368709120, 'Files up to 5GB should be copied at once');
+    bucket.smartCopy({
+      SourceKey: 'small file.txt',
+      VersionId: 'v1',
+      Key: 'small-copied.txt',
+      preserveMetadata: true
+    }).then(function(res) {
+      var copyParams = S3.calls.copyObject[0];
+      assert.equal(res.strategy, 'copy');
+      assert.equal(res.source.ContentLength, 26);
+      assert.equal(S3.calls.headObject[0].VersionId, 'v1', 'Source version should be read');
+      assert.equal(copyParams.CopySource, 'my-bucket/small%20file.txt?versionId=v1');
+      assert.equal(copyParams.MetadataDirective, 'COPY');
+      assert.equal(copyParams.TaggingDirective, 'REPLACE');
+      assert.equal(copyParams.SourceKey, undefined, 'Toolkit params should not reach S3');
+      assert.equal(S3.calls.createMultipartUpload, undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('copy files over the threshold in parts carrying over metadata and tags', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.smartCopy({
+      SourceKey: 'big-file.bin',
+      Key: 'big-file-copied.bin',
+      preserveMetadata: true,
+      preserveTags: true,
+      multipartThreshold: 10 * MB,
+      partSize: 5 * MB,
+      retryDelay: 1
+    }).then(function(res) {
+      var createParams = S3.calls.createMultipartUpload[0];
+      assert.equal(res.strategy, 'multipart');
+      assert.ok(/-3"$/.test(res.response.ETag));
+      assert.equal(createParams.ContentType, 'application/octet-stream');
+      assert.equal(createParams.CacheControl, 'max-age=60');
+      assert.deepEqual(createParams.Metadata, { owner: 'ops' });
+      assert.equal(createParams.Tagging, 'team=data&tier=cold');
+      assert.equal(createParams.CopySource, undefined);
+      assert.equal(S3.calls.uploadPartCopy.length, 3);
+      assert.equal(S3.calls.uploadPartCopy[0].ContentType, undefined, 'Part params should not carry metadata');
+      assert.equal(S3.calls.uploadPartCopy[0].CopySource, 'my-bucket/big-file.bin');
+      assert.equal(S3.calls.copyObject, undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('honour a custom multipart threshold', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.smartCopy({
+      SourceKey: 'small file.txt',
+      SourceBucket: 'other-bucket',
+      Key: 'small-copied.txt',
+      multipartThreshold: 10
+    }).then(function(res) {
+      assert.equal(res.strategy, 'multipart');
+      assert.equal(S3.calls.headObject[0].Bucket, 'other-bucket');
+      assert.equal(S3.calls.createMultipartUpload[0].ContentType, undefined, 'Metadata was not asked for');
+      done();
+    }).catch(done);
+  });
+
+  it('give the same result from copyFile and copyFileMultipart', function(done) {
+    var S3 = new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+    var bucket = new AWSBucket({ bucketName: 'my-bucket', client: S3 });
+    var call = function(operation, params) {
+      return Promise.promisify(S3[operation]).bind(S3)(Object.assign({ Bucket: 'my-bucket' }, params));
+    };
+    var describeCopy = function(key) {
+      return Promise.all([call('headObject', { Key: key }), call('getObjectTagging', { Key: key })]).then(function(res) {
+        return [res[0].ContentType, res[0].CacheControl, res[0].Metadata, res[1].TagSet];
+      });
+    };
+    call('putObject', {
+      Key: 'report.csv',
+      Body: 'a,b',
+      ContentType: 'text/csv',
+      CacheControl: 'max-age=60',
+      Metadata: { owner: 'ops' },
+      Tagging: 'team=data'
+    }).then(function() {
+      return Promise.all([
+        bucket.copyFile({ CopySource: 'report.csv', Key: 'copy.csv', ContentType: 'text/plain' }, true),
+        bucket.copyFileMultipart({ CopySource: 'report.csv', Key: 'multipart.csv', ContentType: 'text/plain' })
+      ]);
+    }).then(function() {
+      return Promise.all([describeCopy('copy.csv'), describeCopy('multipart.csv')]);
+    }).then(function(copies) {
+      assert.deepEqual(copies[0], ['text/csv', 'max-age=60', { owner: 'ops' }, [{ Key: 'team', Value: 'data' }]]);
+      assert.deepEqual(copies[1], copies[0], 'Multipart copy should carry over metadata and tags');
+      var replace = {
+        ContentType: 'text/plain',
+        Metadata: { owner: 'bi' },
+        MetadataDirective: 'REPLACE',
+        Tagging: 'team=bi',
+        TaggingDirective: 'REPLACE'
+      };
+      return Promise.all([
+        bucket.copyFile(Object.assign({ CopySource: 'report.csv', Key: 'copy.csv' }, replace), true),
+        bucket.copyFileMultipart(Object.assign({ CopySource: 'report.csv', Key: 'multipart.csv' }, replace))
+      ]);
+    }).then(function() {
+      var createParams = S3.calls.createMultipartUpload[1];
+      assert.equal(createParams.MetadataDirective, undefined, 'Directives should not reach createMultipartUpload');
+      assert.equal(S3.calls.getObjectTagging.length, 3, 'Replaced tags should not be read');
+      return Promise.all([describeCopy('copy.csv'), describeCopy('multipart.csv')]);
+    }).then(function(copies) {
+      assert.deepEqual(copies[0], ['text/plain', undefined, { owner: 'bi' }, [{ Key: 'team', Value: 'bi' }]]);
+      assert.deepEqual(copies[1], copies[0], 'Multipart copy should replace metadata and tags');
+      done();
+    }).catch(done);
+  });
+
+  it('reject unknown copy directives', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.copyFileMultipart({ CopySource: 'big-file.bin', Key: 'copied.bin', MetadataDirective: 'MERGE' });
+    }, /COPY or REPLACE was expected for MetadataDirective parameter/);
+  });
+});
@@ -0,0 +1,142 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var AWSBucket = require('../lib/bucket.js');
+var localFiles = require('../lib/local-files.js');
+var tempDirs = require('./temp-dirs.js');
+
+var localDir = path.join(os.tmpdir(), `s3-toolkit-sync-${process.pid}`);
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    bucketName: 'my-bucket',
+    pagingDelay: 1,
+    client: S3
+  });
+};
+
+// the bucket already holds an up to date, a stale and a removed file
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({
+    buckets: { 'my-bucket': { objects: {
+      'site/index.html': 'index',
+      'site/assets/app.js': 'old',
+      'site/removed.html': 'gone',
+      'site/tmp/cache.bin': 'temp',
+      'other/file.txt': 'keep'
+    } } }
+  });
+};
+
+describe('Sync directory', function() {
+  before(function() {
+    tempDirs.makeDirectory(path.join(localDir, 'assets'));
+    tempDirs.makeDirectory(path.join(localDir, 'tmp'));
+    fs.writeFileSync(path.join(localDir, 'index.html'), 'index');
+    fs.writeFileSync(path.join(localDir, 'new.html'), 'new page');
+    fs.writeFileSync(path.join(localDir, 'assets', 'app.js'), 'new');
+    fs.writeFileSync(path.join(localDir, 'tmp', 'scratch.bin'), 'scratch');
+  });
+
+  after(function() {
+    tempDirs.removeDirectory(localDir);
+  });
+
+  it('match globs on relative paths', function() {
+    var filter = localFiles.createPathFilter(['**/*.html', 'assets/**'], ['assets/vendor/**']);
+    assert.ok(filter('index.html'));
+    assert.ok(filter('docs/guide/intro.html'));
+    assert.ok(filter('assets/app.js'));
+    assert.ok(!filter('assets/vendor/lib.js'));
+    assert.ok(!filter('readme.md'));
+    assert.ok(localFiles.globToRegExp('file-?.txt').test('file-1.txt'));
+  });
+
+  it('plan the actions without touching the bucket on dry run', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var printed = [];
+    bucket.syncDirectory({
+      localDir: localDir,
+      Prefix: 'site',
+      exclude: ['tmp/**'],
+      deleteRemoved: true,
+      dryRun: true,
+      log: function(line) { printed.push(line); }
+    }).then(function(report) {
+      assert.deepEqual(report.Uploaded.map(function(upload) {
+        return [upload.Key, upload.reason];
+      }).sort(), [['site/assets/app.js', 'changed'], ['site/new.html', 'new']]);
+      assert.deepEqual(report.Unchanged, ['site/index.html']);
+      assert.deepEqual(report.Deleted, ['site/removed.html'], 'Excluded keys should not be deleted');
+      assert.equal(printed.length, 3);
+      assert.ok(printed.indexOf('delete site/removed.html') !== -1);
+      assert.equal(S3.calls.upload, undefined);
+      assert.equal(S3.calls.deleteObjects, undefined);
+      done();
+    }).catch(done);
+  });
+
+  it('print the planned actions with console.log by default on dry run', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    var printed = [];
+    var consoleLog = console.log;
+    console.log = function(line) { printed.push(line); };
+    bucket.syncDirectory({
+      localDir: localDir,
+      Prefix: 'site/',
+      exclude: ['tmp/**'],
+      deleteRemoved: true,
+      dryRun: true
+    }).finally(function() {
+      console.log = consoleLog;
+    }).then(function() {
+      assert.deepEqual(printed.sort(), [
+        'delete site/removed.html',
+        `upload (changed) ${path.join(localDir, 'assets', 'app.js')} -> site/assets/app.js`,
+        `upload (new) ${path.join(localDir, 'new.html')} -> site/new.html`
+      ]);
+      done();
+    }).catch(done);
+  });
+
+  it('upload only new and changed files and delete removed ones', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    bucket.syncDirectory({
+      localDir: localDir,
+      Prefix: 'site/',
+      exclude: ['tmp/**'],
+      deleteRemoved: true
+    }).then(function(report) {
+      assert.deepEqual(S3.calls.upload.map(function(params) { return params.Key; }).sort(), ['site/assets/app.js', 'site/new.html']);
+      assert.deepEqual(S3.calls.deleteObjects[0].Delete.Objects, [{ Key: 'site/removed.html' }]);
+      assert.deepEqual(report.Deleted, ['site/removed.html']);
+      // a second run has nothing left to do
+      return bucket.syncDirectory({ localDir: localDir, Prefix: 'site/', exclude: ['tmp/**'] });
+    }).then(function(report) {
+      assert.equal(report.Uploaded.length, 0);
+      assert.equal(report.Unchanged.length, 3);
+      done();
+    }).catch(done);
+  });
+
+  it('report the failed uploads and carry on with the others', function(done) {
+    var S3 = createS3();
+    S3.injectFault({ operation: 'upload', Key: 'site/new.html', code: 'AccessDenied', message: 'Access Denied', statusCode: 403 });
+    var bucket = createBucket(S3);
+    bucket.syncDirectory({
+      localDir: localDir,
+      Prefix: 'site/',
+      exclude: ['tmp/**'],
+      deleteRemoved: true
+    }).then(function(report) {
+      assert.deepEqual(report.Uploaded.map(function(upload) { return upload.Key; }), ['site/assets/app.js']);
+      assert.deepEqual(report.Errors, [{ Key: 'site/new.html', Code: 'AccessDenied', Message: 'Access Denied' }]);
+      assert.deepEqual(report.Deleted, ['site/removed.html'], 'Deletes should still run');
+      done();
+    }).catch(done);
+  });
+});
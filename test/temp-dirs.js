@@ -0,0 +1,33 @@
+// Temporary directories of the specs, without the recursive options of newer Node versions
+var fs = require('fs');
+var path = require('path');
+
+// creates dir and its missing parents
+var makeDirectory = function(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+  makeDirectory(path.dirname(dir));
+  fs.mkdirSync(dir);
+};
+
+// removes dir and everything under it, nothing when it does not exist
+var removeDirectory = function(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+  fs.readdirSync(dir).forEach(function(name) {
+    var entry = path.join(dir, name);
+    if (fs.lstatSync(entry).isDirectory()) {
+      removeDirectory(entry);
+    } else {
+      fs.unlinkSync(entry);
+    }
+  });
+  fs.rmdirSync(dir);
+};
+
+module.exports = {
+  makeDirectory: makeDirectory,
+  removeDirectory: removeDirectory
+};
@@ -0,0 +1,126 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+var AWSBucket = require('../lib/bucket.js');
+var checkpoint = require('../lib/checkpoint.js');
+
+var MB = 1048576;
+var filePath = path.join(os.tmpdir(), `s3-toolkit-upload-${process.pid}.bin`);
+var checkpointPath = `${filePath}.checkpoint.json`;
+var fileContents;
+
+var createS3 = function() {
+  return new AWSBucket.MemoryS3({ buckets: ['my-bucket'] });
+};
+
+var createBucket = function(S3) {
+  return new AWSBucket({
+    region: 'us-east-1',
+    bucketName: 'my-bucket',
+    client: S3
+  });
+};
+
+// bytes stored under the key
+var storedBody = function(S3, Key) {
+  return Promise.promisify(S3.getObject).bind(S3)({ Bucket: 'my-bucket', Key: Key }).then(function(res) {
+    return res.Body;
+  });
+};
+
+var uploadParams = function(extra) {
+  return Object.assign({
+    filePath: filePath,
+    Key: 'dumps/db.dump',
+    ContentType: 'application/octet-stream',
+    partSize: 5 * MB,
+    retryDelay: 1
+  }, extra);
+};
+
+describe('Upload file multipart', function() {
+  before(function() {
+    fileContents = Buffer.alloc(11 * MB + 100);
+    for (var i = 0; i < fileContents.length; i += 4096) {
+      fileContents[i] = i % 251;
+    }
+    fs.writeFileSync(filePath, fileContents);
+  });
+
+  after(function() {
+    fs.unlinkSync(filePath);
+  });
+
+  afterEach(function() {
+    return checkpoint.remove(checkpointPath);
+  });
+
+  it('fail to upload if missing params', function() {
+    var bucket = createBucket(createS3());
+    assert.throws(function() {
+      bucket.uploadFileMultipart({ Key: 'dumps/db.dump' });
+    }, /.*Unable to upload files due parameters missing.*/);
+  });
+
+  it('upload file ranges in parallel retrying failed parts', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'uploadPart', PartNumber: 1, times: 2 });
+    bucket.uploadFileMultipart(uploadParams({ concurrency: 3 })).then(function(res) {
+      var createParams = S3.calls.createMultipartUpload[0];
+      assert.equal(res.url, 'https://my-bucket.s3.us-east-1.amazonaws.com/dumps/db.dump');
+      assert.equal(createParams.ContentType, 'application/octet-stream');
+      assert.equal(createParams.filePath, undefined, 'Toolkit params should not reach S3');
+      assert.equal(S3.calls.uploadPart.length, 5, 'Three parts and two retries were expected');
+      assert.equal(S3.calls.uploadPart[0].ContentType, undefined, 'Part params should not carry metadata');
+      assert.equal(S3.maxInFlight.uploadPart, 3);
+      return storedBody(S3, 'dumps/db.dump');
+    }).then(function(body) {
+      assert.ok(body.equals(fileContents), 'Uploaded bytes should match the file');
+      done();
+    }).catch(done);
+  });
+
+  it('resume an interrupted upload from its checkpoint', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'uploadPart', PartNumber: 2 });
+    bucket.uploadFileMultipart(uploadParams({ checkpoint: checkpointPath, retries: 0 })).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.code, 'SlowDown');
+      assert.equal(err.checkpoint, checkpointPath);
+      assert.equal(S3.calls.abortMultipartUpload, undefined, 'Upload should be kept for resume');
+      S3.calls.uploadPart.length = 0;
+      return bucket.uploadFileMultipart(uploadParams({ checkpoint: checkpointPath }));
+    }).then(function(res) {
+      if (!res) {
+        return;
+      }
+      assert.equal(S3.calls.createMultipartUpload.length, 1, 'Upload should be reused');
+      assert.deepEqual(S3.calls.uploadPart.map(function(params) { return params.PartNumber; }), [2]);
+      assert.ok(!fs.existsSync(checkpointPath), 'Checkpoint should be removed once completed');
+      return storedBody(S3, 'dumps/db.dump').then(function(body) {
+        assert.ok(body.equals(fileContents), 'Uploaded bytes should match the file');
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('abort and drop the checkpoint on fatal errors', function(done) {
+    var S3 = createS3();
+    var bucket = createBucket(S3);
+    S3.injectFault({ operation: 'uploadPart', code: 'AccessDenied', message: 'Access Denied', statusCode: 403, times: Infinity });
+    bucket.uploadFileMultipart(uploadParams({ checkpoint: checkpointPath })).then(function() {
+      done(new Error('Rejection was expected'));
+    }).catch(function(err) {
+      assert.equal(err.message, 'multipart upload aborted');
+      assert.equal(err.cause.code, 'AccessDenied');
+      assert.equal(S3.calls.abortMultipartUpload.length, 1, 'Upload should be aborted');
+      assert.ok(!fs.existsSync(checkpointPath), 'Checkpoint should be removed');
+      done();
+    }).catch(done);
+  });
+});